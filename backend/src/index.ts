@@ -6,16 +6,19 @@
 
 import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
+import type { IncomingMessage, ServerResponse } from 'http';
 import { fileURLToPath } from 'url';
 import path from 'path';
-import fs from 'fs';
-import type { ClientMessage } from './types/messages.js';
+import type { ClientMessage, ServerMessage } from './types/messages.js';
 import { parseMessage } from './ws/connection.js';
 import { createConnection, broadcastToLobby, sendMessage, sendError } from './ws/connection.js';
 import type { ClientConnection } from './ws/connection.js';
 import * as handlers from './ws/handlers.js';
 import * as lobbyState from './state/lobby.js';
 import * as scoring from './services/scoring.js';
+import * as battleHistory from './services/battleHistory.js';
+import * as songCatalog from './services/songCatalog.js';
+import { serveMediaFile } from './services/mediaFiles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,14 +26,64 @@ const SONGS_DIR = path.resolve(__dirname, '..', 'songs');
 
 const PORT = process.env.PORT ? parseInt(process.env.PORT) : 3000;
 
+// How long a dropped player keeps their seat before being removed
+const RECONNECT_GRACE_PERIOD_MS = 30000;
+
+// Lobbies with no activity for this long in a phase are closed (env overrides, in ms)
+const IDLE_TIMEOUTS_MS = {
+  LOBBY: envMs('LOBBY_IDLE_TIMEOUT_MS', 30 * 60 * 1000),
+  LOADING: envMs('LOADING_IDLE_TIMEOUT_MS', 2 * 60 * 1000),
+  RESULTS: envMs('RESULTS_IDLE_TIMEOUT_MS', 10 * 60 * 1000),
+  PAUSED: envMs('PAUSED_IDLE_TIMEOUT_MS', 10 * 60 * 1000), // IN_BATTLE, paused by the host
+};
+
+// Connected singers sending no audio for this long mid-battle are removed
+const SILENT_SINGER_TIMEOUT_MS = envMs('SILENT_SINGER_TIMEOUT_MS', 60 * 1000);
+
 // Connection tracking
 const connections = new Map<string, ClientConnection>();
 let connectionCounter = 0;
 
+battleHistory.loadBattleHistory();
+
+/**
+ * Read a positive duration (ms) from the environment
+ */
+function envMs(name: string, fallback: number): number {
+  const parsed = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Send a JSON response (REST API)
+ */
+function sendJson(res: ServerResponse, status: number, body: unknown): void {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Parse a non-negative integer query param, clamped to max
+ */
+function parseIntParam(value: string | null, fallback: number, max: number): number {
+  const parsed = value === null ? NaN : parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 0) return fallback;
+  return Math.min(parsed, max);
+}
+
+/**
+ * Stream a file from the songs directory (Range, caching and MIME handled there)
+ */
+function serveSongFile(req: IncomingMessage, res: ServerResponse, filename: string): void {
+  serveMediaFile(req, res, SONGS_DIR, filename);
+}
+
 const server = createServer((req, res) => {
   // CORS for dev
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Range, If-None-Match, If-Modified-Since, If-Range');
+  res.setHeader('Access-Control-Expose-Headers', 'Accept-Ranges, Content-Range, Content-Length, ETag, Last-Modified');
 
   if (req.method === 'OPTIONS') {
     res.writeHead(200);
@@ -38,30 +91,117 @@ const server = createServer((req, res) => {
     return;
   }
 
+  const isRead = req.method === 'GET' || req.method === 'HEAD';
+
   // Serve Songs
-  if (req.url?.startsWith('/songs/') && req.method === 'GET') {
-    const filename = req.url.replace('/songs/', '');
-    // Sanitize path (basic)
-    if (filename.includes('..')) {
-      res.writeHead(403);
-      res.end('Forbidden');
+  if (req.url?.startsWith('/songs/') && isRead) {
+    let filename: string;
+    try {
+      filename = decodeURIComponent(new URL(req.url, 'http://localhost').pathname.replace('/songs/', ''));
+    } catch {
+      res.writeHead(400);
+      res.end('Bad Request');
       return;
     }
+    serveSongFile(req, res, filename);
+    return;
+  }
 
-    const filePath = path.join(SONGS_DIR, filename);
+  // Lobby browser: GET /api/lobbies (public lobbies only)
+  if (req.url?.split('?')[0] === '/api/lobbies' && isRead) {
+    sendJson(res, 200, handlers.getPublicLobbySummaries());
+    return;
+  }
 
-    if (fs.existsSync(filePath)) {
-      const stat = fs.statSync(filePath);
-      res.writeHead(200, {
-        'Content-Type': 'audio/mpeg',
-        'Content-Length': stat.size
-      });
-      const readStream = fs.createReadStream(filePath);
-      readStream.pipe(res);
-    } else {
-      res.writeHead(404);
-      res.end('Not Found');
+  // Song catalog
+  const pathname = req.url?.split('?')[0] ?? '';
+  if (req.url && (pathname === '/api/songs' || pathname.startsWith('/api/songs/')) && isRead) {
+    const url = new URL(req.url, 'http://localhost');
+    let parts: string[]; // ['api', 'songs', ...]
+    try {
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      sendJson(res, 400, { error: 'Malformed URL' });
+      return;
     }
+
+    // GET /api/songs?q=&artist=&genre=&language=&year=&duet=&limit=&offset=
+    if (parts.length === 2) {
+      const params = url.searchParams;
+      const year = parseInt(params.get('year') || '', 10);
+      const duet = params.get('duet');
+
+      sendJson(res, 200, songCatalog.searchSongs(handlers.LOADED_SONGS, SONGS_DIR, {
+        q: params.get('q') || undefined,
+        artist: params.get('artist') || undefined,
+        genre: params.get('genre') || undefined,
+        language: params.get('language') || undefined,
+        year: Number.isFinite(year) ? year : undefined,
+        duet: duet === null ? undefined : duet === 'true',
+        limit: parseIntParam(params.get('limit'), 20, 100),
+        offset: parseIntParam(params.get('offset'), 0, Number.MAX_SAFE_INTEGER),
+      }));
+      return;
+    }
+
+    const song = handlers.LOADED_SONGS.find(s => s.id === parts[2]);
+    if (!song) {
+      sendJson(res, 404, { error: 'Song not found' });
+      return;
+    }
+
+    // GET /api/songs/:songId
+    if (parts.length === 3) {
+      sendJson(res, 200, songCatalog.toCatalogEntry(song, SONGS_DIR));
+      return;
+    }
+
+    // GET /api/songs/:songId/file
+    if (parts.length === 4 && parts[3] === 'file' && song.mp3) {
+      serveSongFile(req, res, song.mp3);
+      return;
+    }
+
+    sendJson(res, 404, { error: 'Not Found' });
+    return;
+  }
+
+  // Leaderboard / battle history
+  if (req.url?.startsWith('/api/leaderboard/') && req.method === 'GET') {
+    const url = new URL(req.url, 'http://localhost');
+    let parts: string[]; // ['api', 'leaderboard', ...]
+    try {
+      parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      sendJson(res, 400, { error: 'Malformed URL' });
+      return;
+    }
+
+    // GET /api/leaderboard/battles?songId=&playerId=&limit=&offset=
+    if (parts.length === 3 && parts[2] === 'battles') {
+      sendJson(res, 200, battleHistory.getBattleHistory({
+        songId: url.searchParams.get('songId') || undefined,
+        playerId: url.searchParams.get('playerId') || undefined,
+        limit: parseIntParam(url.searchParams.get('limit'), 20, 100),
+        offset: parseIntParam(url.searchParams.get('offset'), 0, Number.MAX_SAFE_INTEGER),
+      }));
+      return;
+    }
+
+    // GET /api/leaderboard/songs/:songId?limit=
+    if (parts.length === 4 && parts[2] === 'songs') {
+      const limit = parseIntParam(url.searchParams.get('limit'), 10, 100);
+      sendJson(res, 200, { songId: parts[3], scores: battleHistory.getSongTopScores(parts[3], limit) });
+      return;
+    }
+
+    // GET /api/leaderboard/players/:playerId
+    if (parts.length === 4 && parts[2] === 'players') {
+      sendJson(res, 200, { playerId: parts[3], bests: battleHistory.getPlayerBests(parts[3]) });
+      return;
+    }
+
+    sendJson(res, 404, { error: 'Not Found' });
     return;
   }
 
@@ -83,16 +223,28 @@ wss.on('connection', (ws: any) => {
   connections.set(connectionId, conn);
   console.log(`[Connection] Client connected: ${connectionId}`);
 
-  ws.on('message', (data: unknown) => {
+  ws.on('message', (data: unknown, isBinary: boolean) => {
+    const receivedAt = Date.now(); // before parsing, for TIME_SYNC accuracy
     try {
-      const msg = parseMessage(data);
+      const msg = parseMessage(data, isBinary);
       if (!msg) {
+        if (isBinary) {
+          // Malformed audio frames are dropped quietly (they arrive ~10x per second)
+          return;
+        }
         console.log('[Server] Validation failed for raw message:', (data as any).toString());
         sendError(conn, 'INVALID_MESSAGE', 'Message format invalid');
         return;
       }
 
-      handleMessage(msg, conn, connectionId);
+      handleMessage(msg, conn, connectionId, receivedAt);
+
+      // Audio and clock sync never change what the lobby browser shows, and
+      // don't count as lobby activity (silent singers are handled separately)
+      if (msg.type !== 'AUDIO_CHUNK' && msg.type !== 'AUDIO_FRAME' && msg.type !== 'TIME_SYNC') {
+        if (conn.lobbyId) lobbyState.touchLobby(conn.lobbyId);
+        handlers.publishLobbyList(connections);
+      }
     } catch (err) {
       console.error(`[Error] Message handling failed:`, err);
       sendError(conn, 'SERVER_ERROR', 'Internal server error');
@@ -104,20 +256,8 @@ wss.on('connection', (ws: any) => {
   });
 
   ws.on('close', (code: number, reason: Buffer) => {
-    if (conn.lobbyId && conn.userId) {
-      lobbyState.leaveLobby(conn.lobbyId, conn.userId);
-
-      // Notify others
-      const msg = {
-        type: 'PLAYER_LEFT' as const,
-        roomId: conn.lobbyId,
-        playerId: conn.userId,
-        reason: 'disconnect' as const,
-      };
-      broadcastToLobby(connections, conn.lobbyId, msg);
-    }
+    handleConnectionLost(connectionId, conn);
 
-    connections.delete(connectionId);
     const reasonStr = reason.toString();
     console.log(`[Connection] Client disconnected: ${connectionId} (Code: ${code}, Reason: ${reasonStr})`);
   });
@@ -128,31 +268,77 @@ wss.on('connection', (ws: any) => {
 });
 
 /**
- * Route incoming message to handler
+ * Forget a closed (or heartbeat-terminated) socket and mark its player
+ * disconnected. Safe to call twice: terminate() also fires 'close'
  */
-function handleMessage(msg: ClientMessage, conn: ClientConnection, _connId: string): void {
-  switch (msg.type) {
-    case 'CREATE_LOBBY': {
-      const replies = handlers.handleCreateLobby(msg, conn);
+function handleConnectionLost(connectionId: string, conn: ClientConnection): void {
+  if (!connections.delete(connectionId)) return;
+
+  if (conn.lobbyId && conn.userId) {
+    // Keep the seat for RECONNECT_GRACE_PERIOD_MS (see RESUME_SESSION)
+    const lobby = lobbyState.markDisconnected(conn.lobbyId, conn.userId);
+    if (lobby) {
+      // The last singer still loading dropped: start with everyone who loaded
+      const started = lobbyState.startIfAllLoaded(lobby);
+      broadcastToLobby(connections, lobby.id, handlers.lobbyToMessage(lobby));
+      if (started) handlers.announceBattleStart(lobby, connections);
+      handlers.publishLobbyList(connections);
+    }
+  }
+}
+
+/**
+ * Replies of handlers that wait on password hashing. They finish after the
+ * usual post-message lobby list update, so publish it again
+ */
+function sendRepliesWhenDone(conn: ClientConnection, pending: Promise<ServerMessage[]>): void {
+  pending
+    .then((replies) => {
       for (const reply of replies) {
         sendMessage(conn, reply);
       }
+      handlers.publishLobbyList(connections);
+    })
+    .catch((err) => console.error(`[Error] Message handling failed:`, err));
+}
+
+// Messages that bind a socket to a seat; every other message naming a
+// roomId + userId must come from the socket bound to exactly that seat
+const SEAT_BINDING_MESSAGES = new Set(['CREATE_LOBBY', 'JOIN_LOBBY', 'JOIN_BY_CODE', 'RESUME_SESSION']);
+
+/**
+ * userIds are visible to everyone in a lobby, so a claimed userId alone proves nothing
+ */
+function actsOnOtherSeat(msg: ClientMessage, conn: ClientConnection): boolean {
+  if (SEAT_BINDING_MESSAGES.has(msg.type) || !('roomId' in msg) || !('userId' in msg)) return false;
+  return conn.userId !== msg.userId || conn.lobbyId !== msg.roomId;
+}
+
+/**
+ * Route incoming message to handler
+ */
+function handleMessage(msg: ClientMessage, conn: ClientConnection, _connId: string, receivedAt: number): void {
+  if (actsOnOtherSeat(msg, conn)) {
+    // Audio and leaving can still trail in right after a kick: drop those quietly
+    if (msg.type !== 'AUDIO_CHUNK' && msg.type !== 'AUDIO_FRAME' && msg.type !== 'LEAVE_LOBBY') {
+      sendError(conn, 'PERMISSION_DENIED', 'Not your seat in this lobby');
+    }
+    return;
+  }
+
+  switch (msg.type) {
+    case 'CREATE_LOBBY': {
+      sendRepliesWhenDone(conn, handlers.handleCreateLobby(msg, conn));
       break;
     }
 
     case 'JOIN_LOBBY': {
-      const replies = handlers.handleJoinLobby(msg, conn, connections);
-      for (const reply of replies) {
-        sendMessage(conn, reply);
-      }
+      sendRepliesWhenDone(conn, handlers.handleJoinLobby(msg, conn, connections));
       break;
     }
 
     case 'JOIN_BY_CODE': {
-      const replies = handlers.handleJoinByCode(msg, conn, connections);
-      for (const reply of replies) {
-        sendMessage(conn, reply);
-      }
+      sendRepliesWhenDone(conn, handlers.handleJoinByCode(msg, conn, connections));
       break;
     }
 
@@ -171,12 +357,48 @@ function handleMessage(msg: ClientMessage, conn: ClientConnection, _connId: stri
       break;
     }
 
+    case 'SET_DUET_PART': {
+      handlers.handleSetDuetPart(msg, conn, connections);
+      break;
+    }
+
+    case 'SET_MIC_CHECK': {
+      handlers.handleSetMicCheck(msg, conn, connections);
+      break;
+    }
+
     case 'PLAYER_LOADED': {
       handlers.handlePlayerLoaded(msg, conn, connections);
       break;
     }
 
-    case 'AUDIO_CHUNK': {
+    case 'LOADING_PROGRESS': {
+      handlers.handleLoadingProgress(msg, connections);
+      break;
+    }
+
+    case 'FORCE_START_BATTLE': {
+      handlers.handleForceStartBattle(msg, conn, connections);
+      break;
+    }
+
+    case 'ABORT_BATTLE': {
+      handlers.handleAbortBattle(msg, conn, connections);
+      break;
+    }
+
+    case 'PAUSE_BATTLE': {
+      handlers.handlePauseBattle(msg, conn, connections);
+      break;
+    }
+
+    case 'RESUME_BATTLE': {
+      handlers.handleResumeBattle(msg, conn, connections);
+      break;
+    }
+
+    case 'AUDIO_CHUNK':
+    case 'AUDIO_FRAME': {
       handlers.handleAudioChunk(msg);
       break;
     }
@@ -186,11 +408,52 @@ function handleMessage(msg: ClientMessage, conn: ClientConnection, _connId: stri
       break;
     }
 
+    case 'RESUME_SESSION': {
+      const replies = handlers.handleResumeSession(msg, conn, connections, RECONNECT_GRACE_PERIOD_MS);
+      for (const reply of replies) {
+        sendMessage(conn, reply);
+      }
+      break;
+    }
+
+    case 'RETURN_TO_LOBBY': {
+      handlers.handleReturnToLobby(msg, conn, connections);
+      break;
+    }
+
+    case 'TIME_SYNC': {
+      const replies = handlers.handleTimeSync(msg, receivedAt);
+      for (const reply of replies) {
+        sendMessage(conn, reply);
+      }
+      break;
+    }
+
+    case 'KICK_PLAYER':
+    case 'BAN_PLAYER': {
+      handlers.handleKickPlayer(msg, conn, connections);
+      break;
+    }
+
+    case 'TRANSFER_HOST': {
+      handlers.handleTransferHost(msg, conn, connections);
+      break;
+    }
+
     case 'LEAVE_LOBBY': {
       handlers.handleLeaveLobby(msg, conn, connections);
       break;
     }
 
+    case 'SUBSCRIBE_LOBBIES':
+    case 'UNSUBSCRIBE_LOBBIES': {
+      const replies = handlers.handleSubscribeLobbies(msg.type === 'SUBSCRIBE_LOBBIES', conn);
+      for (const reply of replies) {
+        sendMessage(conn, reply);
+      }
+      break;
+    }
+
     default:
       sendError(conn, 'UNKNOWN_MESSAGE', `Unknown message type: ${(msg as any).type}`);
   }
@@ -201,18 +464,25 @@ function handleMessage(msg: ClientMessage, conn: ClientConnection, _connId: stri
 // ============================================================================
 
 /**
- * Every 500ms: Process audio chunks and broadcast score updates
+ * Every 500ms: Loading deadlines, process audio chunks and broadcast score updates
  */
 setInterval(() => {
   const gameState = lobbyState.getGameState();
 
+  // Loading deadline passed: let the host start without stragglers or abort
+  for (const { lobbyId, waitingFor } of lobbyState.expireLoadingDeadlines()) {
+    console.log(`[Battle] Loading deadline passed in lobby ${lobbyId}, waiting for: ${waitingFor.join(', ')}`);
+    broadcastToLobby(connections, lobbyId, { type: 'LOADING_TIMEOUT', roomId: lobbyId, waitingFor });
+  }
+
   for (const lobby of gameState.lobbies.values()) {
-    if (lobby.battle.phase !== 'IN_BATTLE') continue;
+    // Paused battles neither score nor time out (battleStartTime shifts on resume)
+    if (lobby.battle.phase !== 'IN_BATTLE' || lobby.battle.pausedAt !== null) continue;
 
     const scoreUpdates = scoring.updateBattleScores(lobby);
 
     for (const [userId, scoreData] of scoreUpdates) {
-      lobbyState.updatePlayerScore(lobby.id, userId, scoreData.score, scoreData.combo, scoreData.accuracy);
+      lobbyState.updatePlayerScore(lobby.id, userId, scoreData.score, scoreData.combo, scoreData.accuracy, scoreData.maxCombo);
 
       const updatedPlayer = lobby.players.get(userId);
       if (!updatedPlayer) continue;
@@ -235,40 +505,17 @@ setInterval(() => {
     const songDuration = lobby.battle?.song?.duration || 60000;
     const elapsedMs = Date.now() - (lobby.battle.battleStartTime || Date.now());
 
-    if (elapsedMs > songDuration + BATTLE_GRACE_PERIOD_MS) {
+    // Everyone still connected is done (e.g. the last unfinished singer dropped)
+    if (lobbyState.allConnectedFinished(lobby)) {
+      handlers.endBattleWithResults(lobby.id, 'finish', connections);
+    } else if (elapsedMs > songDuration + BATTLE_GRACE_PERIOD_MS) {
       console.log(`[Battle] Timeout reached for lobby ${lobby.id}, ending battle`);
-      lobbyState.endBattle(lobby.id);
-
-      const updatedLobby = lobbyState.getLobby(lobby.id);
-      if (updatedLobby) {
-        const playersArray = Array.from(updatedLobby.players.values())
-          .sort((a, b) => b.score - a.score);
-
-        const resultsMsg = {
-          type: 'BATTLE_RESULTS' as const,
-          roomId: lobby.id,
-          players: playersArray.map((p, index) => ({
-            id: p.id,
-            name: p.name,
-            score: p.score,
-            accuracy: p.accuracy || 0,
-            combo: p.combo || 0,
-            position: index + 1,
-          })),
-          endedAt: Date.now(),
-        };
-
-        broadcastToLobby(connections, lobby.id, resultsMsg);
-
-        const phaseMsg = {
-          type: 'PHASE_CHANGE' as const,
-          roomId: lobby.id,
-          newPhase: 'RESULTS' as const,
-        };
-        broadcastToLobby(connections, lobby.id, phaseMsg);
-      }
+      handlers.endBattleWithResults(lobby.id, 'timeout', connections);
     }
   }
+
+  // Battles ending here move lobbies to RESULTS
+  handlers.publishLobbyList(connections);
 }, 500);
 
 /**
@@ -277,8 +524,9 @@ setInterval(() => {
 setInterval(() => {
   for (const [connId, conn] of connections.entries()) {
     if (!conn.isAlive) {
+      console.log(`[Connection] No pong from ${connId}, terminating`);
+      handleConnectionLost(connId, conn);
       conn.ws.terminate();
-      connections.delete(connId);
       continue;
     }
 
@@ -287,6 +535,69 @@ setInterval(() => {
   }
 }, 30000);
 
+/**
+ * Every 5s: Remove players whose reconnect grace period expired
+ */
+setInterval(() => {
+  for (const { lobbyId, userId } of lobbyState.expireDisconnectedPlayers(RECONNECT_GRACE_PERIOD_MS)) {
+    console.log(`[Connection] Grace period expired for ${userId}, removing from lobby ${lobbyId}`);
+
+    const msg = {
+      type: 'PLAYER_LEFT' as const,
+      roomId: lobbyId,
+      playerId: userId,
+      reason: 'disconnect' as const,
+    };
+    broadcastToLobby(connections, lobbyId, msg);
+
+    // Host may have changed
+    const lobby = lobbyState.getLobby(lobbyId);
+    if (lobby) {
+      broadcastToLobby(connections, lobbyId, handlers.lobbyToMessage(lobby));
+    }
+  }
+
+  handlers.publishLobbyList(connections);
+}, 5000);
+
+/**
+ * Every 10s: Close idle lobbies, remove silent singers, prune stale userLobbies
+ */
+setInterval(() => {
+  for (const { lobbyId, userIds } of lobbyState.closeIdleLobbies(IDLE_TIMEOUTS_MS)) {
+    console.log(`[Lobby] Closing idle lobby ${lobbyId} (${userIds.length} players)`);
+
+    broadcastToLobby(connections, lobbyId, { type: 'LOBBY_CLOSED', roomId: lobbyId, reason: 'idle' });
+    handlers.detachFromLobby(connections, lobbyId);
+  }
+
+  for (const { lobbyId, userId } of lobbyState.removeSilentSingers(SILENT_SINGER_TIMEOUT_MS)) {
+    console.log(`[Battle] No audio from ${userId}, removing from lobby ${lobbyId}`);
+
+    const msg = {
+      type: 'PLAYER_LEFT' as const,
+      roomId: lobbyId,
+      playerId: userId,
+      reason: 'idle' as const,
+    };
+    broadcastToLobby(connections, lobbyId, msg);
+    handlers.detachFromLobby(connections, lobbyId, userId);
+
+    // Host may have changed
+    const lobby = lobbyState.getLobby(lobbyId);
+    if (lobby) {
+      broadcastToLobby(connections, lobbyId, handlers.lobbyToMessage(lobby));
+    }
+  }
+
+  const pruned = lobbyState.pruneUserLobbies();
+  if (pruned > 0) {
+    console.log(`[Lobby] Pruned ${pruned} stale user → lobby entries`);
+  }
+
+  handlers.publishLobbyList(connections);
+}, 10000);
+
 /**
  * Every 5min: Log statistics
  */
@@ -0,0 +1,155 @@
+/**
+ * BATTLE HISTORY
+ *
+ * Persists every finished battle (BATTLE_RESULTS) to a local JSON-lines file
+ * and answers leaderboard queries from an in-memory copy.
+ *
+ * STORAGE:
+ * - One JSON object per line, append-only (data/battles.jsonl by default)
+ * - Override the location with BATTLE_HISTORY_FILE
+ * - Loaded once at startup; corrupt lines are skipped, not fatal
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const HISTORY_FILE = process.env.BATTLE_HISTORY_FILE || path.join(process.cwd(), 'data', 'battles.jsonl');
+
+export interface BattleRecordPlayer {
+  id: string;
+  name: string;
+  score: number;
+  accuracy: number;
+  combo: number;
+  position: number;
+}
+
+export interface BattleRecord {
+  id: string;
+  roomId: string;
+  roomName: string;
+  songId: string;
+  songName: string;
+  startedAt: number | null;
+  endedAt: number;
+  endReason: 'finish' | 'timeout';
+  players: BattleRecordPlayer[];
+}
+
+export interface ScoreEntry {
+  battleId: string;
+  songId: string;
+  songName: string;
+  playerId: string;
+  playerName: string;
+  score: number;
+  accuracy: number;
+  combo: number;
+  endedAt: number;
+}
+
+let battles: BattleRecord[] = [];
+
+/**
+ * Load history from disk (called once at startup)
+ */
+export function loadBattleHistory(): void {
+  battles = [];
+  if (!fs.existsSync(HISTORY_FILE)) return;
+
+  try {
+    const lines = fs.readFileSync(HISTORY_FILE, 'utf-8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        battles.push(JSON.parse(line));
+      } catch {
+        console.error('[History] Skipping corrupt line in battle history');
+      }
+    }
+    console.log(`[History] Loaded ${battles.length} battles from ${HISTORY_FILE}`);
+  } catch (err) {
+    console.error('[History] Failed to load battle history:', err);
+  }
+}
+
+/**
+ * Append a finished battle to the history file
+ */
+export function recordBattle(record: BattleRecord): void {
+  battles.push(record);
+
+  try {
+    fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true });
+    fs.appendFileSync(HISTORY_FILE, JSON.stringify(record) + '\n');
+  } catch (err) {
+    console.error('[History] Failed to write battle record:', err);
+  }
+}
+
+/**
+ * Battle history, newest first (optionally for one song and/or player)
+ */
+export function getBattleHistory(options: {
+  songId?: string;
+  playerId?: string;
+  limit?: number;
+  offset?: number;
+} = {}): { total: number; battles: BattleRecord[] } {
+  const { songId, playerId, limit = 20, offset = 0 } = options;
+
+  const matching = battles
+    .filter(b => !songId || b.songId === songId)
+    .filter(b => !playerId || b.players.some(p => p.id === playerId))
+    .reverse();
+
+  return {
+    total: matching.length,
+    battles: matching.slice(offset, offset + limit),
+  };
+}
+
+function toScoreEntries(battle: BattleRecord): ScoreEntry[] {
+  return battle.players.map(p => ({
+    battleId: battle.id,
+    songId: battle.songId,
+    songName: battle.songName,
+    playerId: p.id,
+    playerName: p.name,
+    score: p.score,
+    accuracy: p.accuracy,
+    combo: p.combo,
+    endedAt: battle.endedAt,
+  }));
+}
+
+/**
+ * Highest scores ever sung on a song (first entry holds the record)
+ * Earlier scores win ties.
+ */
+export function getSongTopScores(songId: string, limit = 10): ScoreEntry[] {
+  return battles
+    .filter(b => b.songId === songId)
+    .flatMap(toScoreEntries)
+    .sort((a, b) => b.score - a.score || a.endedAt - b.endedAt)
+    .slice(0, limit);
+}
+
+/**
+ * A player's best score on every song they have sung
+ */
+export function getPlayerBests(playerId: string): ScoreEntry[] {
+  const bests = new Map<string, ScoreEntry>();
+
+  for (const battle of battles) {
+    for (const entry of toScoreEntries(battle)) {
+      if (entry.playerId !== playerId) continue;
+      const best = bests.get(entry.songId);
+      if (!best || entry.score > best.score) {
+        bests.set(entry.songId, entry);
+      }
+    }
+  }
+
+  return Array.from(bests.values()).sort((a, b) => b.score - a.score);
+}
@@ -0,0 +1,149 @@
+/**
+ * MEDIA FILE SERVING
+ *
+ * Streams song audio, covers and videos from the songs directory with:
+ * - Content-Type detection by extension
+ * - HTTP Range requests (206 Partial Content) so browsers can seek
+ * - ETag / Last-Modified validation (304 Not Modified)
+ * - Real-path sanitisation (symlinks and ../ cannot escape the root)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import type { IncomingMessage, ServerResponse } from 'http';
+
+const MIME_TYPES: Record<string, string> = {
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.wav': 'audio/wav',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.mp4': 'video/mp4',
+};
+
+export function getMimeType(filename: string): string {
+  return MIME_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Resolve a path inside rootDir, following symlinks.
+ * Returns null if it does not exist or ends up outside rootDir.
+ */
+export function resolveInsideRoot(rootDir: string, relativePath: string): string | null {
+  try {
+    const realRoot = fs.realpathSync(rootDir);
+    const realFile = fs.realpathSync(path.resolve(realRoot, relativePath));
+    if (!realFile.startsWith(realRoot + path.sep)) return null;
+    return realFile;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a single "bytes=" range against the file size.
+ * Returns null when there is no usable range (serve the whole file),
+ * or 'unsatisfiable' when the range lies outside the file.
+ */
+function parseRange(header: string, size: number): { start: number; end: number } | 'unsatisfiable' | null {
+  const match = header.match(/^bytes=(\d*)-(\d*)$/);
+  if (!match) return null; // unknown unit or multiple ranges
+
+  const [, startStr, endStr] = match;
+  if (!startStr && !endStr) return null;
+
+  let start: number;
+  let end: number;
+
+  if (!startStr) {
+    // Suffix range: last N bytes
+    const suffix = parseInt(endStr, 10);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(startStr, 10);
+    end = endStr ? Math.min(parseInt(endStr, 10), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+/**
+ * Serve a file from rootDir (GET and HEAD)
+ */
+export function serveMediaFile(req: IncomingMessage, res: ServerResponse, rootDir: string, relativePath: string): void {
+  const filePath = resolveInsideRoot(rootDir, relativePath);
+  if (!filePath) {
+    res.writeHead(404);
+    res.end('Not Found');
+    return;
+  }
+
+  const stat = fs.statSync(filePath);
+  if (!stat.isFile()) {
+    res.writeHead(404);
+    res.end('Not Found');
+    return;
+  }
+
+  const etag = `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+  const lastModified = stat.mtime.toUTCString();
+  const baseHeaders = {
+    'Content-Type': getMimeType(filePath),
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'Last-Modified': lastModified,
+    'Cache-Control': 'public, max-age=0, must-revalidate',
+  };
+
+  // Conditional GET: If-None-Match wins over If-Modified-Since
+  const ifNoneMatch = req.headers['if-none-match'];
+  const ifModifiedSince = req.headers['if-modified-since'];
+  const notModified = ifNoneMatch
+    ? ifNoneMatch.split(',').some(tag => tag.trim() === etag || tag.trim() === '*')
+    : Boolean(ifModifiedSince) && Math.floor(stat.mtimeMs / 1000) <= Math.floor(Date.parse(ifModifiedSince!) / 1000);
+
+  if (notModified) {
+    res.writeHead(304, baseHeaders);
+    res.end();
+    return;
+  }
+
+  // Range only applies if If-Range (when sent) still matches this version
+  const ifRange = req.headers['if-range'];
+  const rangeHeader = req.headers.range;
+  const range = rangeHeader && (!ifRange || ifRange === etag || ifRange === lastModified)
+    ? parseRange(rangeHeader, stat.size)
+    : null;
+
+  if (range === 'unsatisfiable') {
+    res.writeHead(416, { ...baseHeaders, 'Content-Range': `bytes */${stat.size}` });
+    res.end();
+    return;
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : stat.size - 1;
+
+  res.writeHead(range ? 206 : 200, {
+    ...baseHeaders,
+    'Content-Length': stat.size === 0 ? 0 : end - start + 1,
+    ...(range && { 'Content-Range': `bytes ${start}-${end}/${stat.size}` }),
+  });
+
+  if (req.method === 'HEAD' || stat.size === 0) {
+    res.end();
+    return;
+  }
+
+  const readStream = fs.createReadStream(filePath, { start, end });
+  readStream.on('error', (err) => {
+    console.error(`[Media] Failed to stream ${filePath}:`, err);
+    res.destroy();
+  });
+  readStream.pipe(res);
+}
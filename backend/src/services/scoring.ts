@@ -5,7 +5,8 @@
  * All clients receive same score for same audio (server-driven).
  */
 
-import type { Lobby } from '../types/state.js';
+import { Macleod } from 'pitchfinder';
+import type { Lobby, Song, SongNote } from '../types/state.js';
 
 /**
  * Deterministic scoring algorithm
@@ -16,85 +17,269 @@ import type { Lobby } from '../types/state.js';
  * - All 4 clients get identical updates
  * 
  * STRATEGY:
- * - Parse Base64 audio data
- * - Simulate frequency analysis (mock for now)
- * - Calculate score based on frequency patterns
- * - Return score, accuracy, combo
+ * - Take Float32 PCM (decoded from binary frames or legacy Base64 JSON)
+ * - Split each chunk into ~46ms analysis frames
+ * - Estimate fundamental frequency (McLeod pitch method) and RMS energy per frame
+ * - Line each frame up with the song note(s) active at its timestamp
+ * - Compare detected pitch to the note pitch (octave-agnostic, like UltraStar)
+ * - Frames that fall in gaps between notes are ignored (no gain, no loss)
+ * - Golden notes score extra, freestyle notes are unscored, rap notes are
+ *   scored on timing and energy only
+ * - In duets each player is scored against their own part (P1/P2)
+ * - Return score, accuracy, combo (streak of hit frames)
  */
 
+interface FrameAnalysis {
+  offsetMs: number;          // frame start relative to the chunk timestamp
+  durationMs: number;
+  dominantFrequency: number; // Hz, 0 when no voiced pitch was found
+  energyLevel: number;       // RMS of the frame (0-1)
+}
+
 interface FrequencyAnalysis {
-  dominantFrequency: number;
-  energyLevel: number;
-  noiseFloor: number;
+  frames: FrameAnalysis[];
+  noiseFloor: number;        // RMS of the quietest sub-blocks of the chunk (0-1)
+}
+
+const DEFAULT_SAMPLE_RATE = 44100;
+
+// Pitch analysis runs on a decimated signal (~11kHz): plenty for the singing
+// range and ~16x cheaper than autocorrelating at 44.1kHz
+const ANALYSIS_SAMPLE_RATE = 11025;
+
+// Analysis frame (~46ms at the decimated rate); holds 3+ periods of a low E (82Hz)
+const PITCH_FRAME_SIZE = 512;
+
+// Minimum McLeod clarity (normalized autocorrelation peak) for a frame to count as voiced
+const MIN_PITCH_CLARITY = 0.8;
+
+// Sub-block size used for the noise floor estimate (~6ms @ 44.1kHz)
+const NOISE_BLOCK_SIZE = 256;
+
+// Fraction of the quietest sub-blocks averaged into the noise floor
+const NOISE_FLOOR_PERCENTILE = 0.1;
+
+// Below this RMS the chunk is treated as silence (no pitch detection)
+const SILENCE_RMS = 0.01;
+
+// How fast the running noise floor may rise per chunk (it drops immediately)
+const NOISE_FLOOR_RISE_RATE = 0.02;
+
+// Plausible singing range; detections outside it are discarded as noise/harmonics
+const MIN_VOICE_FREQUENCY = 60;
+const MAX_VOICE_FREQUENCY = 1500;
+
+// Singing this far before/after a note still counts towards it (with reduced timing accuracy)
+const NOTE_TIMING_TOLERANCE_MS = 150;
+
+// Points for one second of perfectly sung note
+const POINTS_PER_SECOND = 1000;
+
+// Minimum pitch accuracy for a frame to count as a hit (extends the combo;
+// any other frame over a note resets it)
+const HIT_PITCH_ACCURACY = 50;
+
+type ScoreUpdate = { score: number; accuracy: number; combo: number; maxCombo: number };
+
+// Score multiplier for golden notes ('*' and 'G')
+const GOLDEN_NOTE_MULTIPLIER = 2;
+
+type PitchDetector = (buffer: Float32Array) => { freq: number; probability: number };
+
+const pitchDetectors = new Map<string, PitchDetector>();
+
+/**
+ * Get (or lazily create) a McLeod detector for a sample rate and frame size
+ */
+function getPitchDetector(sampleRate: number, frameSize: number): PitchDetector {
+  const key = `${sampleRate}:${frameSize}`;
+  let detector = pitchDetectors.get(key);
+  if (!detector) {
+    detector = Macleod({ sampleRate, bufferSize: frameSize });
+    pitchDetectors.set(key, detector);
+  }
+  return detector;
+}
+
+/**
+ * Decode Base64 audio data (as produced by the client's float32ToBase64)
+ * into Float32 PCM samples.
+ */
+export function decodeAudioData(audioData: string): Float32Array {
+  const bytes = Buffer.from(audioData, 'base64');
+  const sampleCount = Math.floor(bytes.byteLength / Float32Array.BYTES_PER_ELEMENT);
+
+  // Copy into a fresh, 4-byte aligned buffer (Node Buffers may be pooled at odd offsets)
+  const aligned = new ArrayBuffer(sampleCount * Float32Array.BYTES_PER_ELEMENT);
+  new Uint8Array(aligned).set(bytes.subarray(0, aligned.byteLength));
+  return new Float32Array(aligned);
+}
+
+/**
+ * Root mean square of a range of samples
+ */
+function calculateRms(samples: Float32Array, start = 0, end = samples.length): number {
+  if (end <= start) return 0;
+
+  let sum = 0;
+  for (let i = start; i < end; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / (end - start));
+}
+
+/**
+ * Estimate the noise floor as the mean RMS of the quietest sub-blocks.
+ * Gaps between syllables and breaths give a usable estimate even inside
+ * a single 100ms chunk.
+ */
+function estimateNoiseFloor(samples: Float32Array): number {
+  const blockRms: number[] = [];
+  for (let start = 0; start + NOISE_BLOCK_SIZE <= samples.length; start += NOISE_BLOCK_SIZE) {
+    blockRms.push(calculateRms(samples, start, start + NOISE_BLOCK_SIZE));
+  }
+
+  if (blockRms.length === 0) return calculateRms(samples);
+
+  blockRms.sort((a, b) => a - b);
+  const count = Math.max(1, Math.floor(blockRms.length * NOISE_FLOOR_PERCENTILE));
+
+  let sum = 0;
+  for (let i = 0; i < count; i++) sum += blockRms[i];
+  return sum / count;
+}
+
+/**
+ * Downsample by averaging groups of `factor` samples (box low-pass + decimate)
+ */
+function decimate(samples: Float32Array, factor: number): Float32Array {
+  if (factor <= 1) return samples;
+
+  const output = new Float32Array(Math.floor(samples.length / factor));
+  for (let i = 0; i < output.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < factor; j++) sum += samples[i * factor + j];
+    output[i] = sum / factor;
+  }
+  return output;
+}
+
+/**
+ * Estimate the fundamental frequency of one analysis frame.
+ * Returns 0 for silent or unvoiced frames.
+ */
+function detectPitch(frame: Float32Array, energyLevel: number, sampleRate: number): number {
+  if (energyLevel < SILENCE_RMS) return 0;
+
+  const { freq, probability } = getPitchDetector(sampleRate, frame.length)(frame);
+  if (probability < MIN_PITCH_CLARITY || freq < MIN_VOICE_FREQUENCY || freq > MAX_VOICE_FREQUENCY) return 0;
+
+  return freq;
 }
 
 /**
- * Parse Base64 audio data and perform basic frequency analysis
+ * Update a player's running noise floor with the estimate from a new chunk.
+ * Follows quiet passages immediately but rises slowly, so a long sustained
+ * note is not mistaken for background noise.
+ */
+function trackNoiseFloor(previous: number | null, chunkNoiseFloor: number): number {
+  if (previous === null || chunkNoiseFloor < previous) return chunkNoiseFloor;
+  return previous + (chunkNoiseFloor - previous) * NOISE_FLOOR_RISE_RATE;
+}
+
+/**
+ * Perform frequency analysis on a chunk of PCM samples
  * 
- * NOTE: This is a mock implementation. Real implementation would:
- * - Decode Base64 to Float32Array
- * - Run FFT to get frequency spectrum
- * - Detect syllable onsets
- * - Extract pitch (fundamental frequency)
- * - Compare against expected lyric pitch
- */
-function analyzeAudioChunk(audioData: string, _referenceFrequency: number): FrequencyAnalysis {
-  // Deterministic hash of audio data (ensures same audio → same analysis)
-  let hash = 0;
-  for (let i = 0; i < audioData.length; i++) {
-    const char = audioData.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-
-  // Generate deterministic but varied results from hash
-  const absHash = Math.abs(hash);
-  const dominantFrequency = 200 + (absHash % 800); // 200-1000 Hz range
-  const energyLevel = (absHash % 10000) / 10000; // 0-1
-  const noiseFloor = ((absHash >> 10) % 10000) / 10000; // 0-1
+ * - Decimate and split into analysis frames, each with its own offset in the chunk
+ * - Extract pitch (fundamental frequency) with the McLeod pitch method and RMS energy per frame
+ * - Estimate the chunk's noise floor for confidence
+ */
+function analyzeAudioChunk(samples: Float32Array, sampleRate: number): FrequencyAnalysis {
+  if (samples.length === 0) {
+    return { frames: [], noiseFloor: 0 };
+  }
+
+  const factor = Math.max(1, Math.floor(sampleRate / ANALYSIS_SAMPLE_RATE));
+  const decimated = decimate(samples, factor);
+  const analysisRate = sampleRate / factor;
+
+  // Chunks shorter than one frame are analysed whole
+  const frameSize = Math.min(PITCH_FRAME_SIZE, decimated.length);
+  const frames: FrameAnalysis[] = [];
+
+  for (let start = 0; frameSize > 0 && start + frameSize <= decimated.length; start += frameSize) {
+    const frame = decimated.subarray(start, start + frameSize);
+    const energyLevel = calculateRms(frame);
+
+    frames.push({
+      offsetMs: (start / analysisRate) * 1000,
+      durationMs: (frameSize / analysisRate) * 1000,
+      dominantFrequency: detectPitch(frame, energyLevel, analysisRate),
+      energyLevel,
+    });
+  }
 
   return {
-    dominantFrequency,
-    energyLevel,
-    noiseFloor,
+    frames,
+    noiseFloor: estimateNoiseFloor(samples),
   };
 }
 
+/**
+ * Find the note(s) active at a timestamp (within the timing tolerance).
+ * Notes must be sorted by start time, as produced by parseUltraStar.
+ */
+function findActiveNotes(notes: SongNote[], timestamp: number): SongNote[] {
+  // Binary search for the first note starting after the tolerance window
+  let low = 0;
+  let high = notes.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (notes[mid].start - NOTE_TIMING_TOLERANCE_MS <= timestamp) low = mid + 1;
+    else high = mid;
+  }
+
+  // Walk back over notes that started earlier and may still be active
+  const active: SongNote[] = [];
+  for (let i = low - 1; i >= 0; i--) {
+    const note = notes[i];
+    // Notes are sequential; once one has ended, every earlier one has too
+    if (note.start + note.duration + NOTE_TIMING_TOLERANCE_MS < timestamp) break;
+    active.push(note);
+  }
+  return active;
+}
+
 /**
  * Calculate timing accuracy
  * 
- * Perfect timing: timestamp aligns with expected lyric timing
- * Window: ±200ms around expected timing
+ * Perfect timing: singing while the note is active
+ * Tolerance: linear falloff over ±NOTE_TIMING_TOLERANCE_MS around the note
  */
-function calculateTimingAccuracy(timestamp: number, expectedLineStart: number, lineDuration: number): number {
-  const lineEnd = expectedLineStart + lineDuration;
-  const windowStart = expectedLineStart - 200;
-  const windowEnd = lineEnd + 200;
+function calculateTimingAccuracy(timestamp: number, noteStart: number, noteDuration: number): number {
+  const noteEnd = noteStart + noteDuration;
 
-  // Outside window: 0% accuracy
-  if (timestamp < windowStart || timestamp > windowEnd) {
-    return 0;
+  if (timestamp >= noteStart && timestamp <= noteEnd) {
+    return 100;
   }
 
-  // Inside window: calculate how close to center
-  const lineCenter = expectedLineStart + lineDuration / 2;
-  const distanceFromCenter = Math.abs(timestamp - lineCenter);
-  const maxDistance = lineDuration / 2 + 200;
-
-  return Math.max(0, (1 - distanceFromCenter / maxDistance) * 100);
+  const distance = timestamp < noteStart ? noteStart - timestamp : timestamp - noteEnd;
+  return Math.max(0, (1 - distance / NOTE_TIMING_TOLERANCE_MS) * 100);
 }
 
 /**
  * Calculate pitch accuracy
  * 
- * Compare detected frequency against reference frequency
+ * Compare detected frequency against reference frequency, ignoring octaves
+ * (a bass singing a tenor line an octave down is on pitch, as in UltraStar)
  * Tolerance: ±1 semitone (5.6% frequency variation)
  */
 function calculatePitchAccuracy(detectedFreq: number, referenceFreq: number): number {
-  if (referenceFreq === 0) return 0;
+  if (referenceFreq === 0 || detectedFreq === 0) return 0;
 
   const ratio = detectedFreq / referenceFreq;
-  const semitones = 12 * Math.log2(ratio);
+  // Fold the interval into [-6, 6) semitones
+  const semitones = ((12 * Math.log2(ratio)) % 12 + 18) % 12 - 6;
 
   // ±1 semitone tolerance
   if (Math.abs(semitones) <= 1) {
@@ -103,18 +288,34 @@ function calculatePitchAccuracy(detectedFreq: number, referenceFreq: number): nu
 
   // ±2 semitones: reduced accuracy
   if (Math.abs(semitones) <= 2) {
-    return 50 - Math.abs(semitones - 1) * 25; // 0-50%
+    return 50 - (Math.abs(semitones) - 1) * 50; // 0-50%
   }
 
   return 0;
 }
 
+/**
+ * Calculate how well a frame matches a note (0-100)
+ * 
+ * Pitched notes compare the detected frequency; rap notes have no target
+ * pitch, so any voiced energy counts (loudness is weighed by confidence).
+ */
+function calculateNoteMatch(note: SongNote, frame: FrameAnalysis): number {
+  if (note.type === 'rap' || note.type === 'golden-rap') {
+    return frame.energyLevel >= SILENCE_RMS ? 100 : 0;
+  }
+  return calculatePitchAccuracy(frame.dominantFrequency, note.pitch);
+}
+
 /**
  * Calculate confidence from audio energy and noise floor
  */
 function calculateConfidence(energyLevel: number, noiseFloor: number): number {
-  const snr = energyLevel / (noiseFloor + 0.01); // SNR (signal-to-noise ratio)
-  
+  // Silence carries no information about the singer
+  if (energyLevel < SILENCE_RMS) return 0;
+
+  const snr = energyLevel / Math.max(noiseFloor, SILENCE_RMS / 10); // SNR (signal-to-noise ratio)
+
   // If SNR > 3: high confidence
   if (snr > 3) return 100;
   
@@ -126,116 +327,130 @@ function calculateConfidence(energyLevel: number, noiseFloor: number): number {
 }
 
 /**
- * Calculate score for a batch of audio chunks (100-200ms window)
+ * Calculate score for a batch of audio chunks against the song's note timeline
+ * 
+ * Each analysis frame is matched with the note(s) active at its timestamp;
+ * when several notes overlap the best-matching one is used. Frames in gaps
+ * between notes, or over freestyle notes, are skipped entirely.
  * 
- * Returns: { score: number, accuracy: number, combo: number }
+ * latencyMs is the player's calibrated mic + speaker delay: frames are matched
+ * as if they had been sung that much earlier.
+ * 
+ * combo is the player's streak of hit frames going into this batch.
+ * 
+ * Returns: { score, accuracy, combo, maxCombo, noiseFloor }
+ * combo is the streak after this batch and maxCombo the longest one reached in it;
+ * noiseFloor is the player's updated running estimate, to be passed into the next batch.
  */
 export function calculateBatchScore(
-  audioChunks: Array<{ timestamp: number; audioData: string }>,
-  currentLineIndex: number,
-  lineDurations: number[],
-  song: { lyrics: string[] }
-): { score: number; accuracy: number; combo: number } {
-  if (audioChunks.length === 0) {
-    return { score: 0, accuracy: 0, combo: 0 };
+  audioChunks: Array<{ timestamp: number; samples: Float32Array; sampleRate?: number }>,
+  notes: SongNote[],
+  noiseFloor: number | null = null,
+  latencyMs = 0,
+  combo = 0
+): ScoreUpdate & { noiseFloor: number | null } {
+  if (audioChunks.length === 0 || notes.length === 0) {
+    return { score: 0, accuracy: 0, combo, maxCombo: combo, noiseFloor };
   }
 
-  // Expected timing for current line
-  let expectedLineStart = 0;
-  for (let i = 0; i < currentLineIndex; i++) {
-    expectedLineStart += lineDurations[i] || 0;
-  }
-  const lineDuration = lineDurations[currentLineIndex] || 4000;
-
-  // Analyze all chunks in batch
-  let totalTimingAccuracy = 0;
-  let totalPitchAccuracy = 0;
-  let totalConfidence = 0;
-  let validChunks = 0;
+  let totalScore = 0;
+  let totalAccuracy = 0;
+  let scoredFrames = 0;
+  let maxCombo = combo;
 
   for (const chunk of audioChunks) {
-    // Simple reference frequency (simulate lyric pitch)
-    // Real implementation: extract from expected lyric
-    const referenceFrequency = 300 + currentLineIndex * 20; // Varies per line
-
-    const analysis = analyzeAudioChunk(chunk.audioData, referenceFrequency);
-    const timingAccuracy = calculateTimingAccuracy(chunk.timestamp, expectedLineStart, lineDuration);
-    const pitchAccuracy = calculatePitchAccuracy(analysis.dominantFrequency, referenceFrequency);
-    const confidence = calculateConfidence(analysis.energyLevel, analysis.noiseFloor);
-
-    totalTimingAccuracy += timingAccuracy;
-    totalPitchAccuracy += pitchAccuracy;
-    totalConfidence += confidence;
-    validChunks++;
+    const analysis = analyzeAudioChunk(chunk.samples, chunk.sampleRate || DEFAULT_SAMPLE_RATE);
+    noiseFloor = trackNoiseFloor(noiseFloor, analysis.noiseFloor);
+
+    for (const frame of analysis.frames) {
+      // Score the frame at its centre, shifted back by the player's calibrated latency
+      const frameTime = chunk.timestamp - latencyMs + frame.offsetMs + frame.durationMs / 2;
+      const activeNotes = findActiveNotes(notes, frameTime)
+        .filter(note => note.type !== 'freestyle');
+
+      // Gap between notes (or freestyle): neither earn nor lose points
+      if (activeNotes.length === 0) continue;
+
+      const confidence = calculateConfidence(frame.energyLevel, noiseFloor);
+
+      // Pick the best-scoring note (timing x match x multiplier, then timing alone)
+      let best = { timing: 0, pitch: 0, multiplier: 1 };
+      for (const note of activeNotes) {
+        const timing = calculateTimingAccuracy(frameTime, note.start, note.duration);
+        const pitch = calculateNoteMatch(note, frame);
+        const multiplier = note.type === 'golden' || note.type === 'golden-rap' ? GOLDEN_NOTE_MULTIPLIER : 1;
+
+        const value = timing * pitch * multiplier;
+        const bestValue = best.timing * best.pitch * best.multiplier;
+        if (value > bestValue || (value === bestValue && timing > best.timing)) {
+          best = { timing, pitch, multiplier };
+        }
+      }
+
+      totalScore += (best.timing * best.pitch * confidence / 1000000) * best.multiplier * POINTS_PER_SECOND * frame.durationMs / 1000;
+      totalAccuracy += (best.timing + best.pitch) / 2;
+      scoredFrames++;
+
+      if (best.timing > 0 && best.pitch >= HIT_PITCH_ACCURACY && confidence > 0) {
+        combo++;
+        maxCombo = Math.max(maxCombo, combo);
+      } else {
+        combo = 0;
+      }
+    }
   }
 
-  if (validChunks === 0) {
-    return { score: 0, accuracy: 0, combo: 0 };
+  if (scoredFrames === 0) {
+    return { score: 0, accuracy: 0, combo, maxCombo, noiseFloor };
   }
 
-  // Average metrics
-  const avgTimingAccuracy = totalTimingAccuracy / validChunks;
-  const avgPitchAccuracy = totalPitchAccuracy / validChunks;
-  const avgConfidence = totalConfidence / validChunks;
-
-  // Calculate score
-  // Base points per syllable (assume ~3-4 syllables per line)
-  const basePointsPerSyllable = 50;
-  const syllablesInLine = Math.ceil(song.lyrics[currentLineIndex]?.length / 5) || 3;
-
-  const baseScore = (avgTimingAccuracy * avgPitchAccuracy * avgConfidence / 10000) * basePointsPerSyllable * syllablesInLine;
-
-  // Combo: assume +1 for each valid chunk (will be calculated per-player based on hits)
-  const combo = validChunks;
-
-  // Overall accuracy (0-100)
-  const accuracy = (avgTimingAccuracy + avgPitchAccuracy) / 2;
-
   return {
-    score: Math.round(baseScore),
-    accuracy: Math.round(accuracy),
+    score: Math.round(totalScore),
+    accuracy: Math.round(totalAccuracy / scoredFrames),
     combo,
+    maxCombo,
+    noiseFloor,
   };
 }
 
+/**
+ * Notes a player is scored against: their duet part, or the whole song
+ */
+function getNotesForPlayer(song: Song, duetPart: number | null | undefined): SongNote[] {
+  if (song.tracks && duetPart != null) {
+    return song.tracks[duetPart]?.notes ?? song.notes;
+  }
+  return song.notes;
+}
+
 /**
  * Process all audio chunks in a lobby battle and update scores
- * Called periodically (every 100-200ms) during battle
+ * Called periodically (every 500ms) during battle
  * 
  * TODO: PRODUCTION - Optimize chunk processing for large batches
  */
-export function updateBattleScores(lobby: Lobby): Map<string, { score: number; accuracy: number; combo: number }> {
-  const updates = new Map<string, { score: number; accuracy: number; combo: number }>();
+export function updateBattleScores(lobby: Lobby): Map<string, ScoreUpdate> {
+  const updates = new Map<string, ScoreUpdate>();
 
   if (!lobby.battle.song || !lobby.battle.battleStartTime) {
     return updates;
   }
 
-  const elapsedMs = Date.now() - lobby.battle.battleStartTime;
-  let currentLineIndex = 0;
-  let timeAccumulated = 0;
-
-  // Find current line based on elapsed time
-  for (let i = 0; i < lobby.battle.song.lineDurations.length; i++) {
-    timeAccumulated += lobby.battle.song.lineDurations[i];
-    if (timeAccumulated > elapsedMs) {
-      currentLineIndex = i;
-      break;
-    }
-  }
-
   // Process chunks for each player
   for (const [userId, buffer] of lobby.battle.currentAudioChunks) {
     if (buffer.chunks.length === 0) continue;
 
-    const scoreUpdate = calculateBatchScore(
+    const player = lobby.players.get(userId);
+    const { noiseFloor, ...scoreUpdate } = calculateBatchScore(
       buffer.chunks,
-      currentLineIndex,
-      lobby.battle.song.lineDurations,
-      lobby.battle.song
+      getNotesForPlayer(lobby.battle.song, player?.duetPart),
+      buffer.noiseFloor,
+      player?.audioLatencyMs ?? 0,
+      player?.combo ?? 0
     );
 
     updates.set(userId, scoreUpdate);
+    buffer.noiseFloor = noiseFloor;
 
     // Mark as calculated (don't re-process)
     buffer.scoreCalculated = true;
@@ -0,0 +1,120 @@
+/**
+ * SONG CATALOG
+ *
+ * Read-only view of the loaded songs for the REST API:
+ * metadata only (no notes/lyrics), text search, filters and pagination.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import type { Song } from '../types/state.js';
+
+export interface CatalogEntry {
+  id: string;
+  name: string;
+  artist: string;
+  genre: string | null;
+  year: number | null;
+  language: string | null;
+  duration: number; // ms
+  bpm: number | null;
+  isDuet: boolean;
+  coverUrl: string | null; // absolute URL or server path (/songs/...)
+  audioUrl: string | null; // server path (/api/songs/:songId/file)
+}
+
+export interface CatalogQuery {
+  q?: string;        // matches name or artist (case-insensitive)
+  artist?: string;
+  genre?: string;
+  language?: string;
+  year?: number;
+  duet?: boolean;
+  limit?: number;
+  offset?: number;
+}
+
+export interface CatalogPage {
+  total: number;
+  limit: number;
+  offset: number;
+  songs: CatalogEntry[];
+  filters: {
+    genres: string[];
+    languages: string[];
+  };
+}
+
+/**
+ * Cover URL: remote covers pass through, local ones are served from /songs/
+ * (only if the file actually exists). Cached on the song, so the file is
+ * checked once per load instead of on every search; reloading the songs
+ * creates fresh entries
+ */
+function resolveCoverUrl(song: Song, songsDir: string): string | null {
+  if (song.coverUrl !== undefined) return song.coverUrl;
+
+  if (!song.cover) {
+    song.coverUrl = null;
+  } else if (/^https?:\/\//i.test(song.cover)) {
+    song.coverUrl = song.cover;
+  } else {
+    song.coverUrl = fs.existsSync(path.join(songsDir, song.cover))
+      ? `/songs/${encodeURIComponent(song.cover)}`
+      : null;
+  }
+  return song.coverUrl;
+}
+
+export function toCatalogEntry(song: Song, songsDir: string): CatalogEntry {
+  return {
+    id: song.id,
+    name: song.name,
+    artist: song.artist || 'Unknown',
+    genre: song.genre || null,
+    year: song.year ?? null,
+    language: song.language || null,
+    duration: Math.round(song.duration),
+    bpm: song.bpm ?? null,
+    isDuet: Boolean(song.tracks),
+    coverUrl: resolveCoverUrl(song, songsDir),
+    audioUrl: song.mp3 ? `/api/songs/${encodeURIComponent(song.id)}/file` : null,
+  };
+}
+
+function equalsIgnoreCase(a: string | null, b: string): boolean {
+  return a !== null && a.toLowerCase() === b.toLowerCase();
+}
+
+function distinctSorted(values: Array<string | null>): string[] {
+  return Array.from(new Set(values.filter((v): v is string => Boolean(v)))).sort();
+}
+
+/**
+ * Search and page through the catalog (sorted by artist, then name)
+ */
+export function searchSongs(songs: Song[], songsDir: string, query: CatalogQuery = {}): CatalogPage {
+  const { q, artist, genre, language, year, duet, limit = 20, offset = 0 } = query;
+  const entries = songs.map(song => toCatalogEntry(song, songsDir));
+  const needle = q?.trim().toLowerCase();
+
+  const matching = entries
+    .filter(s => !needle || s.name.toLowerCase().includes(needle) || s.artist.toLowerCase().includes(needle))
+    .filter(s => !artist || equalsIgnoreCase(s.artist, artist))
+    .filter(s => !genre || equalsIgnoreCase(s.genre, genre))
+    .filter(s => !language || equalsIgnoreCase(s.language, language))
+    .filter(s => year === undefined || s.year === year)
+    .filter(s => duet === undefined || s.isDuet === duet)
+    .sort((a, b) => a.artist.localeCompare(b.artist) || a.name.localeCompare(b.name));
+
+  return {
+    total: matching.length,
+    limit,
+    offset,
+    songs: matching.slice(offset, offset + limit),
+    filters: {
+      genres: distinctSorted(entries.map(s => s.genre)),
+      languages: distinctSorted(entries.map(s => s.language)),
+    },
+  };
+}
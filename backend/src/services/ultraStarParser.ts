@@ -1,10 +1,77 @@
 
-import type { Song } from '../types/state.js';
+import type { Song, SongNote, SongTrack, NoteType } from '../types/state.js';
 import * as fs from 'fs';
 import * as path from 'path';
 
+const NOTE_TYPES: Record<string, NoteType> = {
+    ':': 'normal',
+    '*': 'golden',
+    'F': 'freestyle',
+    'R': 'rap',
+    'G': 'golden-rap',
+};
+
+interface TrackBuilder extends SongTrack {
+    currentLineNotes: SongNote[];
+}
+
+function createTrack(name: string): TrackBuilder {
+    return { name, lyrics: [], lineDurations: [], lineTimings: [], notes: [], currentLineNotes: [] };
+}
+
+/**
+ * Close the track's current line: record its text and timing, move its notes over
+ */
+function flushLine(track: TrackBuilder, isLastLine: boolean): void {
+    const lineNotes = track.currentLineNotes;
+    if (lineNotes.length === 0) return;
+
+    track.lyrics.push(lineNotes.map(n => n.lyric).join(''));
+
+    const firstNoteStart = lineNotes[0].start;
+    const lastNoteEnd = lineNotes[lineNotes.length - 1].start + lineNotes[lineNotes.length - 1].duration;
+
+    track.lineTimings.push(firstNoteStart);
+    // Pad for display; last line gets a fixed default
+    track.lineDurations.push(isLastLine ? 5000 : (lastNoteEnd - firstNoteStart) + 1000);
+
+    track.notes.push(...lineNotes);
+    track.currentLineNotes = [];
+}
+
+/**
+ * Put lines and notes in time order. Duet tracks get shared "P3" sections
+ * merged in, which can land them out of order; scoring relies on notes
+ * sorted by start
+ */
+function sortTrack(track: TrackBuilder): void {
+    const order = track.lineTimings.map((_, i) => i).sort((a, b) => track.lineTimings[a] - track.lineTimings[b]);
+    track.lyrics = order.map(i => track.lyrics[i]);
+    track.lineDurations = order.map(i => track.lineDurations[i]);
+    track.lineTimings = order.map(i => track.lineTimings[i]);
+    track.notes.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Cover image: #COVER, else the "co=" entry of #VIDEO, else #BACKGROUND
+ * (filename relative to the song file, or an absolute URL)
+ */
+function findCover(headers: Record<string, string>): string | undefined {
+    if (headers['COVER']) return headers['COVER'];
+
+    const videoCover = headers['VIDEO']?.split(',')
+        .map(part => part.trim())
+        .find(part => part.startsWith('co='));
+    if (videoCover) return videoCover.substring(3);
+
+    return headers['BACKGROUND'];
+}
+
 /**
  * Parse UltraStar .txt file into Game Song format
+ * 
+ * Duet files produce one entry in `tracks` per part; the top-level
+ * lyrics/notes mirror the first part so solo consumers keep working.
  */
 export function parseUltraStar(filePath: string): Song | null {
     try {
@@ -46,46 +113,40 @@ export function parseUltraStar(filePath: string): Song | null {
         // Standard UltraStar resolution: beatDuration = 60000 / (BPM * 4)
         const msPerBeat = 60000 / (bpm * 4);
 
-        const parsedNotes: Array<{ pitch: number, start: number, duration: number, lyric: string }> = [];
-        const songLines: string[] = [];
-        const lineDurations: number[] = [];
-        const lineTimings: number[] = [];
-
-        let currentLineNotes: any[] = [];
+        // Duet files split notes into "P1"/"P2" sections ("P3" = both singers)
+        const isDuet = rawNoteLines.some(line => /^\s*P\s*[12]\s*$/.test(line));
+        const tracks: TrackBuilder[] = isDuet
+            ? [createTrack(headers['DUETSINGERP1'] || headers['P1'] || 'P1'), createTrack(headers['DUETSINGERP2'] || headers['P2'] || 'P2')]
+            : [createTrack('P1')];
+        let activeTracks: TrackBuilder[] = [tracks[0]];
 
         // Process note lines
         for (const line of rawNoteLines) {
+            // Part marker: "P1" | "P2" | "P3"
+            const partMatch = line.match(/^\s*P\s*([123])\s*$/);
+            if (partMatch) {
+                activeTracks.forEach(track => flushLine(track, false));
+                const part = parseInt(partMatch[1]);
+                activeTracks = part === 3 ? tracks : [tracks[Math.min(part, tracks.length) - 1]];
+            }
             // Line Break: "- [StartBeat]"
-            if (line.startsWith('-')) {
-                if (currentLineNotes.length > 0) {
-                    const lineText = currentLineNotes.map(n => n.lyric).join('');
-                    songLines.push(lineText);
-
-                    // Calculate duration and push timing
-                    const firstNoteStart = currentLineNotes[0].start;
-                    const lastNoteEnd = currentLineNotes[currentLineNotes.length - 1].start +
-                        currentLineNotes[currentLineNotes.length - 1].duration;
-
-                    lineTimings.push(firstNoteStart);
-                    lineDurations.push((lastNoteEnd - firstNoteStart) + 1000); // Pad for display
-
-                    parsedNotes.push(...currentLineNotes);
-                    currentLineNotes = [];
-                }
+            else if (line.startsWith('-')) {
+                activeTracks.forEach(track => flushLine(track, false));
             }
             // Note: ": [Start] [Dur] [Pitch] [Lyric]"
-            // Types: : (normal), * (golden), F (freestyle), R (relative), G (golden-freestyle)
+            // Types: : (normal), * (golden), F (freestyle), R (rap), G (golden rap)
             else if (/^\s*[:*FRG]/.test(line)) {
                 // Regex: Type Start Beats Pitch <sep> Lyric
                 // We use \s for the separator space. 
                 // Everything after that first separator space is the lyric.
-                const match = line.match(/^\s*[:*FRG]\s+(\d+)\s+(\d+)\s+(-?\d+)\s(.*)$/);
+                const match = line.match(/^\s*([:*FRG])\s+(\d+)\s+(\d+)\s+(-?\d+)\s(.*)$/);
 
                 if (match) {
-                    const startRaw = parseInt(match[1]);
-                    const durationRaw = parseInt(match[2]);
-                    const pitchRaw = parseInt(match[3]);
-                    const lyric = match[4] || "";
+                    const type = NOTE_TYPES[match[1]];
+                    const startRaw = parseInt(match[2]);
+                    const durationRaw = parseInt(match[3]);
+                    const pitchRaw = parseInt(match[4]);
+                    const lyric = match[5] || "";
 
                     const startTime = gap + (startRaw * msPerBeat);
                     const durationMs = durationRaw * msPerBeat;
@@ -93,42 +154,52 @@ export function parseUltraStar(filePath: string): Song | null {
                     // Pitch calculation: 0 = C4 (261.63Hz)
                     const pitchHz = 261.63 * Math.pow(2, pitchRaw / 12);
 
-                    currentLineNotes.push({
-                        pitch: pitchHz,
-                        start: startTime,
-                        duration: durationMs,
-                        lyric: lyric
-                    });
+                    for (const track of activeTracks) {
+                        track.currentLineNotes.push({
+                            pitch: pitchHz,
+                            start: startTime,
+                            duration: durationMs,
+                            lyric: lyric,
+                            type: type
+                        });
+                    }
                 }
             }
         }
 
-        // Flush last line
-        if (currentLineNotes.length > 0) {
-            const lineText = currentLineNotes.map(n => n.lyric).join('');
-            songLines.push(lineText);
+        // Flush last line of every track
+        tracks.forEach(track => {
+            flushLine(track, true);
+            sortTrack(track);
+        });
 
-            const firstNoteStart = currentLineNotes[0].start;
-            lineTimings.push(firstNoteStart);
-            lineDurations.push(5000); // Default for last line
+        const songTracks: SongTrack[] = tracks.map(({ currentLineNotes: _pending, ...track }) => track);
+        const main = songTracks[0];
 
-            parsedNotes.push(...currentLineNotes);
-        }
+        // Song ends 5s after the last note of any part
+        const lastNoteStart = Math.max(0, ...songTracks.map(t => t.notes.length > 0 ? t.notes[t.notes.length - 1].start : 0));
+        const hasNotes = songTracks.some(t => t.notes.length > 0);
+
+        const year = parseInt(headers['YEAR']);
 
         return {
             id: headers['TITLE'].replace(/\s+/g, '_').toLowerCase(),
             name: headers['TITLE'],
             artist: headers['ARTIST'] || 'Unknown',
+            genre: headers['GENRE'] || undefined,
+            year: Number.isFinite(year) ? year : undefined,
+            language: headers['LANGUAGE'] || undefined,
             bpm: bpm,
             gap: gap,
             mp3: headers['MP3'],
-            cover: headers['COVER'] || headers['BACKGROUND'],
-            lyrics: songLines,
-            lineDurations: lineDurations,
-            lineTimings: lineTimings,
-            duration: parsedNotes.length > 0 ? (parsedNotes[parsedNotes.length - 1].start + 5000) : 0,
-            notes: parsedNotes
-        } as any;
+            cover: findCover(headers),
+            lyrics: main.lyrics,
+            lineDurations: main.lineDurations,
+            lineTimings: main.lineTimings,
+            duration: hasNotes ? (lastNoteStart + 5000) : 0,
+            notes: main.notes,
+            ...(isDuet && { tracks: songTracks })
+        };
     } catch (err) {
         console.error(`[UltraStar] Error parsing ${filePath}:`, err);
         return null;
@@ -5,27 +5,123 @@
  * This is the single source of truth.
  */
 
+import { randomBytes, randomInt, timingSafeEqual } from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
-import type { Lobby, Player, GameState, Song } from '../types/state.js';
+import { verifyPassword } from '../services/roomPassword.js';
+import type { Lobby, Player, GameState, Song, MicCheckStatus, PlayerRole, LobbyVisibility } from '../types/state.js';
+
+// Upper bound for a client-reported audio latency calibration
+const MAX_AUDIO_LATENCY_MS = 1000;
+
+// Spectators don't count toward maxPlayers, but a lobby still needs a limit
+const MAX_SPECTATORS = 16;
+
+// How long singers get to buffer the song before the host can act on stragglers
+const LOADING_DEADLINE_MS = 30000;
+
+// Countdown before a paused battle picks up again
+const RESUME_COUNTDOWN_MS = 3000;
+
+// Per-seat RESUME_SESSION secret (userIds are visible to everyone in the lobby)
+const RESUME_TOKEN_BYTES = 16;
+
+function createResumeToken(): string {
+  return randomBytes(RESUME_TOKEN_BYTES).toString('hex');
+}
 
 const gameState: GameState = {
   lobbies: new Map(),
   userLobbies: new Map(),
+  roomCodes: new Map(),
 };
 
+// No look-alikes (0/O, 1/I), so codes read out loud or off a screen survive
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+
 /**
- * Generate 6-char alphanumeric room code (not guaranteed unique, but 17M combinations)
+ * Generate a 6-char room code not used by any open lobby (32^6 ≈ 1B combinations)
  */
 function generateRoomCode(): string {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let code = '';
-  for (let i = 0; i < 6; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
+  let code: string;
+  do {
+    code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code += ROOM_CODE_ALPHABET.charAt(randomInt(ROOM_CODE_ALPHABET.length));
+    }
+  } while (gameState.roomCodes.has(code));
   return code;
 }
 
-export function createLobby(hostId: string, hostName: string, roomName: string): Lobby {
+/**
+ * Canonical form of a typed room code (case-insensitive, surrounding spaces ignored)
+ */
+function normalizeRoomCode(code: string): string {
+  return code.trim().toUpperCase();
+}
+
+/**
+ * Move the lobby to a new phase (a phase change counts as activity for idle timeouts)
+ */
+function setPhase(lobby: Lobby, phase: Lobby['battle']['phase']): void {
+  lobby.battle.phase = phase;
+  lobby.lastActivityAt = Date.now();
+}
+
+/**
+ * Players who sing (and must ready up, load and finish); spectators excluded
+ */
+export function getSingers(lobby: Lobby): Player[] {
+  return Array.from(lobby.players.values()).filter(p => p.role === 'singer');
+}
+
+/**
+ * Singers taking part in the current battle (not sitting it out after a force start)
+ */
+export function getBattleSingers(lobby: Lobby): Player[] {
+  return getSingers(lobby).filter(p => !p.sittingOut);
+}
+
+/**
+ * Connected singers who haven't sent PLAYER_LOADED yet
+ */
+export function getStragglers(lobby: Lobby): Player[] {
+  return getSingers(lobby).filter(p => p.connected && !p.isLoaded);
+}
+
+/**
+ * Give every player without a valid part the least-filled duet part
+ * (clears parts when the selected song is not a duet)
+ */
+function assignDuetParts(lobby: Lobby): void {
+  const partCount = lobby.battle.song?.tracks?.length || 0;
+
+  if (partCount === 0) {
+    for (const player of lobby.players.values()) player.duetPart = null;
+    return;
+  }
+
+  const counts = new Array(partCount).fill(0);
+  for (const player of lobby.players.values()) {
+    if (player.role === 'singer' && player.duetPart !== null && player.duetPart < partCount) counts[player.duetPart]++;
+    else player.duetPart = null;
+  }
+
+  for (const player of getSingers(lobby)) {
+    if (player.duetPart !== null) continue;
+    const part = counts.indexOf(Math.min(...counts));
+    player.duetPart = part;
+    counts[part]++;
+  }
+}
+
+export function createLobby(
+  hostId: string,
+  hostName: string,
+  roomName: string,
+  visibility: LobbyVisibility = 'private',
+  passwordHash: string | null = null // from hashPassword
+): Lobby {
   const lobbyId = uuidv4();
   const roomCode = generateRoomCode();
 
@@ -33,13 +129,21 @@ export function createLobby(hostId: string, hostName: string, roomName: string):
     id: lobbyId,
     code: roomCode,
     name: roomName,
+    visibility,
     hostId,
     maxPlayers: 4,
     players: new Map(),
+    bannedUserIds: new Set(),
+    passwordHash,
     createdAt: Date.now(),
+    lastActivityAt: Date.now(),
     battle: {
       phase: 'LOBBY',
       battleStartTime: null,
+      loadingDeadline: null,
+      loadingTimedOut: false,
+      pausedAt: null,
+      resumeAt: null,
       song: null,
       currentAudioChunks: new Map(),
     },
@@ -52,32 +156,45 @@ export function createLobby(hostId: string, hostName: string, roomName: string):
     ready: false,
     score: 0,
     combo: 0,
+    maxCombo: 0,
     accuracy: 0,
     connected: true,
+    disconnectedAt: null,
+    resumeToken: createResumeToken(),
     isHost: true,
-    isLoaded: false
+    role: 'singer',
+    isLoaded: false,
+    loadProgress: 0,
+    sittingOut: false,
+    finished: false,
+    duetPart: null,
+    audioLatencyMs: 0,
+    micCheck: 'unchecked'
   };
 
   lobby.players.set(hostId, hostPlayer);
 
   // Store in game state
   gameState.lobbies.set(lobbyId, lobby);
+  gameState.roomCodes.set(roomCode, lobbyId);
   gameState.userLobbies.set(hostId, lobbyId);
 
   return lobby;
 }
 
-export function joinLobby(lobbyId: string, userId: string, userName: string): Lobby | null {
+export function joinLobby(lobbyId: string, userId: string, userName: string, role: PlayerRole = 'singer'): Lobby | null {
   const lobby = gameState.lobbies.get(lobbyId);
   if (!lobby) return null;
 
-  // Already in lobby
-  if (lobby.players.has(userId)) {
-    return lobby;
-  }
+  // Banned by the host
+  if (lobby.bannedUserIds.has(userId)) return null;
+
+  // Seat taken: a returning player goes through resumeSession (token checked)
+  if (lobby.players.has(userId)) return null;
 
-  // Lobby full
-  if (lobby.players.size >= lobby.maxPlayers) {
+  // Lobby full (seats are for singers; spectators have their own limit)
+  const sameRole = Array.from(lobby.players.values()).filter(p => p.role === role).length;
+  if (sameRole >= (role === 'singer' ? lobby.maxPlayers : MAX_SPECTATORS)) {
     return null;
   }
 
@@ -88,14 +205,25 @@ export function joinLobby(lobbyId: string, userId: string, userName: string): Lo
     ready: false,
     score: 0,
     combo: 0,
+    maxCombo: 0,
     accuracy: 0,
     connected: true,
+    disconnectedAt: null,
+    resumeToken: createResumeToken(),
     isHost: false,
-    isLoaded: false
+    role,
+    isLoaded: false,
+    loadProgress: 0,
+    sittingOut: false,
+    finished: false,
+    duetPart: null,
+    audioLatencyMs: 0,
+    micCheck: 'unchecked'
   };
 
   lobby.players.set(userId, player);
   gameState.userLobbies.set(userId, lobbyId);
+  assignDuetParts(lobby);
 
   return lobby;
 }
@@ -105,35 +233,261 @@ export function leaveLobby(lobbyId: string, userId: string): void {
   if (!lobby) return;
 
   lobby.players.delete(userId);
+  lobby.battle.currentAudioChunks.delete(userId);
   gameState.userLobbies.delete(userId);
 
-  // If host left, reassign to first remaining player
+  // If host left, reassign to first remaining (preferably connected) player
   if (lobby.hostId === userId && lobby.players.size > 0) {
-    const newHost = lobby.players.values().next().value;
+    const remaining = Array.from(lobby.players.values());
+    const newHost = remaining.find(p => p.connected && p.role === 'singer')
+      || remaining.find(p => p.connected)
+      || remaining[0];
     if (newHost) {
       lobby.hostId = newHost.id;
       newHost.isHost = true;
     }
   }
 
-  // Delete empty lobby
+  // Delete empty lobby (its code can be handed out again)
   if (lobby.players.size === 0) {
     gameState.lobbies.delete(lobbyId);
+    gameState.roomCodes.delete(lobby.code);
   }
 }
 
-export function setPlayerReady(lobbyId: string, userId: string, isReady: boolean): Lobby | null {
+/**
+ * Host removes a player; with ban they can't rejoin this lobby
+ * Returns null if the lobby or player doesn't exist
+ */
+export function kickPlayer(lobbyId: string, userId: string, ban = false): Lobby | null {
+  const lobby = gameState.lobbies.get(lobbyId);
+  if (!lobby || !lobby.players.has(userId)) return null;
+
+  if (ban) lobby.bannedUserIds.add(userId);
+  leaveLobby(lobbyId, userId);
+  return lobby;
+}
+
+export function isSeated(lobbyId: string, userId: string): boolean {
+  return gameState.lobbies.get(lobbyId)?.players.has(userId) ?? false;
+}
+
+export function isBanned(lobbyId: string, userId: string): boolean {
+  return gameState.lobbies.get(lobbyId)?.bannedUserIds.has(userId) ?? false;
+}
+
+/**
+ * Whether this password lets a new player in. Lobbies without a password don't
+ * need one; a socket already bound to its seat never gets here (see handleJoinLobby)
+ */
+export async function passwordAccepted(lobbyId: string, password?: string): Promise<boolean> {
+  const lobby = gameState.lobbies.get(lobbyId);
+  if (!lobby || !lobby.passwordHash) return true;
+
+  return password !== undefined && verifyPassword(password, lobby.passwordHash);
+}
+
+/**
+ * Hand the host role to another player in the lobby
+ * Returns null unless the target is a connected singer (a spectator can't
+ * ready up or start, a dropped player can't host at all)
+ */
+export function transferHost(lobbyId: string, newHostId: string): Lobby | null {
+  const lobby = gameState.lobbies.get(lobbyId);
+  if (!lobby) return null;
+
+  const newHost = lobby.players.get(newHostId);
+  if (!newHost || newHost.role === 'spectator' || !newHost.connected) return null;
+
+  const oldHost = lobby.players.get(lobby.hostId);
+  if (oldHost) oldHost.isHost = false;
+
+  lobby.hostId = newHostId;
+  newHost.isHost = true;
+  return lobby;
+}
+
+/**
+ * Socket dropped: keep the player's seat, score and host role for the
+ * reconnect grace period instead of removing them
+ */
+export function markDisconnected(lobbyId: string, userId: string): Lobby | null {
   const lobby = gameState.lobbies.get(lobbyId);
   if (!lobby) return null;
 
   const player = lobby.players.get(userId);
   if (!player) return null;
 
+  player.connected = false;
+  player.disconnectedAt = Date.now();
+  return lobby;
+}
+
+/**
+ * Rebind a player after reconnecting. Needs the seat's resumeToken and fails
+ * once the grace period expired. A seat still marked connected can be taken
+ * over too: the server may not have noticed the old socket dying yet, and
+ * only the seat's own client has the token
+ */
+export function resumeSession(
+  lobbyId: string,
+  userId: string,
+  resumeToken: string,
+  gracePeriodMs: number
+): Lobby | null {
+  const lobby = gameState.lobbies.get(lobbyId);
+  if (!lobby) return null;
+
+  const player = lobby.players.get(userId);
+  if (!player) return null;
+
+  const expected = Buffer.from(player.resumeToken);
+  const actual = Buffer.from(resumeToken);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+  if (!player.connected && player.disconnectedAt !== null && Date.now() - player.disconnectedAt > gracePeriodMs) {
+    return null;
+  }
+
+  player.connected = true;
+  player.disconnectedAt = null;
+
+  // The resumed client may number its audio frames from 0 again
+  const buffer = lobby.battle.currentAudioChunks.get(userId);
+  if (buffer) buffer.lastSequence = null;
+  return lobby;
+}
+
+/**
+ * Remove players whose reconnect grace period has run out
+ * Returns the removed players so callers can notify the lobbies
+ */
+export function expireDisconnectedPlayers(gracePeriodMs: number): Array<{ lobbyId: string; userId: string }> {
+  const now = Date.now();
+  const expired: Array<{ lobbyId: string; userId: string }> = [];
+
+  for (const lobby of gameState.lobbies.values()) {
+    for (const player of lobby.players.values()) {
+      if (!player.connected && player.disconnectedAt !== null && now - player.disconnectedAt > gracePeriodMs) {
+        expired.push({ lobbyId: lobby.id, userId: player.id });
+      }
+    }
+  }
+
+  for (const { lobbyId, userId } of expired) {
+    leaveLobby(lobbyId, userId);
+  }
+
+  return expired;
+}
+
+/**
+ * Record activity from a lobby member (resets the lobby's idle timeout)
+ */
+export function touchLobby(lobbyId: string): void {
+  const lobby = gameState.lobbies.get(lobbyId);
+  if (lobby) lobby.lastActivityAt = Date.now();
+}
+
+/**
+ * Delete lobbies that sat in LOBBY, LOADING, RESULTS or a paused battle longer
+ * than that state's timeout without activity (a running battle ends on its own
+ * via the song timeout).
+ * Returns the closed lobbies and who was in them so callers can notify them
+ */
+export function closeIdleLobbies(
+  idleTimeoutsMs: Record<'LOBBY' | 'LOADING' | 'RESULTS' | 'PAUSED', number>
+): Array<{ lobbyId: string; userIds: string[] }> {
+  const now = Date.now();
+  const closed: Array<{ lobbyId: string; userIds: string[] }> = [];
+
+  for (const lobby of gameState.lobbies.values()) {
+    const { phase, pausedAt } = lobby.battle;
+    if (phase === 'IN_BATTLE' && pausedAt === null) continue;
+    const timeoutMs = phase === 'IN_BATTLE' ? idleTimeoutsMs.PAUSED : idleTimeoutsMs[phase];
+    if (now - lobby.lastActivityAt <= timeoutMs) continue;
+
+    closed.push({ lobbyId: lobby.id, userIds: Array.from(lobby.players.keys()) });
+  }
+
+  for (const { lobbyId, userIds } of closed) {
+    const lobby = gameState.lobbies.get(lobbyId)!;
+    for (const userId of userIds) {
+      if (gameState.userLobbies.get(userId) === lobbyId) gameState.userLobbies.delete(userId);
+    }
+    gameState.roomCodes.delete(lobby.code);
+    gameState.lobbies.delete(lobbyId);
+  }
+
+  return closed;
+}
+
+/**
+ * Remove connected singers who haven't sent audio for timeoutMs during a battle
+ * (counted from the battle start if they never sent any).
+ * Returns the removed players so callers can notify the lobbies
+ */
+export function removeSilentSingers(timeoutMs: number): Array<{ lobbyId: string; userId: string }> {
+  const now = Date.now();
+  const silent: Array<{ lobbyId: string; userId: string }> = [];
+
+  for (const lobby of gameState.lobbies.values()) {
+    const { battleStartTime: startTime, pausedAt, resumeAt } = lobby.battle;
+    if (lobby.battle.phase !== 'IN_BATTLE' || startTime === null || startTime > now) continue;
+    if (pausedAt !== null) continue; // nobody sings while paused
+
+    for (const player of getBattleSingers(lobby)) {
+      if (!player.connected || player.finished) continue;
+
+      // A timestamp from an earlier battle is older than this battle's start,
+      // and silence before the last resume doesn't count either
+      const lastHeard = Math.max(player.lastAudioChunkTimestamp ?? 0, startTime, resumeAt ?? 0);
+      if (now - lastHeard > timeoutMs) {
+        silent.push({ lobbyId: lobby.id, userId: player.id });
+      }
+    }
+  }
+
+  for (const { lobbyId, userId } of silent) {
+    leaveLobby(lobbyId, userId);
+  }
+
+  return silent;
+}
+
+/**
+ * Drop userLobbies entries whose lobby is gone or no longer has the user
+ * Returns how many were removed
+ */
+export function pruneUserLobbies(): number {
+  let pruned = 0;
+
+  for (const [userId, lobbyId] of gameState.userLobbies) {
+    if (!gameState.lobbies.get(lobbyId)?.players.has(userId)) {
+      gameState.userLobbies.delete(userId);
+      pruned++;
+    }
+  }
+
+  return pruned;
+}
+
+export function setPlayerReady(lobbyId: string, userId: string, isReady: boolean): Lobby | null {
+  const lobby = gameState.lobbies.get(lobbyId);
+  if (!lobby) return null;
+
+  const player = lobby.players.get(userId);
+  if (!player || player.role === 'spectator') return null;
+
   player.ready = isReady;
   return lobby;
 }
 
-export function setPlayerLoaded(lobbyId: string, userId: string): { lobby: Lobby, allLoaded: boolean } | null {
+export function setPlayerLoaded(
+  lobbyId: string,
+  userId: string,
+  audioLatencyMs?: number
+): { lobby: Lobby, allLoaded: boolean } | null {
   const lobby = gameState.lobbies.get(lobbyId);
   if (!lobby) return null;
 
@@ -141,28 +495,159 @@ export function setPlayerLoaded(lobbyId: string, userId: string): { lobby: Lobby
   if (!player) return null;
 
   player.isLoaded = true;
+  player.loadProgress = 1;
+  if (audioLatencyMs !== undefined) {
+    player.audioLatencyMs = Math.min(Math.max(audioLatencyMs, 0), MAX_AUDIO_LATENCY_MS);
+  }
   console.log(`[Lobby] Player ${userId} loaded song.`);
 
-  // Check if ALL connected players are loaded
-  let allLoaded = true;
-  for (const p of lobby.players.values()) {
-    if (p.connected && !p.isLoaded) {
-      allLoaded = false;
-      break;
-    }
+  // Late loaders (battle already force-started) just stay sitting out
+  if (lobby.battle.phase !== 'LOADING') return { lobby, allLoaded: false };
+
+  return { lobby, allLoaded: startIfAllLoaded(lobby) };
+}
+
+/**
+ * LOADING → IN_BATTLE (3s countdown) once no connected singer is still loading
+ * and someone connected has loaded. Also needed when the last straggler drops
+ * or leaves. Disconnected singers who never loaded sit this battle out
+ */
+export function startIfAllLoaded(lobby: Lobby): boolean {
+  if (lobby.battle.phase !== 'LOADING' || getStragglers(lobby).length > 0) return false;
+
+  const singers = getSingers(lobby);
+  if (!singers.some(p => p.connected && p.isLoaded)) return false;
+
+  for (const player of singers) {
+    if (!player.isLoaded) player.sittingOut = true;
   }
 
-  if (allLoaded) {
-    // Transition to IN_BATTLE
-    console.log(`[Lobby] All players loaded! Starting battle in 3s...`);
-    lobby.battle.phase = 'IN_BATTLE';
-    lobby.battle.battleStartTime = Date.now() + 3000; // 3 sec countdown
+  console.log(`[Lobby] All players loaded! Starting battle in 3s...`);
+  setPhase(lobby, 'IN_BATTLE');
+  lobby.battle.battleStartTime = Date.now() + 3000; // 3 sec countdown
+  return true;
+}
+
+/**
+ * Record how much of the song a singer has buffered (0..1), LOADING only
+ */
+export function setLoadProgress(lobbyId: string, userId: string, progress: number): Lobby | null {
+  const lobby = gameState.lobbies.get(lobbyId);
+  if (!lobby || lobby.battle.phase !== 'LOADING') return null;
+
+  const player = lobby.players.get(userId);
+  if (!player || player.role === 'spectator' || player.isLoaded) return null;
+
+  player.loadProgress = Math.min(Math.max(progress, 0), 1);
+  return lobby;
+}
+
+/**
+ * Flag LOADING lobbies whose deadline just passed (once per battle)
+ * Returns who each of them is still waiting for, so callers can tell the host
+ */
+export function expireLoadingDeadlines(): Array<{ lobbyId: string; waitingFor: string[] }> {
+  const now = Date.now();
+  const expired: Array<{ lobbyId: string; waitingFor: string[] }> = [];
+
+  for (const lobby of gameState.lobbies.values()) {
+    const { phase, loadingDeadline, loadingTimedOut } = lobby.battle;
+    if (phase !== 'LOADING' || loadingTimedOut || loadingDeadline === null || now < loadingDeadline) continue;
+
+    lobby.battle.loadingTimedOut = true;
+    expired.push({ lobbyId: lobby.id, waitingFor: getStragglers(lobby).map(p => p.id) });
   }
 
-  return { lobby, allLoaded };
+  return expired;
 }
 
-export function updatePlayerScore(lobbyId: string, userId: string, batchScore: number, batchCombo: number, batchAccuracy: number): Lobby | null {
+/**
+ * Host gave up on the stragglers: they sit this battle out and it starts now
+ * (3s countdown). Only after the loading deadline, and someone must be loaded
+ */
+export function forceStartBattle(lobbyId: string): Lobby | null {
+  const lobby = gameState.lobbies.get(lobbyId);
+  if (!lobby || lobby.battle.phase !== 'LOADING') return null;
+
+  const { loadingDeadline } = lobby.battle;
+  if (loadingDeadline === null || Date.now() < loadingDeadline) return null;
+
+  const singers = getSingers(lobby);
+  if (!singers.some(p => p.isLoaded)) return null;
+
+  for (const player of singers) {
+    if (!player.isLoaded) player.sittingOut = true;
+  }
+
+  setPhase(lobby, 'IN_BATTLE');
+  lobby.battle.battleStartTime = Date.now() + 3000; // 3 sec countdown
+  return lobby;
+}
+
+/**
+ * Host paused a running battle: the battle clock stops until resumeBattle
+ */
+export function pauseBattle(lobbyId: string): Lobby | null {
+  const lobby = gameState.lobbies.get(lobbyId);
+  if (!lobby || lobby.battle.phase !== 'IN_BATTLE' || lobby.battle.pausedAt !== null) return null;
+
+  // Not during the start or resume countdown (nothing to pause yet)
+  const now = Date.now();
+  const { battleStartTime, resumeAt } = lobby.battle;
+  if (battleStartTime === null || battleStartTime > now || (resumeAt ?? 0) > now) return null;
+
+  lobby.battle.pausedAt = now;
+  return lobby;
+}
+
+/**
+ * Pick a paused battle up again after a short countdown. battleStartTime moves
+ * forward by the time spent paused (plus the countdown), so song time - and the
+ * scoring window - continues exactly where it stopped
+ */
+export function resumeBattle(lobbyId: string): Lobby | null {
+  const lobby = gameState.lobbies.get(lobbyId);
+  if (!lobby || lobby.battle.phase !== 'IN_BATTLE') return null;
+
+  const { pausedAt, battleStartTime } = lobby.battle;
+  if (pausedAt === null || battleStartTime === null) return null;
+
+  const resumeAt = Date.now() + RESUME_COUNTDOWN_MS;
+  lobby.battle.battleStartTime = battleStartTime + (resumeAt - pausedAt);
+  lobby.battle.pausedAt = null;
+  lobby.battle.resumeAt = resumeAt;
+  return lobby;
+}
+
+/**
+ * Every connected singer has sent FINISH_BATTLE
+ */
+export function allConnectedFinished(lobby: Lobby): boolean {
+  const connected = getBattleSingers(lobby).filter(p => p.connected);
+  return connected.length > 0 && connected.every(p => p.finished);
+}
+
+export function setPlayerFinished(lobbyId: string, userId: string): { lobby: Lobby, allFinished: boolean } | null {
+  const lobby = gameState.lobbies.get(lobbyId);
+  if (!lobby || lobby.battle.phase !== 'IN_BATTLE') return null;
+
+  const player = lobby.players.get(userId);
+  if (!player) return null;
+
+  player.finished = true;
+  console.log(`[Lobby] Player ${userId} finished singing.`);
+
+  return { lobby, allFinished: allConnectedFinished(lobby) };
+}
+
+export function updatePlayerScore(
+  lobbyId: string,
+  userId: string,
+  batchScore: number,
+  combo: number,
+  batchAccuracy: number,
+  batchMaxCombo: number
+): Lobby | null {
   const lobby = gameState.lobbies.get(lobbyId);
   if (!lobby) return null;
 
@@ -180,18 +665,9 @@ export function updatePlayerScore(lobbyId: string, userId: string, batchScore: n
     else player.accuracy = (player.accuracy * 0.9) + (batchAccuracy * 0.1);
   }
 
-  // Combo Logic:
-  // If batch had hits (batchCombo > 0), increment player combo.
-  // If batch had NO hits (and we expected some?), reset?
-  // For now, let's just add the valid chunks count to combo for a "total hits" metric, 
-  // OR treat it as a streak. 
-  // Let's treat 'combo' in player state as 'current streak'.
-  if (batchCombo > 0) {
-    player.combo += batchCombo;
-  } else {
-    // If we processed chunks but got 0 valid ones... reset combo? 
-    // Maybe not harsh for now. Let's just accumulate hits.
-  }
+  // Combo: current streak of hit frames (the batch carries it on or breaks it)
+  player.combo = combo;
+  player.maxCombo = Math.max(player.maxCombo, batchMaxCombo);
 
   return lobby;
 }
@@ -200,20 +676,29 @@ export function startBattle(lobbyId: string, song: Song): Lobby | null {
   const lobby = gameState.lobbies.get(lobbyId);
   if (!lobby) return null;
 
-  // All players must be ready
-  for (const player of lobby.players.values()) {
-    if (!player.ready) return null;
-  }
+  // All singers must be ready (and there must be at least one)
+  const singers = getSingers(lobby);
+  if (singers.length === 0 || singers.some(p => !p.ready)) return null;
 
   // Set up battle state
-  lobby.battle.phase = 'LOADING';
+  setPhase(lobby, 'LOADING');
   lobby.battle.battleStartTime = null; // Waits for players to load
+  lobby.battle.loadingDeadline = Date.now() + LOADING_DEADLINE_MS;
+  lobby.battle.loadingTimedOut = false;
+  lobby.battle.pausedAt = null;
+  lobby.battle.resumeAt = null;
   lobby.battle.song = song; // Song includes metadata now
+  lobby.battle.currentAudioChunks.clear(); // Clients number audio frames from 0 each battle
+  assignDuetParts(lobby); // Everyone needs a part before singing a duet
 
   // Reset player scores for new battle
   for (const player of lobby.players.values()) {
+    player.finished = false;
+    player.loadProgress = 0;
+    player.sittingOut = false;
     player.score = 0;
     player.combo = 0;
+    player.maxCombo = 0;
     player.accuracy = 0;
   }
 
@@ -225,6 +710,35 @@ export function setSong(lobbyId: string, song: Song): Lobby | null {
   if (!lobby) return null;
 
   lobby.battle.song = song;
+  assignDuetParts(lobby);
+  return lobby;
+}
+
+export function setDuetPart(lobbyId: string, userId: string, part: number): Lobby | null {
+  const lobby = gameState.lobbies.get(lobbyId);
+  if (!lobby) return null;
+
+  const player = lobby.players.get(userId);
+  if (!player || player.role === 'spectator') return null;
+
+  // Only while picking, and only for a valid part of the selected duet
+  const partCount = lobby.battle.song?.tracks?.length || 0;
+  if (lobby.battle.phase !== 'LOBBY' || !Number.isInteger(part) || part < 0 || part >= partCount) {
+    return null;
+  }
+
+  player.duetPart = part;
+  return lobby;
+}
+
+export function setMicCheck(lobbyId: string, userId: string, status: MicCheckStatus): Lobby | null {
+  const lobby = gameState.lobbies.get(lobbyId);
+  if (!lobby) return null;
+
+  const player = lobby.players.get(userId);
+  if (!player) return null;
+
+  player.micCheck = status;
   return lobby;
 }
 
@@ -232,24 +746,34 @@ export function endBattle(lobbyId: string): Lobby | null {
   const lobby = gameState.lobbies.get(lobbyId);
   if (!lobby) return null;
 
-  lobby.battle.phase = 'RESULTS';
+  setPhase(lobby, 'RESULTS');
   return lobby;
 }
 
-export function resetToLobby(lobbyId: string): Lobby | null {
+export function resetToLobby(lobbyId: string, keepSong = false): Lobby | null {
   const lobby = gameState.lobbies.get(lobbyId);
   if (!lobby) return null;
 
-  lobby.battle.phase = 'LOBBY';
+  setPhase(lobby, 'LOBBY');
   lobby.battle.battleStartTime = null;
-  lobby.battle.song = null;
+  lobby.battle.loadingDeadline = null;
+  lobby.battle.loadingTimedOut = false;
+  lobby.battle.pausedAt = null;
+  lobby.battle.resumeAt = null;
+  if (!keepSong) lobby.battle.song = null; // rematch keeps the song
   lobby.battle.currentAudioChunks.clear();
+  assignDuetParts(lobby);
 
   // Reset ready status for next round
   for (const player of lobby.players.values()) {
     player.ready = false;
+    player.isLoaded = false; // must pre-load again next round
+    player.loadProgress = 0;
+    player.sittingOut = false;
+    player.finished = false;
     player.score = 0;
     player.combo = 0;
+    player.maxCombo = 0;
     player.accuracy = 0;
   }
 
@@ -260,11 +784,19 @@ export function getLobby(lobbyId: string): Lobby | null {
   return gameState.lobbies.get(lobbyId) || null;
 }
 
+/**
+ * Public lobbies for the lobby browser, oldest first
+ */
+export function getPublicLobbies(): Lobby[] {
+  return Array.from(gameState.lobbies.values())
+    .filter(lobby => lobby.visibility === 'public')
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
 export function getLobbyByCode(code: string): Lobby | null {
-  for (const lobby of gameState.lobbies.values()) {
-    if (lobby.code === code) return lobby;
-  }
-  return null;
+  const lobbyId = gameState.roomCodes.get(normalizeRoomCode(code));
+  if (!lobbyId) return null;
+  return gameState.lobbies.get(lobbyId) || null;
 }
 
 export function getUserLobby(userId: string): Lobby | null {
@@ -273,21 +805,38 @@ export function getUserLobby(userId: string): Lobby | null {
   return gameState.lobbies.get(lobbyId) || null;
 }
 
-export function addAudioChunk(lobbyId: string, userId: string, timestamp: number, audioData: string): void {
+export function addAudioChunk(
+  lobbyId: string,
+  userId: string,
+  timestamp: number,
+  samples: Float32Array,
+  sampleRate: number,
+  sequence: number | null = null
+): void {
   const lobby = gameState.lobbies.get(lobbyId);
   if (!lobby) return;
 
+  // Spectators (and singers sitting this battle out) don't sing
+  const player = lobby.players.get(userId);
+  if (player?.role === 'spectator' || player?.sittingOut) return;
+
   let buffer = lobby.battle.currentAudioChunks.get(userId);
   if (!buffer) {
-    buffer = { chunks: [], scoreCalculated: false };
+    buffer = { chunks: [], scoreCalculated: false, noiseFloor: null, lastSequence: null };
     lobby.battle.currentAudioChunks.set(userId, buffer);
   }
 
-  buffer.chunks.push({ timestamp, audioData });
+  // Drop duplicate or out-of-order binary frames. Sequence 0 means the
+  // sender started counting again (e.g. BattlePage remounted)
+  if (sequence !== null) {
+    if (buffer.lastSequence !== null && sequence !== 0 && sequence <= buffer.lastSequence) return;
+    buffer.lastSequence = sequence;
+  }
+
+  buffer.chunks.push({ timestamp, samples, sampleRate });
   buffer.scoreCalculated = false; // Mark for re-calculation
 
   // Update last audio time (for timeout detection)
-  const player = lobby.players.get(userId);
   if (player) {
     player.lastAudioChunkTimestamp = Date.now();
   }
@@ -5,6 +5,8 @@
  * Frontend and backend must match these contracts exactly.
  */
 
+import type { Song, MicCheckStatus, PlayerRole, LobbyVisibility } from './state.js';
+
 // ============================================================================
 // CLIENT → SERVER MESSAGES
 // ============================================================================
@@ -13,6 +15,8 @@ export interface CreateLobbyMessage {
   type: 'CREATE_LOBBY';
   roomName: string;
   maxPlayers?: number; // default 4
+  visibility?: LobbyVisibility; // default 'private' (join by code only)
+  password?: string; // optional; stored hashed, required by JOIN_LOBBY / JOIN_BY_CODE
   userId: string;
   userName: string;
 }
@@ -22,13 +26,17 @@ export interface JoinLobbyMessage {
   roomId: string;
   userId: string;
   userName: string;
+  spectator?: boolean; // watch only: no seat, no ready check, no audio
+  password?: string; // needed if the lobby has one (dropped players come back via RESUME_SESSION)
 }
 
 export interface JoinByCodeMessage {
   type: 'JOIN_BY_CODE';
-  roomCode: string;  // 6-char code
+  roomCode: string;  // 6-char code, case-insensitive
   userId: string;
   userName: string;
+  spectator?: boolean;
+  password?: string;
 }
 
 export interface SetReadyMessage {
@@ -48,6 +56,54 @@ export interface PlayerLoadedMessage {
   type: 'PLAYER_LOADED';
   roomId: string;
   userId: string;
+  audioLatencyMs?: number; // this device's calibrated delay (see calibration page)
+}
+
+/**
+ * How much of the song this singer has buffered so far (LOADING only)
+ */
+export interface LoadingProgressMessage {
+  type: 'LOADING_PROGRESS';
+  roomId: string;
+  userId: string;
+  progress: number; // 0..1
+}
+
+/**
+ * Host, after LOADING_TIMEOUT: start now; singers still loading sit this battle out
+ */
+export interface ForceStartBattleMessage {
+  type: 'FORCE_START_BATTLE';
+  roomId: string;
+  userId: string;
+}
+
+/**
+ * Host: give up on this battle (loading, running or paused) and go back to
+ * the lobby (keeps the song, nothing is recorded)
+ */
+export interface AbortBattleMessage {
+  type: 'ABORT_BATTLE';
+  roomId: string;
+  userId: string;
+}
+
+/**
+ * Host: stop the battle clock (IN_BATTLE only); clients pause music and mic
+ */
+export interface PauseBattleMessage {
+  type: 'PAUSE_BATTLE';
+  roomId: string;
+  userId: string;
+}
+
+/**
+ * Host: continue a paused battle after a short countdown
+ */
+export interface ResumeBattleMessage {
+  type: 'RESUME_BATTLE';
+  roomId: string;
+  userId: string;
 }
 
 export interface AudioChunkMessage {
@@ -55,11 +111,25 @@ export interface AudioChunkMessage {
   roomId: string;
   userId: string;
   timestamp: number; // ms since battleStartTime (RELATIVE, not absolute!)
-  audioData: string; // Base64 encoded frequency data
+  audioData: string; // Base64 encoded Float32 PCM samples (legacy, prefer binary AUDIO_FRAME)
   sampleRate: number; // should be 44100
   channelCount: number; // should be 1
 }
 
+/**
+ * Binary audio frame (decoded from a binary WebSocket message, never JSON).
+ * See parseAudioFrame in ws/connection.ts for the wire layout.
+ */
+export interface AudioFrameMessage {
+  type: 'AUDIO_FRAME';
+  roomId: string;
+  userId: string;
+  sequence: number; // per-battle counter, used to drop duplicates/out-of-order frames
+  timestamp: number; // ms since battleStartTime (RELATIVE, not absolute!)
+  sampleRate: number;
+  samples: Float32Array; // mono PCM [-1, 1]
+}
+
 export interface FinishBattleMessage {
   type: 'FINISH_BATTLE';
   roomId: string;
@@ -73,6 +143,87 @@ export interface SelectSongMessage {
   songId: string;
 }
 
+export interface SetDuetPartMessage {
+  type: 'SET_DUET_PART';
+  roomId: string;
+  userId: string;
+  part: number; // index into song.tracks (0 = P1, 1 = P2)
+}
+
+export interface SetMicCheckMessage {
+  type: 'SET_MIC_CHECK';
+  roomId: string;
+  userId: string;
+  status: MicCheckStatus;
+}
+
+/**
+ * Rebind a new connection to an existing player after a dropped socket
+ * (sent automatically by the client after reconnecting)
+ */
+export interface ResumeSessionMessage {
+  type: 'RESUME_SESSION';
+  roomId: string;
+  userId: string;
+  resumeToken: string; // from SESSION_TOKEN
+}
+
+/**
+ * Host sends everyone from RESULTS back to the lobby
+ * (rematch keeps the current song selected)
+ */
+export interface ReturnToLobbyMessage {
+  type: 'RETURN_TO_LOBBY';
+  roomId: string;
+  userId: string; // only host can return the room
+  rematch?: boolean;
+}
+
+/**
+ * NTP-style clock probe; the server echoes clientSendTime back
+ * in TIME_SYNC_REPLY along with its own receive/send times
+ */
+export interface TimeSyncMessage {
+  type: 'TIME_SYNC';
+  clientSendTime: number; // client unix ms when the probe was sent
+}
+
+/**
+ * Host moderation: remove a player (KICK_PLAYER), remove and block
+ * them from rejoining (BAN_PLAYER), or hand over the host role
+ */
+export interface KickPlayerMessage {
+  type: 'KICK_PLAYER';
+  roomId: string;
+  userId: string; // only host can kick
+  targetId: string;
+}
+
+export interface BanPlayerMessage {
+  type: 'BAN_PLAYER';
+  roomId: string;
+  userId: string; // only host can ban
+  targetId: string;
+}
+
+export interface TransferHostMessage {
+  type: 'TRANSFER_HOST';
+  roomId: string;
+  userId: string; // current host
+  targetId: string; // new host
+}
+
+/**
+ * Lobby browser: receive LOBBY_LIST now and whenever a public lobby changes
+ */
+export interface SubscribeLobbiesMessage {
+  type: 'SUBSCRIBE_LOBBIES';
+}
+
+export interface UnsubscribeLobbiesMessage {
+  type: 'UNSUBSCRIBE_LOBBIES';
+}
+
 export interface LeaveLobbyMessage {
   type: 'LEAVE_LOBBY';
   roomId: string;
@@ -88,7 +239,9 @@ export interface LobbySnapshot {
   roomId: string;
   roomCode: string;
   roomName: string;
-  phase: 'LOBBY' | 'IN_BATTLE' | 'RESULTS';
+  visibility: LobbyVisibility;
+  hasPassword: boolean;
+  phase: 'LOBBY' | 'LOADING' | 'IN_BATTLE' | 'RESULTS';
   hostId: string;
   maxPlayers: number;
   players: Array<{
@@ -99,18 +252,33 @@ export interface LobbySnapshot {
     combo: number;
     accuracy: number;
     isHost: boolean;
+    role: PlayerRole;
     connected: boolean;
+    duetPart: number | null;
+    micCheck: MicCheckStatus;
+    isLoaded: boolean;
+    loadProgress: number;
+    sittingOut: boolean;
   }>;
   battleStartTime?: number; // only in IN_BATTLE phase
+  loadingDeadline?: number; // only in LOADING phase
+  pausedAt?: number; // only while the battle is paused
+  resumeAt?: number; // IN_BATTLE: when playback picked up after the last pause
   song?: {
     id: string;
     name: string;
     lyrics: string[];
     lineDurations: number[];
+    lineTimings: number[];
+    notes: Song['notes'];
+    tracks?: Song['tracks'];
+    mp3?: string;
+    duetParts?: string[]; // part names, only for duets
   };
   availableSongs?: Array<{
     id: string;
     name: string;
+    isDuet: boolean;
   }>;
 }
 
@@ -122,6 +290,7 @@ export interface PlayerJoinedMessage {
     name: string;
     ready: boolean;
     score: number;
+    role: PlayerRole;
   };
 }
 
@@ -129,7 +298,27 @@ export interface PlayerLeftMessage {
   type: 'PLAYER_LEFT';
   roomId: string;
   playerId: string;
-  reason: 'disconnect' | 'manual';
+  reason: 'disconnect' | 'manual' | 'kicked' | 'idle'; // kicked also covers bans; idle = no audio in battle
+}
+
+/**
+ * Secret for reclaiming this seat with RESUME_SESSION after a dropped socket.
+ * Sent only to the socket that created or joined the seat, before its snapshot
+ */
+export interface SessionTokenMessage {
+  type: 'SESSION_TOKEN';
+  roomId: string;
+  userId: string;
+  resumeToken: string;
+}
+
+/**
+ * The server closed the lobby (sent to everyone still in it)
+ */
+export interface LobbyClosedMessage {
+  type: 'LOBBY_CLOSED';
+  roomId: string;
+  reason: 'idle';
 }
 
 export interface PlayerReadyUpdateMessage {
@@ -139,20 +328,72 @@ export interface PlayerReadyUpdateMessage {
   isReady: boolean;
 }
 
+export interface HostChangedMessage {
+  type: 'HOST_CHANGED';
+  roomId: string;
+  hostId: string;
+}
+
 export interface PhaseChangeMessage {
   type: 'PHASE_CHANGE';
   roomId: string;
   newPhase: 'LOBBY' | 'LOADING' | 'IN_BATTLE' | 'RESULTS';
   battleStartTime?: number; // unix ms when battle started (CRITICAL!)
+  loadingDeadline?: number; // LOADING: unix ms after which the host can force-start or abort
   song?: {
     id: string;
     name: string;
     lyrics: string[];
     lineDurations: number[];
     lineTimings: number[];
+    notes: Song['notes']; // includes note type (normal/golden/freestyle/rap/golden-rap)
+    tracks?: Song['tracks']; // duets only: per-part lyrics, timings and notes
+    mp3?: string;
+    cover?: string;
   };
 }
 
+/**
+ * A singer's buffering progress changed (loaded = sent PLAYER_LOADED)
+ */
+export interface PlayerLoadingProgressMessage {
+  type: 'PLAYER_LOADING_PROGRESS';
+  roomId: string;
+  playerId: string;
+  progress: number; // 0..1
+  loaded: boolean;
+}
+
+/**
+ * The loading deadline passed with singers still loading; the host decides
+ * (FORCE_START_BATTLE or ABORT_BATTLE)
+ */
+export interface LoadingTimeoutMessage {
+  type: 'LOADING_TIMEOUT';
+  roomId: string;
+  waitingFor: string[]; // playerIds still loading
+}
+
+/**
+ * Host paused the battle; music, mic and scoring stop until BATTLE_RESUMED
+ */
+export interface BattlePausedMessage {
+  type: 'BATTLE_PAUSED';
+  roomId: string;
+  pausedAt: number; // unix ms
+}
+
+/**
+ * Battle continues at resumeAt. battleStartTime moved forward by the paused
+ * time, so song position = now - battleStartTime picks up where it stopped
+ */
+export interface BattleResumedMessage {
+  type: 'BATTLE_RESUMED';
+  roomId: string;
+  battleStartTime: number;
+  resumeAt: number;
+}
+
 export interface PlayerScoreUpdateMessage {
   type: 'PLAYER_SCORE_UPDATE';
   roomId: string;
@@ -165,15 +406,44 @@ export interface PlayerScoreUpdateMessage {
 export interface BattleResultsMessage {
   type: 'BATTLE_RESULTS';
   roomId: string;
-  players: Array<{
+  players: Array<{ // singers only
     id: string;
     name: string;
     score: number;
     accuracy: number;
-    combo: number;
+    combo: number; // longest streak of hit frames in the battle
     position: number;
   }>;
   endedAt: number;
+  endReason: 'finish' | 'timeout'; // everyone finished vs song duration + grace passed
+}
+
+/**
+ * One public lobby in the lobby browser (also the GET /api/lobbies item)
+ */
+export interface LobbySummary {
+  roomId: string;
+  roomCode: string;
+  name: string;
+  hostName: string;
+  hasPassword: boolean;
+  phase: 'LOBBY' | 'LOADING' | 'IN_BATTLE' | 'RESULTS';
+  playerCount: number; // singers
+  spectatorCount: number;
+  maxPlayers: number;
+  song: { id: string; name: string } | null;
+}
+
+export interface LobbyListMessage {
+  type: 'LOBBY_LIST';
+  lobbies: LobbySummary[];
+}
+
+export interface TimeSyncReplyMessage {
+  type: 'TIME_SYNC_REPLY';
+  clientSendTime: number;   // echoed from TIME_SYNC
+  serverReceiveTime: number; // server unix ms when the probe arrived
+  serverSendTime: number;    // server unix ms when the reply was sent
 }
 
 export interface ErrorMessage {
@@ -188,9 +458,18 @@ export type ServerMessage =
   | PlayerJoinedMessage
   | PlayerLeftMessage
   | PlayerReadyUpdateMessage
+  | HostChangedMessage
   | PhaseChangeMessage
+  | PlayerLoadingProgressMessage
+  | LoadingTimeoutMessage
+  | BattlePausedMessage
+  | BattleResumedMessage
   | PlayerScoreUpdateMessage
   | BattleResultsMessage
+  | LobbyListMessage
+  | LobbyClosedMessage
+  | SessionTokenMessage
+  | TimeSyncReplyMessage
   | ErrorMessage;
 
 export type ClientMessage =
@@ -201,14 +480,36 @@ export type ClientMessage =
   | StartBattleMessage
   | SelectSongMessage
   | PlayerLoadedMessage
+  | LoadingProgressMessage
+  | ForceStartBattleMessage
+  | AbortBattleMessage
+  | PauseBattleMessage
+  | ResumeBattleMessage
   | AudioChunkMessage
+  | AudioFrameMessage
   | FinishBattleMessage
+  | SetDuetPartMessage
+  | SetMicCheckMessage
+  | ResumeSessionMessage
+  | ReturnToLobbyMessage
+  | TimeSyncMessage
+  | KickPlayerMessage
+  | BanPlayerMessage
+  | TransferHostMessage
+  | SubscribeLobbiesMessage
+  | UnsubscribeLobbiesMessage
   | LeaveLobbyMessage;
 
 // ============================================================================
 // MESSAGE VALIDATORS
 // ============================================================================
 
+const MAX_PASSWORD_LENGTH = 64;
+
+function isOptionalPassword(value: unknown): boolean {
+  return value === undefined || (typeof value === 'string' && value.length <= MAX_PASSWORD_LENGTH);
+}
+
 export function validateClientMessage(msg: unknown): msg is ClientMessage {
   if (!msg || typeof msg !== 'object') return false;
   const m = msg as any;
@@ -218,13 +519,17 @@ export function validateClientMessage(msg: unknown): msg is ClientMessage {
     case 'CREATE_LOBBY': {
       const isValid = typeof m.roomName === 'string' &&
         typeof m.userId === 'string' &&
-        typeof m.userName === 'string';
+        typeof m.userName === 'string' &&
+        (m.visibility === undefined || m.visibility === 'public' || m.visibility === 'private') &&
+        isOptionalPassword(m.password);
       if (!isValid) {
         console.log('[Validation] CREATE_LOBBY failed:', {
           roomName: typeof m.roomName,
           userId: typeof m.userId,
           userName: typeof m.userName,
-          received: m
+          visibility: m.visibility,
+          password: typeof m.password,
+          received: { ...m, password: m.password === undefined ? undefined : '***' }
         });
       }
       return isValid;
@@ -233,12 +538,16 @@ export function validateClientMessage(msg: unknown): msg is ClientMessage {
     case 'JOIN_LOBBY':
       return typeof m.roomId === 'string' &&
         typeof m.userId === 'string' &&
-        typeof m.userName === 'string';
+        typeof m.userName === 'string' &&
+        (m.spectator === undefined || typeof m.spectator === 'boolean') &&
+        isOptionalPassword(m.password);
 
     case 'JOIN_BY_CODE':
       return typeof m.roomCode === 'string' &&
         typeof m.userId === 'string' &&
-        typeof m.userName === 'string';
+        typeof m.userName === 'string' &&
+        (m.spectator === undefined || typeof m.spectator === 'boolean') &&
+        isOptionalPassword(m.password);
 
     case 'SET_READY':
       return typeof m.roomId === 'string' &&
@@ -255,6 +564,19 @@ export function validateClientMessage(msg: unknown): msg is ClientMessage {
         typeof m.songId === 'string';
 
     case 'PLAYER_LOADED':
+      return typeof m.roomId === 'string' &&
+        typeof m.userId === 'string' &&
+        (m.audioLatencyMs === undefined || Number.isFinite(m.audioLatencyMs));
+
+    case 'LOADING_PROGRESS':
+      return typeof m.roomId === 'string' &&
+        typeof m.userId === 'string' &&
+        Number.isFinite(m.progress);
+
+    case 'FORCE_START_BATTLE':
+    case 'ABORT_BATTLE':
+    case 'PAUSE_BATTLE':
+    case 'RESUME_BATTLE':
       return typeof m.roomId === 'string' &&
         typeof m.userId === 'string';
 
@@ -270,6 +592,40 @@ export function validateClientMessage(msg: unknown): msg is ClientMessage {
       return typeof m.roomId === 'string' &&
         typeof m.userId === 'string';
 
+    case 'SET_DUET_PART':
+      return typeof m.roomId === 'string' &&
+        typeof m.userId === 'string' &&
+        typeof m.part === 'number';
+
+    case 'SET_MIC_CHECK':
+      return typeof m.roomId === 'string' &&
+        typeof m.userId === 'string' &&
+        ['unchecked', 'ok', 'clipping'].includes(m.status);
+
+    case 'RESUME_SESSION':
+      return typeof m.roomId === 'string' &&
+        typeof m.userId === 'string' &&
+        typeof m.resumeToken === 'string';
+
+    case 'RETURN_TO_LOBBY':
+      return typeof m.roomId === 'string' &&
+        typeof m.userId === 'string' &&
+        (m.rematch === undefined || typeof m.rematch === 'boolean');
+
+    case 'TIME_SYNC':
+      return typeof m.clientSendTime === 'number';
+
+    case 'KICK_PLAYER':
+    case 'BAN_PLAYER':
+    case 'TRANSFER_HOST':
+      return typeof m.roomId === 'string' &&
+        typeof m.userId === 'string' &&
+        typeof m.targetId === 'string';
+
+    case 'SUBSCRIBE_LOBBIES':
+    case 'UNSUBSCRIBE_LOBBIES':
+      return true;
+
     case 'LEAVE_LOBBY':
       return typeof m.roomId === 'string' &&
         typeof m.userId === 'string';
@@ -10,34 +10,89 @@ export interface Player {
   name: string;
   ready: boolean;
   score: number;
-  combo: number;
+  combo: number; // current streak of hit frames, reset by a miss
+  maxCombo: number; // longest streak this battle (results, battle history)
   accuracy: number;
   connected: boolean;
+  disconnectedAt: number | null; // when the socket dropped (reconnect grace period)
+  resumeToken: string; // secret for RESUME_SESSION, only ever sent to this player's socket
   isHost: boolean;
+  role: PlayerRole; // spectators watch: no seat, no ready check, no audio
   isLoaded: boolean; // Has pre-loaded the audio
-  lastAudioChunkTimestamp?: number; // for timeout detection
+  loadProgress: number; // 0..1 buffered while LOADING (LOADING_PROGRESS)
+  sittingOut: boolean; // didn't load before the host force-started; watches this battle unscored
+  finished: boolean; // Sent FINISH_BATTLE for the current battle
+  duetPart: number | null; // index into song.tracks when a duet is selected
+  audioLatencyMs: number; // calibrated mic + speaker delay, subtracted from audio timestamps when scoring
+  micCheck: MicCheckStatus; // result of the lobby mic test, shown to the host
+  lastAudioChunkTimestamp?: number; // unix ms of the last audio chunk (silent singer removal)
+}
+
+/**
+ * 'singer' takes one of maxPlayers seats and is scored;
+ * 'spectator' only receives lobby/score/results updates
+ */
+export type PlayerRole = 'singer' | 'spectator';
+
+/**
+ * Lobby mic test result: 'unchecked' until the player tests their mic,
+ * 'ok' once voice was heard, 'clipping' if the input is too hot
+ */
+export type MicCheckStatus = 'unchecked' | 'ok' | 'clipping';
+
+/**
+ * UltraStar note types:
+ * ':' normal, '*' golden (bonus points), 'F' freestyle (not scored),
+ * 'R' rap (timing/energy only), 'G' golden rap
+ */
+export type NoteType = 'normal' | 'golden' | 'freestyle' | 'rap' | 'golden-rap';
+
+export interface SongNote {
+  pitch: number;      // Frequency in Hz
+  start: number;      // Start time (ms)
+  duration: number;   // Duration (ms)
+  lyric: string;      // Syllable text
+  type: NoteType;
+}
+
+/**
+ * One voice part of a duet (UltraStar P1/P2 section)
+ */
+export interface SongTrack {
+  name: string;            // singer name from #DUETSINGERP1/#P1 headers, or 'P1'/'P2'
+  lyrics: string[];
+  lineDurations: number[];
+  lineTimings: number[];
+  notes: SongNote[];
 }
 
 export interface Song {
   id: string;
   name: string;
+  artist: string;
+  genre?: string;
+  year?: number;
+  language?: string;
+  bpm: number;
+  gap: number;        // ms before the first beat
   lyrics: string[];
   lineDurations: number[]; // time each line displays (ms)
   lineTimings: number[]; // cumulative timestamps
   duration: number; // total song duration (ms)
-  notes: Array<{
-    pitch: number;      // Frequency in Hz
-    start: number;      // Start time (ms)
-    duration: number;   // Duration (ms)
-    lyric: string;      // Syllable text
-  }>;
+  notes: SongNote[];
+  tracks?: SongTrack[]; // duets only: one per part; top-level lyrics/notes mirror tracks[0]
   mp3?: string;       // filename relative to songs/ dir
   cover?: string;     // filename relative to songs/ dir
+  coverUrl?: string | null; // cached by songCatalog (checked once per loaded song)
 }
 
 export interface BattleState {
   phase: 'LOBBY' | 'LOADING' | 'IN_BATTLE' | 'RESULTS';
   battleStartTime: number | null; // unix ms when battle started
+  loadingDeadline: number | null; // unix ms; after it the host may force-start or abort
+  loadingTimedOut: boolean; // LOADING_TIMEOUT already sent for this battle
+  pausedAt: number | null; // unix ms the host paused the battle (null while running)
+  resumeAt: number | null; // unix ms playback picked up again after the last pause
   song: Song | null;
   currentAudioChunks: Map<string, AudioChunkBuffer>; // playerId → chunks
 }
@@ -45,23 +100,37 @@ export interface BattleState {
 export interface AudioChunkBuffer {
   chunks: Array<{
     timestamp: number; // relative to battleStartTime
-    audioData: string; // Base64
+    samples: Float32Array; // mono PCM [-1, 1]
+    sampleRate: number;
   }>;
+  lastSequence: number | null; // last binary frame sequence number accepted
   scoreCalculated: boolean; // whether we've calculated score for latest batch
+  noiseFloor: number | null; // running noise floor estimate (RMS), carried across batches
 }
 
+/**
+ * 'public' lobbies are listed in the lobby browser (GET /api/lobbies, LOBBY_LIST);
+ * 'private' ones can only be joined with the room code
+ */
+export type LobbyVisibility = 'public' | 'private';
+
 export interface Lobby {
   id: string;
-  code: string; // 6-char room code
+  code: string; // 6-char room code, unique among open lobbies (no 0/O/1/I)
   name: string;
+  visibility: LobbyVisibility;
   hostId: string;
-  maxPlayers: number;
-  players: Map<string, Player>; // userId → Player
+  maxPlayers: number; // singers only, spectators don't take a seat
+  players: Map<string, Player>; // userId → Player (singers and spectators)
+  bannedUserIds: Set<string>; // banned by the host, can't rejoin while the lobby exists
+  passwordHash: string | null; // salted scrypt hash (services/roomPassword.ts), null = no password
   createdAt: number; // unix ms
+  lastActivityAt: number; // unix ms of the last member message or phase change (idle timeouts)
   battle: BattleState;
 }
 
 export interface GameState {
   lobbies: Map<string, Lobby>; // roomId → Lobby
   userLobbies: Map<string, string>; // userId → roomId (for quick lookup)
+  roomCodes: Map<string, string>; // room code → roomId (codes in use; freed when the lobby closes)
 }
@@ -5,7 +5,7 @@
  */
 
 import { WebSocket } from 'ws';
-import type { ClientMessage, ServerMessage } from '../types/messages.js';
+import type { AudioFrameMessage, ClientMessage, ServerMessage } from '../types/messages.js';
 import { validateClientMessage } from '../types/messages.js';
 
 export interface ClientConnection {
@@ -13,6 +13,8 @@ export interface ClientConnection {
   userId: string | null;
   lobbyId: string | null;
   isAlive: boolean;
+  watchingLobbyList: boolean; // sent SUBSCRIBE_LOBBIES (join page open)
+  passwordAttempts: number[]; // unix ms of recent room password checks (throttled)
 }
 
 /**
@@ -24,6 +26,8 @@ export function createConnection(ws: WebSocket): ClientConnection {
     userId: null,
     lobbyId: null,
     isAlive: true,
+    watchingLobbyList: false,
+    passwordAttempts: [],
   };
 }
 
@@ -47,11 +51,92 @@ export function broadcastToLobby(connections: Map<string, ClientConnection>, lob
   }
 }
 
+/**
+ * Binary audio frame layout (little-endian):
+ * 
+ *   offset  size  field
+ *   0       1     version (AUDIO_FRAME_VERSION)
+ *   1       1     sample format (1 = Float32, 2 = Int16)
+ *   2       1     roomId length (bytes, UTF-8)
+ *   3       1     userId length (bytes, UTF-8)
+ *   4       4     sequence number (uint32)
+ *   8       8     timestamp, ms since battleStartTime (float64)
+ *   16      4     sample rate (uint32)
+ *   20      n     roomId, then userId
+ *   ...           PCM samples (mono)
+ */
+const AUDIO_FRAME_VERSION = 1;
+const AUDIO_FRAME_HEADER_SIZE = 20;
+const SAMPLE_FORMAT_FLOAT32 = 1;
+const SAMPLE_FORMAT_INT16 = 2;
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Decode a binary audio frame into an AUDIO_FRAME message
+ * Returns null if the lengths don't add up: IDs that aren't valid UTF-8 or
+ * PCM that isn't a whole number of samples
+ */
+export function parseAudioFrame(data: Buffer): AudioFrameMessage | null {
+  if (data.byteLength < AUDIO_FRAME_HEADER_SIZE) return null;
+  if (data.readUInt8(0) !== AUDIO_FRAME_VERSION) return null;
+
+  const format = data.readUInt8(1);
+  const roomIdLength = data.readUInt8(2);
+  const userIdLength = data.readUInt8(3);
+  const sequence = data.readUInt32LE(4);
+  const timestamp = data.readDoubleLE(8);
+  const sampleRate = data.readUInt32LE(16);
+
+  const idsEnd = AUDIO_FRAME_HEADER_SIZE + roomIdLength + userIdLength;
+  if (data.byteLength < idsEnd || !Number.isFinite(timestamp) || sampleRate === 0) return null;
+
+  let roomId: string;
+  let userId: string;
+  try {
+    roomId = utf8.decode(data.subarray(AUDIO_FRAME_HEADER_SIZE, AUDIO_FRAME_HEADER_SIZE + roomIdLength));
+    userId = utf8.decode(data.subarray(AUDIO_FRAME_HEADER_SIZE + roomIdLength, idsEnd));
+  } catch {
+    return null;
+  }
+  if (!roomId || !userId) return null;
+
+  const pcm = data.subarray(idsEnd);
+  let samples: Float32Array;
+
+  if (format === SAMPLE_FORMAT_FLOAT32) {
+    if (pcm.byteLength % 4 !== 0) return null;
+    samples = new Float32Array(Math.floor(pcm.byteLength / 4));
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = pcm.readFloatLE(i * 4);
+    }
+  } else if (format === SAMPLE_FORMAT_INT16) {
+    if (pcm.byteLength % 2 !== 0) return null;
+    samples = new Float32Array(Math.floor(pcm.byteLength / 2));
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = pcm.readInt16LE(i * 2) / 32768;
+    }
+  } else {
+    return null;
+  }
+
+  return { type: 'AUDIO_FRAME', roomId, userId, sequence, timestamp, sampleRate, samples };
+}
+
 /**
  * Parse and validate incoming message
+ * 
+ * Binary frames carry audio (see parseAudioFrame), text frames carry JSON
+ * control messages.
  */
-export function parseMessage(data: unknown): ClientMessage | null {
+export function parseMessage(data: unknown, isBinary = false): ClientMessage | null {
   try {
+    if (isBinary) {
+      const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data as ArrayBuffer);
+      return parseAudioFrame(buffer);
+    }
+
+
     let messageString: string;
 
     if (typeof data === 'string') {
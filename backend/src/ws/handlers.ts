@@ -5,13 +5,17 @@
  * Handlers are pure functions (no side effects on connections).
  */
 
-import type { ServerMessage, CreateLobbyMessage, JoinLobbyMessage, JoinByCodeMessage, SetReadyMessage, StartBattleMessage, AudioChunkMessage, FinishBattleMessage, LeaveLobbyMessage, PlayerLoadedMessage } from '../types/messages.js';
+import type { ServerMessage, CreateLobbyMessage, JoinLobbyMessage, JoinByCodeMessage, SetReadyMessage, StartBattleMessage, AudioChunkMessage, AudioFrameMessage, FinishBattleMessage, LeaveLobbyMessage, PlayerLoadedMessage, SetDuetPartMessage, ResumeSessionMessage, ReturnToLobbyMessage, TimeSyncMessage, SetMicCheckMessage, KickPlayerMessage, BanPlayerMessage, TransferHostMessage, LobbySummary, LoadingProgressMessage, ForceStartBattleMessage, AbortBattleMessage, PauseBattleMessage, ResumeBattleMessage } from '../types/messages.js';
 import * as lobbyState from '../state/lobby.js';
 import type { ClientConnection } from './connection.js';
 import { sendMessage, broadcastToLobby, sendError } from './connection.js';
 import fs from 'fs';
 import path from 'path';
 import { parseUltraStar } from '../services/ultraStarParser.js';
+import { decodeAudioData, updateBattleScores } from '../services/scoring.js';
+import { recordBattle } from '../services/battleHistory.js';
+import { hashPassword } from '../services/roomPassword.js';
+import { v4 as uuidv4 } from 'uuid';
 
 const SONGS_DIR = path.join(process.cwd(), 'songs');
 export let LOADED_SONGS: any[] = [];
@@ -46,21 +50,21 @@ export function loadSongs() {
         lineTimings: [0],
         duration: 16000,
         notes: [
-          { pitch: 261.63, start: 0, duration: 500, lyric: 'Twin' },
-          { pitch: 261.63, start: 570, duration: 500, lyric: 'kle' },
-          { pitch: 392.00, start: 1140, duration: 500, lyric: 'Twin' },
-          { pitch: 392.00, start: 1710, duration: 500, lyric: 'kle' },
-          { pitch: 440.00, start: 2280, duration: 500, lyric: 'Lit' },
-          { pitch: 440.00, start: 2850, duration: 500, lyric: 'tle' },
-          { pitch: 392.00, start: 3420, duration: 1000, lyric: 'Star' },
-
-          { pitch: 349.23, start: 4000, duration: 500, lyric: 'How' },
-          { pitch: 349.23, start: 4570, duration: 500, lyric: 'I' },
-          { pitch: 329.63, start: 5140, duration: 500, lyric: 'Won' },
-          { pitch: 329.63, start: 5710, duration: 500, lyric: 'der' },
-          { pitch: 293.66, start: 6280, duration: 500, lyric: 'What' },
-          { pitch: 293.66, start: 6850, duration: 500, lyric: 'You' },
-          { pitch: 261.63, start: 7420, duration: 1000, lyric: 'Are' },
+          { pitch: 261.63, start: 0, duration: 500, lyric: 'Twin', type: 'normal' },
+          { pitch: 261.63, start: 570, duration: 500, lyric: 'kle', type: 'normal' },
+          { pitch: 392.00, start: 1140, duration: 500, lyric: 'Twin', type: 'normal' },
+          { pitch: 392.00, start: 1710, duration: 500, lyric: 'kle', type: 'normal' },
+          { pitch: 440.00, start: 2280, duration: 500, lyric: 'Lit', type: 'normal' },
+          { pitch: 440.00, start: 2850, duration: 500, lyric: 'tle', type: 'normal' },
+          { pitch: 392.00, start: 3420, duration: 1000, lyric: 'Star', type: 'normal' },
+
+          { pitch: 349.23, start: 4000, duration: 500, lyric: 'How', type: 'normal' },
+          { pitch: 349.23, start: 4570, duration: 500, lyric: 'I', type: 'normal' },
+          { pitch: 329.63, start: 5140, duration: 500, lyric: 'Won', type: 'normal' },
+          { pitch: 329.63, start: 5710, duration: 500, lyric: 'der', type: 'normal' },
+          { pitch: 293.66, start: 6280, duration: 500, lyric: 'What', type: 'normal' },
+          { pitch: 293.66, start: 6850, duration: 500, lyric: 'You', type: 'normal' },
+          { pitch: 261.63, start: 7420, duration: 1000, lyric: 'Are', type: 'normal' },
         ]
       });
     }
@@ -92,7 +96,7 @@ try {
 /**
  * Create lobby response
  */
-function lobbyToMessage(lobby: ReturnType<typeof lobbyState.createLobby>): ServerMessage {
+export function lobbyToMessage(lobby: ReturnType<typeof lobbyState.createLobby>): ServerMessage {
   const players = Array.from(lobby.players.values()).map(p => ({
     id: p.id,
     name: p.name,
@@ -101,7 +105,13 @@ function lobbyToMessage(lobby: ReturnType<typeof lobbyState.createLobby>): Serve
     combo: p.combo,
     accuracy: p.accuracy,
     isHost: p.isHost,
+    role: p.role,
     connected: p.connected,
+    duetPart: p.duetPart,
+    micCheck: p.micCheck,
+    isLoaded: p.isLoaded,
+    loadProgress: p.loadProgress,
+    sittingOut: p.sittingOut,
   }));
 
   return {
@@ -109,6 +119,8 @@ function lobbyToMessage(lobby: ReturnType<typeof lobbyState.createLobby>): Serve
     roomId: lobby.id,
     roomCode: lobby.code,
     roomName: lobby.name,
+    visibility: lobby.visibility,
+    hasPassword: lobby.passwordHash !== null,
     phase: lobby.battle.phase,
     hostId: lobby.hostId,
     maxPlayers: lobby.maxPlayers,
@@ -119,30 +131,143 @@ function lobbyToMessage(lobby: ReturnType<typeof lobbyState.createLobby>): Serve
       lyrics: lobby.battle.song.lyrics,
       lineDurations: lobby.battle.song.lineDurations,
       lineTimings: lobby.battle.song.lineTimings,
+      notes: lobby.battle.song.notes,
+      tracks: lobby.battle.song.tracks,
       mp3: lobby.battle.song.mp3,
+      duetParts: lobby.battle.song.tracks?.map(t => t.name),
     } : undefined,
-    availableSongs: LOADED_SONGS.map(s => ({ id: s.id, name: s.name })),
+    availableSongs: LOADED_SONGS.map(s => ({ id: s.id, name: s.name, isDuet: Boolean(s.tracks) })),
     ...(lobby.battle.phase === 'IN_BATTLE' && lobby.battle.battleStartTime && {
       battleStartTime: lobby.battle.battleStartTime,
     }),
+    ...(lobby.battle.phase === 'LOADING' && lobby.battle.loadingDeadline && {
+      loadingDeadline: lobby.battle.loadingDeadline,
+    }),
+    ...(lobby.battle.phase === 'IN_BATTLE' && lobby.battle.pausedAt && {
+      pausedAt: lobby.battle.pausedAt,
+    }),
+    ...(lobby.battle.phase === 'IN_BATTLE' && lobby.battle.resumeAt && {
+      resumeAt: lobby.battle.resumeAt,
+    }),
   } as any;
 }
 
+/**
+ * Lobby browser entry (GET /api/lobbies and LOBBY_LIST)
+ */
+export function lobbyToSummary(lobby: ReturnType<typeof lobbyState.createLobby>): LobbySummary {
+  const singers = lobbyState.getSingers(lobby);
+
+  return {
+    roomId: lobby.id,
+    roomCode: lobby.code,
+    name: lobby.name,
+    hostName: lobby.players.get(lobby.hostId)?.name || '',
+    hasPassword: lobby.passwordHash !== null,
+    phase: lobby.battle.phase,
+    playerCount: singers.length,
+    spectatorCount: lobby.players.size - singers.length,
+    maxPlayers: lobby.maxPlayers,
+    song: lobby.battle.song ? { id: lobby.battle.song.id, name: lobby.battle.song.name } : null,
+  };
+}
+
+export function getPublicLobbySummaries(): LobbySummary[] {
+  return lobbyState.getPublicLobbies().map(lobbyToSummary);
+}
+
+// Last list sent to subscribers, so unchanged lists aren't re-sent
+let lastLobbyListJson = '';
+
+/**
+ * Send LOBBY_LIST to every subscribed connection if a public lobby changed
+ * (called after lobby-affecting messages and periodic tasks in index.ts)
+ */
+export function publishLobbyList(allConnections: Map<string, ClientConnection>): void {
+  const lobbies = getPublicLobbySummaries();
+  const json = JSON.stringify(lobbies);
+  if (json === lastLobbyListJson) return;
+  lastLobbyListJson = json;
+
+  for (const conn of allConnections.values()) {
+    if (conn.watchingLobbyList) {
+      sendMessage(conn, { type: 'LOBBY_LIST', lobbies });
+    }
+  }
+}
+
+/**
+ * Handle SUBSCRIBE_LOBBIES / UNSUBSCRIBE_LOBBIES
+ */
+export function handleSubscribeLobbies(subscribe: boolean, conn: ClientConnection): ServerMessage[] {
+  conn.watchingLobbyList = subscribe;
+  if (!subscribe) return [];
+
+  return [{ type: 'LOBBY_LIST', lobbies: getPublicLobbySummaries() }];
+}
+
+/**
+ * SESSION_TOKEN for the socket that owns userId's seat (never broadcast)
+ */
+function sessionTokenMessage(lobby: ReturnType<typeof lobbyState.createLobby>, userId: string): ServerMessage {
+  return {
+    type: 'SESSION_TOKEN',
+    roomId: lobby.id,
+    userId,
+    resumeToken: lobby.players.get(userId)!.resumeToken,
+  };
+}
+
+// Room password checks (and hashes) allowed per socket within the window
+const MAX_PASSWORD_ATTEMPTS = 5;
+const PASSWORD_ATTEMPT_WINDOW_MS = 60000;
+
+/**
+ * Record a password check for this socket; false once it used up its attempts
+ * (stops guessing, and keeps scrypt from being spammed)
+ */
+function allowPasswordAttempt(conn: ClientConnection): boolean {
+  const now = Date.now();
+  conn.passwordAttempts = conn.passwordAttempts.filter(t => now - t < PASSWORD_ATTEMPT_WINDOW_MS);
+  if (conn.passwordAttempts.length >= MAX_PASSWORD_ATTEMPTS) {
+    sendError(conn, 'TOO_MANY_ATTEMPTS', 'Too many password attempts, try again in a minute');
+    return false;
+  }
+
+  conn.passwordAttempts.push(now);
+  return true;
+}
+
+/**
+ * A socket that closed while its password was being hashed/checked
+ * must not be bound to a seat
+ */
+function isOpen(conn: ClientConnection): boolean {
+  return conn.ws.readyState === conn.ws.OPEN;
+}
+
 /**
  * Handle CREATE_LOBBY
  */
-export function handleCreateLobby(
+export async function handleCreateLobby(
   msg: CreateLobbyMessage,
   conn: ClientConnection
-): ServerMessage[] {
+): Promise<ServerMessage[]> {
   try {
-    const lobby = lobbyState.createLobby(msg.userId, msg.userName, msg.roomName);
+    let passwordHash: string | null = null;
+    if (msg.password) {
+      if (!allowPasswordAttempt(conn)) return [];
+      passwordHash = await hashPassword(msg.password);
+      if (!isOpen(conn)) return [];
+    }
+
+    const lobby = lobbyState.createLobby(msg.userId, msg.userName, msg.roomName, msg.visibility, passwordHash);
     conn.userId = msg.userId;
     conn.lobbyId = lobby.id;
 
     const snapshot = lobbyToMessage(lobby);
 
-    return [{ ...snapshot, type: 'LOBBY_SNAPSHOT' } as any];
+    return [sessionTokenMessage(lobby, msg.userId), { ...snapshot, type: 'LOBBY_SNAPSHOT' } as any];
   } catch (err) {
     sendError(conn, 'CREATE_LOBBY_ERROR', 'Failed to create lobby');
     return [];
@@ -152,13 +277,43 @@ export function handleCreateLobby(
 /**
  * Handle JOIN_LOBBY
  */
-export function handleJoinLobby(
+export async function handleJoinLobby(
   msg: JoinLobbyMessage,
   conn: ClientConnection,
   allConnections: Map<string, ClientConnection>
-): ServerMessage[] {
+): Promise<ServerMessage[]> {
   try {
-    const lobby = lobbyState.joinLobby(msg.roomId, msg.userId, msg.userName);
+    if (lobbyState.isBanned(msg.roomId, msg.userId)) {
+      sendError(conn, 'PERMISSION_DENIED', 'You are banned from this lobby');
+      return [];
+    }
+
+    // This socket already holds the seat (e.g. a repeated join): nothing to do,
+    // and the only case where the password isn't asked again
+    if (conn.userId === msg.userId && conn.lobbyId === msg.roomId && lobbyState.isSeated(msg.roomId, msg.userId)) {
+      return [lobbyToMessage(lobbyState.getLobby(msg.roomId)!)];
+    }
+
+    if (lobbyState.getLobby(msg.roomId)?.passwordHash) {
+      if (!allowPasswordAttempt(conn)) return [];
+
+      const accepted = await lobbyState.passwordAccepted(msg.roomId, msg.password);
+      if (!isOpen(conn)) return [];
+      if (!accepted) {
+        sendError(conn, 'PERMISSION_DENIED', msg.password ? 'Wrong room password' : 'This room needs a password');
+        return [];
+      }
+    }
+
+    // Someone else's seat (userIds are public to the lobby): reclaiming one takes
+    // RESUME_SESSION with the seat's token, never a plain join
+    if (lobbyState.isSeated(msg.roomId, msg.userId)) {
+      sendError(conn, 'JOIN_FAILED', 'That player is already in this lobby');
+      return [];
+    }
+
+    const role = msg.spectator ? 'spectator' : 'singer';
+    const lobby = lobbyState.joinLobby(msg.roomId, msg.userId, msg.userName, role);
     if (!lobby) {
       sendError(conn, 'JOIN_FAILED', 'Lobby not found or full');
       return [];
@@ -179,10 +334,11 @@ export function handleJoinLobby(
         name: msg.userName,
         ready: false,
         score: 0,
+        role: lobby.players.get(msg.userId)!.role,
       },
     };
 
-    const messages: ServerMessage[] = [snapshot];
+    const messages: ServerMessage[] = [sessionTokenMessage(lobby, msg.userId), snapshot];
 
     // Broadcast to all in lobby (except the new player, they already got snapshot)
     for (const otherConn of allConnections.values()) {
@@ -202,11 +358,11 @@ export function handleJoinLobby(
  * Handle JOIN_BY_CODE
  * Looks up lobby by room code instead of room ID
  */
-export function handleJoinByCode(
+export async function handleJoinByCode(
   msg: JoinByCodeMessage,
   conn: ClientConnection,
   allConnections: Map<string, ClientConnection>
-): ServerMessage[] {
+): Promise<ServerMessage[]> {
   try {
     // Look up lobby by code
     const lobby = lobbyState.getLobbyByCode(msg.roomCode);
@@ -221,9 +377,11 @@ export function handleJoinByCode(
       roomId: lobby.id,
       userId: msg.userId,
       userName: msg.userName,
+      spectator: msg.spectator,
+      password: msg.password,
     };
 
-    return handleJoinLobby(joinMsg, conn, allConnections);
+    return await handleJoinLobby(joinMsg, conn, allConnections);
   } catch (err) {
     sendError(conn, 'JOIN_ERROR', 'Failed to join lobby by code');
     return [];
@@ -275,7 +433,7 @@ export function handleSelectSong(
     if (!lobby) return;
 
     // Only host can pick song
-    if (lobby.hostId !== msg.userId) {
+    if (!isHostConnection(lobby, msg.userId, conn)) {
       sendError(conn, 'SELECT_SONG_ERROR', 'Only host can select song');
       return;
     }
@@ -296,6 +454,51 @@ export function handleSelectSong(
   }
 }
 
+/**
+ * Handle SET_DUET_PART
+ * 
+ * Player picks which duet part (P1/P2) they will sing
+ */
+export function handleSetDuetPart(
+  msg: SetDuetPartMessage,
+  conn: ClientConnection,
+  allConnections: Map<string, ClientConnection>
+): void {
+  try {
+    const lobby = lobbyState.setDuetPart(msg.roomId, msg.userId, msg.part);
+    if (!lobby) {
+      sendError(conn, 'SET_DUET_PART_ERROR', 'No duet selected or invalid part');
+      return;
+    }
+
+    // Broadcast update (snapshot)
+    broadcastToLobby(allConnections, msg.roomId, lobbyToMessage(lobby));
+  } catch (err) {
+    sendError(conn, 'SET_DUET_PART_ERROR', 'Failed to set duet part');
+  }
+}
+
+/**
+ * Handle SET_MIC_CHECK
+ * 
+ * Player reports the result of their lobby mic test
+ */
+export function handleSetMicCheck(
+  msg: SetMicCheckMessage,
+  conn: ClientConnection,
+  allConnections: Map<string, ClientConnection>
+): void {
+  try {
+    const lobby = lobbyState.setMicCheck(msg.roomId, msg.userId, msg.status);
+    if (!lobby) return;
+
+    // Broadcast update (snapshot)
+    broadcastToLobby(allConnections, msg.roomId, lobbyToMessage(lobby));
+  } catch (err) {
+    sendError(conn, 'SET_MIC_CHECK_ERROR', 'Failed to update mic check');
+  }
+}
+
 /**
  * Handle START_BATTLE
  */
@@ -312,17 +515,20 @@ export function handleStartBattle(
     }
 
     // Only host can start
-    if (lobby.hostId !== msg.userId) {
+    if (!isHostConnection(lobby, msg.userId, conn)) {
       sendError(conn, 'START_BATTLE_ERROR', 'Only host can start battle');
       return [];
     }
 
-    // All players must be ready
-    for (const player of lobby.players.values()) {
-      if (!player.ready) {
-        sendError(conn, 'START_BATTLE_ERROR', 'Not all players ready');
-        return [];
-      }
+    // All singers must be ready (spectators don't count)
+    const singers = lobbyState.getSingers(lobby);
+    if (singers.length === 0) {
+      sendError(conn, 'START_BATTLE_ERROR', 'No singers in lobby');
+      return [];
+    }
+    if (singers.some(p => !p.ready)) {
+      sendError(conn, 'START_BATTLE_ERROR', 'Not all players ready');
+      return [];
     }
 
     // Use current lobby song, or 'My Way', or fallback
@@ -339,6 +545,7 @@ export function handleStartBattle(
       type: 'PHASE_CHANGE',
       roomId: msg.roomId,
       newPhase: 'LOADING',
+      loadingDeadline: updatedLobby.battle.loadingDeadline!,
       song: {
         id: song.id,
         name: song.name,
@@ -346,9 +553,10 @@ export function handleStartBattle(
         lineDurations: song.lineDurations,
         lineTimings: song.lineTimings,
         notes: song.notes,
+        tracks: song.tracks,
         mp3: song.mp3,
         cover: song.cover
-      } as any
+      }
     };
 
     // Broadcast to all in lobby
@@ -369,34 +577,255 @@ export function handlePlayerLoaded(
   conn: ClientConnection,
   connections: Map<string, ClientConnection>
 ): void {
-  const result = lobbyState.setPlayerLoaded(msg.roomId, msg.userId);
+  const result = lobbyState.setPlayerLoaded(msg.roomId, msg.userId, msg.audioLatencyMs);
+  if (!result) return;
+
+  const progress: ServerMessage = {
+    type: 'PLAYER_LOADING_PROGRESS',
+    roomId: msg.roomId,
+    playerId: msg.userId,
+    progress: 1,
+    loaded: true,
+  };
+  broadcastToLobby(connections, msg.roomId, progress);
+
+  if (result.allLoaded) {
+    announceBattleStart(result.lobby, connections);
+  }
+}
+
+/**
+ * Broadcast START with future timestamp
+ */
+export function announceBattleStart(
+  lobby: ReturnType<typeof lobbyState.createLobby>,
+  connections: Map<string, ClientConnection>
+): void {
+  const phaseMsg: ServerMessage = {
+    type: 'PHASE_CHANGE',
+    roomId: lobby.id,
+    newPhase: 'IN_BATTLE',
+    battleStartTime: lobby.battle.battleStartTime!
+  };
+
+  console.log(`[Battle] Starting synced battle in lobby ${lobby.id}`);
+  broadcastToLobby(connections, lobby.id, phaseMsg);
+}
+
+/**
+ * A singer dropped or left while LOADING: if they were the last one still
+ * loading, start without waiting for the deadline. The snapshot tells clients
+ * who sits out
+ */
+export function startBattleIfAllLoaded(lobbyId: string, connections: Map<string, ClientConnection>): void {
+  const lobby = lobbyState.getLobby(lobbyId);
+  if (!lobby || !lobbyState.startIfAllLoaded(lobby)) return;
+
+  broadcastToLobby(connections, lobbyId, lobbyToMessage(lobby));
+  announceBattleStart(lobby, connections);
+}
+
+/**
+ * Handle LOADING_PROGRESS
+ * 
+ * Relayed to the lobby so the loading screen can show who is still buffering
+ */
+export function handleLoadingProgress(
+  msg: LoadingProgressMessage,
+  connections: Map<string, ClientConnection>
+): void {
+  const lobby = lobbyState.setLoadProgress(msg.roomId, msg.userId, msg.progress);
+  if (!lobby) return;
+
+  const progress: ServerMessage = {
+    type: 'PLAYER_LOADING_PROGRESS',
+    roomId: msg.roomId,
+    playerId: msg.userId,
+    progress: lobby.players.get(msg.userId)!.loadProgress,
+    loaded: false,
+  };
+  broadcastToLobby(connections, msg.roomId, progress);
+}
+
+/**
+ * The message really comes from the host: userId is bound to this socket
+ * (by CREATE_LOBBY / JOIN_LOBBY / RESUME_SESSION) in this lobby, not just claimed
+ */
+function isHostConnection(
+  lobby: ReturnType<typeof lobbyState.createLobby>,
+  userId: string,
+  conn: ClientConnection
+): boolean {
+  return conn.userId === userId && conn.lobbyId === lobby.id && lobby.hostId === userId;
+}
+
+/**
+ * Check that the sender is the host on this socket
+ */
+function validateHost(
+  msg: { roomId: string; userId: string },
+  conn: ClientConnection,
+  errorCode: string
+): boolean {
+  const lobby = lobbyState.getLobby(msg.roomId);
+  if (!lobby) {
+    sendError(conn, errorCode, 'Lobby not found');
+    return false;
+  }
+
+  if (!isHostConnection(lobby, msg.userId, conn)) {
+    sendError(conn, 'PERMISSION_DENIED', 'Only host can do that');
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Handle FORCE_START_BATTLE
+ * 
+ * After the loading deadline: singers still loading sit out, everyone else
+ * gets the usual IN_BATTLE countdown. The snapshot tells clients who sits out
+ */
+export function handleForceStartBattle(
+  msg: ForceStartBattleMessage,
+  conn: ClientConnection,
+  allConnections: Map<string, ClientConnection>
+): void {
+  try {
+    if (!validateHost(msg, conn, 'FORCE_START_ERROR')) return;
+
+    const lobby = lobbyState.forceStartBattle(msg.roomId);
+    if (!lobby) {
+      sendError(conn, 'FORCE_START_ERROR', 'Loading deadline has not passed or nobody has loaded');
+      return;
+    }
 
-  if (result && result.allLoaded) {
-    // Broadcast START with future timestamp
-    const phaseMsg: ServerMessage = {
+    console.log(`[Battle] Host force-started lobby ${msg.roomId} without stragglers`);
+
+    broadcastToLobby(allConnections, msg.roomId, lobbyToMessage(lobby));
+    broadcastToLobby(allConnections, msg.roomId, {
       type: 'PHASE_CHANGE',
       roomId: msg.roomId,
       newPhase: 'IN_BATTLE',
-      battleStartTime: result.lobby.battle.battleStartTime!
-    };
+      battleStartTime: lobby.battle.battleStartTime!,
+    });
+  } catch (err) {
+    sendError(conn, 'FORCE_START_ERROR', 'Failed to start battle');
+  }
+}
+
+/**
+ * Handle ABORT_BATTLE
+ * 
+ * From LOADING or a (running or paused) battle back to LOBBY with the song
+ * kept; buffered audio is dropped and nothing is recorded in battle history
+ */
+export function handleAbortBattle(
+  msg: AbortBattleMessage,
+  conn: ClientConnection,
+  allConnections: Map<string, ClientConnection>
+): void {
+  try {
+    if (!validateHost(msg, conn, 'ABORT_BATTLE_ERROR')) return;
+
+    const lobby = lobbyState.getLobby(msg.roomId)!;
+    const abortedPhase = lobby.battle.phase;
+    if (abortedPhase !== 'LOADING' && abortedPhase !== 'IN_BATTLE') {
+      sendError(conn, 'ABORT_BATTLE_ERROR', 'No battle to abort');
+      return;
+    }
+
+    lobbyState.resetToLobby(msg.roomId, true);
+    console.log(`[Battle] Host aborted lobby ${msg.roomId} during ${abortedPhase}`);
+
+    broadcastToLobby(allConnections, msg.roomId, {
+      type: 'PHASE_CHANGE',
+      roomId: msg.roomId,
+      newPhase: 'LOBBY',
+    });
+    broadcastToLobby(allConnections, msg.roomId, lobbyToMessage(lobby));
+  } catch (err) {
+    sendError(conn, 'ABORT_BATTLE_ERROR', 'Failed to abort battle');
+  }
+}
+
+/**
+ * Handle PAUSE_BATTLE
+ */
+export function handlePauseBattle(
+  msg: PauseBattleMessage,
+  conn: ClientConnection,
+  allConnections: Map<string, ClientConnection>
+): void {
+  try {
+    if (!validateHost(msg, conn, 'PAUSE_BATTLE_ERROR')) return;
+
+    const lobby = lobbyState.pauseBattle(msg.roomId);
+    if (!lobby) {
+      sendError(conn, 'PAUSE_BATTLE_ERROR', 'No running battle to pause');
+      return;
+    }
+
+    console.log(`[Battle] Host paused lobby ${msg.roomId}`);
 
-    console.log(`[Battle] Starting synced battle in lobby ${msg.roomId}`);
-    broadcastToLobby(connections, msg.roomId, phaseMsg);
+    broadcastToLobby(allConnections, msg.roomId, {
+      type: 'BATTLE_PAUSED',
+      roomId: msg.roomId,
+      pausedAt: lobby.battle.pausedAt!,
+    });
+  } catch (err) {
+    sendError(conn, 'PAUSE_BATTLE_ERROR', 'Failed to pause battle');
   }
 }
 
 /**
- * Handle AUDIO_CHUNK
+ * Handle RESUME_BATTLE
  * 
- * Validate and queue for scoring
+ * Clients count down to resumeAt, then seek to now - battleStartTime and play
  */
-export function handleAudioChunk(msg: AudioChunkMessage): void {
+export function handleResumeBattle(
+  msg: ResumeBattleMessage,
+  conn: ClientConnection,
+  allConnections: Map<string, ClientConnection>
+): void {
+  try {
+    if (!validateHost(msg, conn, 'RESUME_BATTLE_ERROR')) return;
+
+    const lobby = lobbyState.resumeBattle(msg.roomId);
+    if (!lobby) {
+      sendError(conn, 'RESUME_BATTLE_ERROR', 'Battle is not paused');
+      return;
+    }
+
+    console.log(`[Battle] Host resumed lobby ${msg.roomId}`);
+
+    broadcastToLobby(allConnections, msg.roomId, {
+      type: 'BATTLE_RESUMED',
+      roomId: msg.roomId,
+      battleStartTime: lobby.battle.battleStartTime!,
+      resumeAt: lobby.battle.resumeAt!,
+    });
+  } catch (err) {
+    sendError(conn, 'RESUME_BATTLE_ERROR', 'Failed to resume battle');
+  }
+}
+
+/**
+ * Handle AUDIO_CHUNK / AUDIO_FRAME
+ * 
+ * Validate and queue for scoring. Binary AUDIO_FRAMEs are the primary path;
+ * Base64 AUDIO_CHUNK JSON is still accepted from older clients.
+ */
+export function handleAudioChunk(msg: AudioChunkMessage | AudioFrameMessage): void {
   try {
     const lobby = lobbyState.getLobby(msg.roomId);
     if (!lobby) return;
 
+    // Only a running battle scores (not LOADING/RESULTS, nothing while paused)
+    if (lobby.battle.phase !== 'IN_BATTLE' || !lobby.battle.battleStartTime || lobby.battle.pausedAt !== null) return;
+
     // Validate timestamp is within battle window
-    if (!lobby.battle.battleStartTime) return;
     const elapsedMs = Date.now() - lobby.battle.battleStartTime;
 
     // Allow up to 1 second latency
@@ -405,28 +834,99 @@ export function handleAudioChunk(msg: AudioChunkMessage): void {
     }
 
     // Add to buffer for scoring
-    lobbyState.addAudioChunk(msg.roomId, msg.userId, msg.timestamp, msg.audioData);
+    if (msg.type === 'AUDIO_FRAME') {
+      lobbyState.addAudioChunk(msg.roomId, msg.userId, msg.timestamp, msg.samples, msg.sampleRate, msg.sequence);
+    } else {
+      lobbyState.addAudioChunk(msg.roomId, msg.userId, msg.timestamp, decodeAudioData(msg.audioData), msg.sampleRate);
+    }
   } catch (err) {
     // Silently discard invalid audio chunks
     return;
   }
 }
 
+/**
+ * End a battle: score any buffered audio, save the results to battle history,
+ * then broadcast final rankings (BATTLE_RESULTS) and the RESULTS phase change
+ */
+export function endBattleWithResults(
+  lobbyId: string,
+  endReason: 'finish' | 'timeout',
+  allConnections: Map<string, ClientConnection>
+): void {
+  const lobby = lobbyState.getLobby(lobbyId);
+  if (!lobby || lobby.battle.phase !== 'IN_BATTLE') return;
+
+  // Score whatever arrived since the last 500ms tick
+  for (const [userId, scoreData] of updateBattleScores(lobby)) {
+    lobbyState.updatePlayerScore(lobbyId, userId, scoreData.score, scoreData.combo, scoreData.accuracy, scoreData.maxCombo);
+  }
+
+  console.log(`[Battle] Ending battle for lobby ${lobbyId} (${endReason})`);
+  lobbyState.endBattle(lobbyId);
+
+  const playersArray = lobbyState.getBattleSingers(lobby)
+    .sort((a, b) => b.score - a.score);
+
+  const results = playersArray.map((p, index) => ({
+    id: p.id,
+    name: p.name,
+    score: p.score,
+    accuracy: p.accuracy || 0,
+    combo: p.maxCombo, // best streak of the battle
+    position: index + 1,
+  }));
+  const endedAt = Date.now();
+
+  if (lobby.battle.song) {
+    recordBattle({
+      id: uuidv4(),
+      roomId: lobbyId,
+      roomName: lobby.name,
+      songId: lobby.battle.song.id,
+      songName: lobby.battle.song.name,
+      startedAt: lobby.battle.battleStartTime,
+      endedAt,
+      endReason,
+      players: results,
+    });
+  }
+
+  const resultsMsg: ServerMessage = {
+    type: 'BATTLE_RESULTS',
+    roomId: lobbyId,
+    players: results,
+    endedAt,
+    endReason,
+  };
+
+  broadcastToLobby(allConnections, lobbyId, resultsMsg);
+
+  const phaseMsg: ServerMessage = {
+    type: 'PHASE_CHANGE',
+    roomId: lobbyId,
+    newPhase: 'RESULTS',
+  };
+  broadcastToLobby(allConnections, lobbyId, phaseMsg);
+}
+
 /**
  * Handle FINISH_BATTLE
  * 
- * Player explicitly finished singing
+ * Player explicitly finished singing; the battle ends once every
+ * connected player has finished (or the timeout in index.ts hits)
  */
 export function handleFinishBattle(
   msg: FinishBattleMessage,
-  _allConnections: Map<string, ClientConnection>
+  allConnections: Map<string, ClientConnection>
 ): ServerMessage[] {
   try {
-    const lobby = lobbyState.getLobby(msg.roomId);
-    if (!lobby) return [];
+    const result = lobbyState.setPlayerFinished(msg.roomId, msg.userId);
+    if (!result) return [];
 
-    // Mark player as finished (for battle end detection)
-    // TODO: PRODUCTION - Track who finished, end when all finish or timeout
+    if (result.allFinished) {
+      endBattleWithResults(msg.roomId, 'finish', allConnections);
+    }
 
     return [];
   } catch (err) {
@@ -434,6 +934,208 @@ export function handleFinishBattle(
   }
 }
 
+/**
+ * Handle RESUME_SESSION
+ * 
+ * Rebind a reconnected socket to a player still inside their grace period
+ * (the resumeToken from SESSION_TOKEN proves the seat is theirs)
+ */
+export function handleResumeSession(
+  msg: ResumeSessionMessage,
+  conn: ClientConnection,
+  allConnections: Map<string, ClientConnection>,
+  gracePeriodMs: number
+): ServerMessage[] {
+  try {
+    const lobby = lobbyState.resumeSession(msg.roomId, msg.userId, msg.resumeToken, gracePeriodMs);
+    if (!lobby) {
+      sendError(conn, 'RESUME_FAILED', 'Session expired or lobby closed');
+      return [];
+    }
+
+    // Detach any stale socket still bound to this player
+    for (const otherConn of allConnections.values()) {
+      if (otherConn !== conn && otherConn.userId === msg.userId) {
+        otherConn.userId = null;
+        otherConn.lobbyId = null;
+      }
+    }
+
+    conn.userId = msg.userId;
+    conn.lobbyId = msg.roomId;
+
+    // Everyone (including the resumed player) gets a fresh snapshot
+    broadcastToLobby(allConnections, msg.roomId, lobbyToMessage(lobby));
+
+    return [];
+  } catch (err) {
+    sendError(conn, 'RESUME_ERROR', 'Failed to resume session');
+    return [];
+  }
+}
+
+/**
+ * Handle RETURN_TO_LOBBY
+ * 
+ * Host takes the room from RESULTS back to LOBBY for another round
+ */
+export function handleReturnToLobby(
+  msg: ReturnToLobbyMessage,
+  conn: ClientConnection,
+  allConnections: Map<string, ClientConnection>
+): void {
+  try {
+    const lobby = lobbyState.getLobby(msg.roomId);
+    if (!lobby) return;
+
+    // Only host can reset the room
+    if (!isHostConnection(lobby, msg.userId, conn)) {
+      sendError(conn, 'RETURN_TO_LOBBY_ERROR', 'Only host can return to lobby');
+      return;
+    }
+
+    if (lobby.battle.phase !== 'RESULTS') {
+      sendError(conn, 'RETURN_TO_LOBBY_ERROR', 'Battle has not finished yet');
+      return;
+    }
+
+    lobbyState.resetToLobby(msg.roomId, Boolean(msg.rematch));
+
+    const phaseChange: ServerMessage = {
+      type: 'PHASE_CHANGE',
+      roomId: msg.roomId,
+      newPhase: 'LOBBY',
+    };
+    broadcastToLobby(allConnections, msg.roomId, phaseChange);
+
+    // Fresh snapshot: cleared scores/ready state (and the kept song on rematch)
+    broadcastToLobby(allConnections, msg.roomId, lobbyToMessage(lobby));
+  } catch (err) {
+    sendError(conn, 'RETURN_TO_LOBBY_ERROR', 'Failed to return to lobby');
+  }
+}
+
+/**
+ * Handle TIME_SYNC
+ * 
+ * Answer a clock probe so the client can estimate offset and round-trip time
+ * (works without joining a lobby)
+ */
+export function handleTimeSync(msg: TimeSyncMessage, receivedAt: number): ServerMessage[] {
+  return [{
+    type: 'TIME_SYNC_REPLY',
+    clientSendTime: msg.clientSendTime,
+    serverReceiveTime: receivedAt,
+    serverSendTime: Date.now(),
+  }];
+}
+
+/**
+ * Check a moderation request: sender must be the host on this socket,
+ * and the target another player in the lobby
+ */
+function validateModeration(
+  msg: KickPlayerMessage | BanPlayerMessage | TransferHostMessage,
+  conn: ClientConnection,
+  errorCode: string
+): boolean {
+  const lobby = lobbyState.getLobby(msg.roomId);
+  if (!lobby) {
+    sendError(conn, errorCode, 'Lobby not found');
+    return false;
+  }
+
+  if (!isHostConnection(lobby, msg.userId, conn)) {
+    sendError(conn, 'PERMISSION_DENIED', 'Only host can moderate the lobby');
+    return false;
+  }
+
+  if (msg.targetId === msg.userId || !lobby.players.has(msg.targetId)) {
+    sendError(conn, errorCode, 'Player not found');
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Handle KICK_PLAYER / BAN_PLAYER
+ * 
+ * Host removes a player (ban also blocks rejoining); everyone, including the
+ * removed player, gets PLAYER_LEFT with reason 'kicked'
+ */
+export function handleKickPlayer(
+  msg: KickPlayerMessage | BanPlayerMessage,
+  conn: ClientConnection,
+  allConnections: Map<string, ClientConnection>
+): void {
+  const errorCode = msg.type === 'BAN_PLAYER' ? 'BAN_PLAYER_ERROR' : 'KICK_PLAYER_ERROR';
+
+  try {
+    if (!validateModeration(msg, conn, errorCode)) return;
+
+    lobbyState.kickPlayer(msg.roomId, msg.targetId, msg.type === 'BAN_PLAYER');
+    console.log(`[Lobby] ${msg.userId} ${msg.type === 'BAN_PLAYER' ? 'banned' : 'kicked'} ${msg.targetId} from ${msg.roomId}`);
+
+    const playerLeft: ServerMessage = {
+      type: 'PLAYER_LEFT',
+      roomId: msg.roomId,
+      playerId: msg.targetId,
+      reason: 'kicked',
+    };
+    broadcastToLobby(allConnections, msg.roomId, playerLeft);
+    detachFromLobby(allConnections, msg.roomId, msg.targetId);
+    startBattleIfAllLoaded(msg.roomId, allConnections);
+  } catch (err) {
+    sendError(conn, errorCode, 'Failed to remove player');
+  }
+}
+
+/**
+ * Unbind sockets from a lobby the server removed them from (kick, idle
+ * removal or a closed lobby), so they stop getting its broadcasts.
+ * Without userId, every socket in the lobby is detached
+ */
+export function detachFromLobby(
+  allConnections: Map<string, ClientConnection>,
+  lobbyId: string,
+  userId?: string
+): void {
+  for (const conn of allConnections.values()) {
+    if (conn.lobbyId === lobbyId && (userId === undefined || conn.userId === userId)) {
+      conn.userId = null;
+      conn.lobbyId = null;
+    }
+  }
+}
+
+/**
+ * Handle TRANSFER_HOST
+ */
+export function handleTransferHost(
+  msg: TransferHostMessage,
+  conn: ClientConnection,
+  allConnections: Map<string, ClientConnection>
+): void {
+  try {
+    if (!validateModeration(msg, conn, 'TRANSFER_HOST_ERROR')) return;
+
+    if (!lobbyState.transferHost(msg.roomId, msg.targetId)) {
+      sendError(conn, 'TRANSFER_HOST_ERROR', 'Only a connected singer can become host');
+      return;
+    }
+
+    const hostChanged: ServerMessage = {
+      type: 'HOST_CHANGED',
+      roomId: msg.roomId,
+      hostId: msg.targetId,
+    };
+    broadcastToLobby(allConnections, msg.roomId, hostChanged);
+  } catch (err) {
+    sendError(conn, 'TRANSFER_HOST_ERROR', 'Failed to transfer host');
+  }
+}
+
 /**
  * Handle LEAVE_LOBBY
  */
@@ -443,6 +1145,7 @@ export function handleLeaveLobby(
   allConnections: Map<string, ClientConnection>
 ): ServerMessage[] {
   try {
+    const previousHostId = lobbyState.getLobby(msg.roomId)?.hostId;
     lobbyState.leaveLobby(msg.roomId, msg.userId);
     conn.userId = null;
     conn.lobbyId = null;
@@ -457,6 +1160,17 @@ export function handleLeaveLobby(
 
     broadcastToLobby(allConnections, msg.roomId, playerLeft);
 
+    // Host left: announce who took over
+    const lobby = lobbyState.getLobby(msg.roomId);
+    if (lobby && lobby.hostId !== previousHostId) {
+      broadcastToLobby(allConnections, msg.roomId, {
+        type: 'HOST_CHANGED',
+        roomId: msg.roomId,
+        hostId: lobby.hostId,
+      });
+    }
+
+    startBattleIfAllLoaded(msg.roomId, allConnections);
     return [];
   } catch (err) {
     return [];
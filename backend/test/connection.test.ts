@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAudioFrame } from '../src/ws/connection.js';
+
+// Same layout as encodeAudioFrame in the frontend (Int16 PCM)
+function encodeFrame(roomId: Buffer, userId: Buffer, pcm: Buffer, idLengths = [roomId.length, userId.length]): Buffer {
+    const header = Buffer.alloc(20);
+    header.writeUInt8(1, 0);
+    header.writeUInt8(2, 1);
+    header.writeUInt8(idLengths[0], 2);
+    header.writeUInt8(idLengths[1], 3);
+    header.writeUInt32LE(7, 4);
+    header.writeDoubleLE(1234.5, 8);
+    header.writeUInt32LE(44100, 16);
+    return Buffer.concat([header, roomId, userId, pcm]);
+}
+
+test('parseAudioFrame decodes a well-formed frame', () => {
+    const pcm = Buffer.alloc(4);
+    pcm.writeInt16LE(16384, 0);
+    pcm.writeInt16LE(-32768, 2);
+
+    const msg = parseAudioFrame(encodeFrame(Buffer.from('room'), Buffer.from('user'), pcm));
+    assert.ok(msg);
+    assert.equal(msg.roomId, 'room');
+    assert.equal(msg.userId, 'user');
+    assert.equal(msg.sequence, 7);
+    assert.equal(msg.timestamp, 1234.5);
+    assert.deepEqual(Array.from(msg.samples), [0.5, -1]);
+});
+
+test('parseAudioFrame rejects PCM that is not a whole number of samples', () => {
+    // userId length one short: its last byte lands in the PCM
+    const frame = encodeFrame(Buffer.from('room'), Buffer.from('user'), Buffer.alloc(4), [4, 3]);
+    assert.equal(parseAudioFrame(frame), null);
+});
+
+test('parseAudioFrame rejects IDs that are not valid UTF-8', () => {
+    const frame = encodeFrame(Buffer.from([0xff, 0xfe]), Buffer.from('user'), Buffer.alloc(4));
+    assert.equal(parseAudioFrame(frame), null);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as lobbyState from '../src/state/lobby.js';
+
+function createLobbyWithGuest(guestRole: 'singer' | 'spectator') {
+    const lobby = lobbyState.createLobby(`host-${guestRole}`, 'Host', 'Room');
+    assert.ok(lobbyState.joinLobby(lobby.id, `guest-${guestRole}`, 'Guest', guestRole));
+    return { lobby, hostId: `host-${guestRole}`, guestId: `guest-${guestRole}` };
+}
+
+test('transferHost hands the role to a connected singer', () => {
+    const { lobby, hostId, guestId } = createLobbyWithGuest('singer');
+
+    assert.ok(lobbyState.transferHost(lobby.id, guestId));
+    assert.equal(lobby.hostId, guestId);
+    assert.equal(lobby.players.get(guestId)?.isHost, true);
+    assert.equal(lobby.players.get(hostId)?.isHost, false);
+});
+
+test('transferHost rejects a spectator', () => {
+    const { lobby, hostId, guestId } = createLobbyWithGuest('spectator');
+
+    assert.equal(lobbyState.transferHost(lobby.id, guestId), null);
+    assert.equal(lobby.hostId, hostId);
+    assert.equal(lobby.players.get(guestId)?.isHost, false);
+});
+
+test('transferHost rejects a player in their reconnect grace period', () => {
+    const { lobby, hostId, guestId } = createLobbyWithGuest('singer');
+    lobbyState.markDisconnected(lobby.id, guestId);
+
+    assert.equal(lobbyState.transferHost(lobby.id, guestId), null);
+    assert.equal(lobby.hostId, hostId);
+    assert.equal(lobby.players.get(guestId)?.isHost, false);
+});
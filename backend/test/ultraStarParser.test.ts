@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { parseUltraStar } from '../src/services/ultraStarParser.js';
+
+function writeSong(lines: string[]): string {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kk-parser-'));
+    const file = path.join(dir, 'song.txt');
+    fs.writeFileSync(file, lines.join('\n'));
+    return file;
+}
+
+test('duet tracks stay sorted when P3 sections interleave with P1/P2', () => {
+    // BPM 15 → 1000ms per beat
+    const file = writeSong([
+        '#TITLE:Interleaved',
+        '#ARTIST:Test',
+        '#BPM:15',
+        '#GAP:0',
+        'P1',
+        ': 0 2 0 one',
+        '- 3',
+        'P3',
+        ': 40 2 0 both',
+        'P1',
+        ': 20 2 0 two',
+        'P2',
+        ': 10 2 0 solo',
+        'E',
+    ]);
+
+    const song = parseUltraStar(file);
+    fs.rmSync(path.dirname(file), { recursive: true });
+    assert.ok(song?.tracks);
+
+    const [p1, p2] = song.tracks;
+    assert.deepEqual(p1.notes.map(n => n.start), [0, 20000, 40000]);
+    assert.deepEqual(p1.lineTimings, [0, 20000, 40000]);
+    assert.deepEqual(p1.lyrics, ['one', 'two', 'both']);
+    assert.deepEqual(p2.notes.map(n => n.start), [10000, 40000]);
+    assert.deepEqual(p2.lyrics, ['solo', 'both']);
+
+    // Top-level mirrors P1; the song runs 5s past the last note
+    assert.deepEqual(song.notes.map(n => n.start), [0, 20000, 40000]);
+    assert.equal(song.duration, 45000);
+});
@@ -7,6 +7,7 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import LobbyScreen from './pages/LobbyScreen';
 import BattlePage from './pages/BattlePage';
 import ResultsPage from './pages/ResultsPage';
+import CalibrationPage from './pages/CalibrationPage';
 import { useWebSocket } from './hooks/useWebSocket';
 import { initializeGameSync } from './services/GameSync';
 import { useEffect } from 'react';
@@ -49,6 +50,7 @@ function App() {
           <Route path="/joinTeams" element={<JoinTeams />} />
           <Route path="/createTeams" element={<CreateTeams />} />
           <Route path="/lobby" element={<LobbyScreen />} />
+          <Route path="/calibrate" element={<CalibrationPage />} />
           <Route
             path="/battle"
             element={<BattlePage />}
@@ -0,0 +1,35 @@
+/**
+ * DuetPartSelect: Let a player pick which part of a duet they sing
+ * 
+ * DISPLAYS:
+ *   - One button per duet part (P1, P2) labelled with the singer name
+ *   - The current player's part highlighted
+ * 
+ * BACKEND INTEGRATION:
+ *   - parts come from song.duetParts in LOBBY_SNAPSHOT
+ *   - onChange(partIndex) → parent sends SET_DUET_PART
+ *   - Server balances parts automatically; this only overrides the pick
+ */
+
+export default function DuetPartSelect({ parts, selectedPart, onChange }) {
+  return (
+    <div className="mt-4">
+      <h3 className="text-lg font-semibold mb-2">Your Duet Part</h3>
+      <div className="flex gap-2">
+        {parts.map((name, index) => (
+          <button
+            key={index}
+            onClick={() => onChange(index)}
+            className={`flex-1 px-3 py-2 rounded font-bold transition ${
+              selectedPart === index
+                ? "bg-purple-600"
+                : "bg-gray-600 hover:bg-gray-500"
+            }`}
+          >
+            P{index + 1} · {name}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import { useEffect, useState } from "react";
+import { useLobbyStore, PLAYER_ROLES } from "../store/lobbyStore";
+
+/**
+ * LoadingStatus: Who is still buffering the song (BattlePage, LOADING phase)
+ *
+ * DISPLAYS:
+ *   - One row per singer: progress bar, ✅ once loaded
+ *   - Seconds left until the loading deadline
+ *   - After LOADING_TIMEOUT: the host gets "Start without them" / "Back to lobby",
+ *     everyone else waits for the host's decision
+ *
+ * BACKEND INTEGRATION:
+ *   - Progress comes from PLAYER_LOADING_PROGRESS (players[].loadProgress / isLoaded)
+ *   - onForceStart → FORCE_START_BATTLE, onAbort → ABORT_BATTLE (host only)
+ */
+
+export default function LoadingStatus({ isHost, onForceStart, onAbort }) {
+  const lobby = useLobbyStore((state) => state.lobby);
+  const getServerTime = useLobbyStore((state) => state.getServerTime);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  const singers = lobby.players.filter((p) => p.role !== PLAYER_ROLES.SPECTATOR);
+  // Also past the deadline when LOADING_TIMEOUT was missed (e.g. joined after it)
+  const timedOut = Boolean(lobby.loadingWaitingFor) || secondsLeft === 0;
+
+  // Deadline countdown
+  useEffect(() => {
+    if (!lobby.loadingDeadline) return;
+
+    const tick = () => {
+      setSecondsLeft(Math.max(0, Math.ceil((lobby.loadingDeadline - getServerTime()) / 1000)));
+    };
+    const timer = setInterval(tick, 250);
+    tick();
+    return () => clearInterval(timer);
+  }, [lobby.loadingDeadline, getServerTime]);
+
+  return (
+    <div className="w-96 mt-6 bg-gray-800 rounded-lg p-4 text-base">
+      <ul className="space-y-2">
+        {singers.map((p) => (
+          <li key={p.id} className="flex items-center gap-3">
+            <span className="w-28 truncate">{p.name}</span>
+            <div className="flex-1 h-2 bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className={`h-full ${p.isLoaded ? "bg-green-500" : "bg-blue-500"}`}
+                style={{ width: `${Math.round((p.isLoaded ? 1 : p.loadProgress || 0) * 100)}%` }}
+              />
+            </div>
+            <span className="w-6 text-center">{p.isLoaded ? "✅" : p.connected === false ? "⚠️" : ""}</span>
+          </li>
+        ))}
+      </ul>
+
+      {!timedOut && secondsLeft !== null && (
+        <p className="mt-4 text-center text-sm text-gray-400">
+          Waiting up to {secondsLeft}s for everyone to load
+        </p>
+      )}
+
+      {timedOut && (
+        <div className="mt-4 text-center">
+          <p className="mb-3 text-yellow-400">Some players are taking too long to load.</p>
+          {isHost ? (
+            <div className="flex gap-2 justify-center">
+              <button
+                onClick={onForceStart}
+                disabled={!singers.some((p) => p.isLoaded)}
+                className="px-4 py-2 rounded bg-green-600 hover:bg-green-500 font-bold disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Start without them
+              </button>
+              <button
+                onClick={onAbort}
+                className="px-4 py-2 rounded bg-red-600 hover:bg-red-500 font-bold"
+              >
+                Back to lobby
+              </button>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-400">Waiting for the host to decide...</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,4 +1,27 @@
+import { LOBBY_PHASES } from "../store/lobbyStore";
+
+/**
+ * LobbyCard: One public lobby in the join page's lobby browser
+ *
+ * DISPLAYS:
+ *   - Room name (🔒 when password-protected), host and room code
+ *   - Singer seats taken (playerCount/maxPlayers) and spectator count
+ *   - Phase (waiting / loading / in battle / results) and selected song
+ *
+ * Clicking calls onJoin(lobby). disabled greys the card out (e.g. full lobby).
+ */
+
+const PHASE_LABELS = {
+  [LOBBY_PHASES.LOBBY]: { text: "Waiting", className: "bg-green-600" },
+  [LOBBY_PHASES.LOADING]: { text: "Loading", className: "bg-yellow-600" },
+  [LOBBY_PHASES.IN_BATTLE]: { text: "In battle", className: "bg-red-600" },
+  [LOBBY_PHASES.RESULTS]: { text: "Results", className: "bg-purple-600" },
+};
+
 const LobbyCard = ({ lobby, onJoin, disabled }) => {
+  const phase = PHASE_LABELS[lobby.phase] || { text: lobby.phase, className: "bg-gray-600" };
+  const isFull = lobby.playerCount >= lobby.maxPlayers;
+
   return (
     <div
       className={`bg-gray-700 text-white p-4 rounded shadow cursor-pointer
@@ -6,19 +29,29 @@ const LobbyCard = ({ lobby, onJoin, disabled }) => {
             flex flex-col justify-between ${
               disabled ? "opacity-50 cursor-not-allowed" : ""
             }`}
-      onClick={() => !disabled && onJoin(lobby.roomId)}
+      onClick={() => !disabled && onJoin(lobby)}
     >
-      <h2 className="text-xl font-bold">{lobby.name}</h2>
-      <p>
-        Players: {lobby.players.map((p) => p.name).join(", ")} (
-        {lobby.players.length}/{lobby.maxPlayers})
-      </p>
-      <p>Code: {lobby.roomCode}</p>
+      <div className="flex items-start justify-between gap-2">
+        <h2 className="text-xl font-bold truncate">
+          {lobby.hasPassword && <span title="Password required">🔒 </span>}
+          {lobby.name}
+        </h2>
+        <span className={`text-xs px-2 py-1 rounded whitespace-nowrap ${phase.className}`}>
+          {phase.text}
+        </span>
+      </div>
+      <p className="text-sm text-gray-300">Host: {lobby.hostName || "—"}</p>
       <p>
-        Ready: {lobby.players.map((p) => (p.ready ? "✅" : "❌")).join(" ")}
+        Singers: {lobby.playerCount}/{lobby.maxPlayers}
+        {isFull && <span className="ml-2 text-red-400">(full)</span>}
+        {lobby.spectatorCount > 0 && (
+          <span className="ml-2 text-gray-300">👁 {lobby.spectatorCount}</span>
+        )}
       </p>
+      <p className="truncate">Song: {lobby.song ? lobby.song.name : "not selected"}</p>
+      <p className="text-sm text-gray-400">Code: {lobby.roomCode}</p>
     </div>
   );
 };
 
-export default LobbyCard;
\ No newline at end of file
+export default LobbyCard;
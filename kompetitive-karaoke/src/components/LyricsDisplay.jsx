@@ -1,23 +1,43 @@
-import { useEffect, useState, useRef } from "react";
+import { useEffect, useMemo, useState, useRef } from "react";
+import { useLobbyStore } from "../store/lobbyStore";
 
 /**
  * LyricsDisplay - Display karaoke lyrics synchronized with battle timing
- * 
+ *
  * Synchronizes lyric lines based on:
- * - battleStartTime: The absolute unix ms when the music starts.
+ * - battleStartTime: The absolute unix ms (server clock) when the music starts.
  * - lineTimings: Array of relative ms offset for each lyric line.
+ * - notes: Per-syllable timing ({ start, duration, lyric, type }) from parseUltraStar.
+ *
+ * The current line is rendered syllable by syllable; each syllable fills
+ * left → right while the clock is inside its note (karaoke wipe).
+ * The next line is previewed underneath.
+ *
+ * Clock: audioRef.currentTime once the backing track plays, so the wipe
+ * matches what the singer hears; server time before that (countdown).
  */
 
+const SUNG_COLOR = "#4ade80";     // green-400
+const GOLDEN_COLOR = "#facc15";   // yellow-400
+const UNSUNG_COLOR = "#ffffff";
+
+// Fraction of a note that has been sung at `elapsed` (0..1)
+function noteProgress(note, elapsed) {
+  if (elapsed <= note.start) return 0;
+  if (note.duration <= 0 || elapsed >= note.start + note.duration) return 1;
+  return (elapsed - note.start) / note.duration;
+}
+
 export default function LyricsDisplay({
   lyrics,
   lineTimings = [],
+  notes = [],
   battleStartTime,
   audioRef,
   onEnd,
 }) {
-  const [currentLine, setCurrentLine] = useState(0);
-  const lineRefs = useRef([]);
-  const containerRef = useRef(null);
+  const getServerTime = useLobbyStore((state) => state.getServerTime);
+  const [elapsed, setElapsed] = useState(0);
   const onEndRef = useRef(onEnd);
 
   // Sync onEnd ref
@@ -25,6 +45,19 @@ export default function LyricsDisplay({
     onEndRef.current = onEnd;
   }, [onEnd]);
 
+  // Split notes into lines: a line starts at its first note (lineTimings)
+  const lineNotes = useMemo(() => {
+    const lines = lineTimings.map(() => []);
+    let lineIndex = 0;
+    for (const note of notes) {
+      while (lineIndex + 1 < lineTimings.length && note.start >= lineTimings[lineIndex + 1]) {
+        lineIndex++;
+      }
+      lines[lineIndex]?.push(note);
+    }
+    return lines;
+  }, [notes, lineTimings]);
+
   // SYNC LOOP
   useEffect(() => {
     if (!battleStartTime || !lineTimings.length) return;
@@ -34,29 +67,18 @@ export default function LyricsDisplay({
     const updateLoop = () => {
       if (!isRunning) return;
 
-      let elapsed = 0;
+      let now = 0;
       if (audioRef?.current && audioRef.current.currentTime > 0) {
-        elapsed = audioRef.current.currentTime * 1000;
+        now = audioRef.current.currentTime * 1000;
       } else {
-        elapsed = Date.now() - battleStartTime;
-      }
-
-      // Find the current line index by looking at timings
-      // Find the last timing that is <= elapsed
-      let foundIndex = -1;
-      for (let i = 0; i < lineTimings.length; i++) {
-        if (lineTimings[i] <= elapsed) {
-          foundIndex = i;
-        } else {
-          break;
-        }
+        now = getServerTime() - battleStartTime;
       }
 
-      setCurrentLine(foundIndex);
+      setElapsed(now);
 
       // Check if song ended (last line + some buffer or based on total duration if we had it)
       // For now, if we are past the last line and it's been > 4s
-      if (foundIndex === lineTimings.length - 1 && elapsed > lineTimings[foundIndex] + 5000) {
+      if (now > lineTimings[lineTimings.length - 1] + 5000) {
         onEndRef.current && onEndRef.current();
         isRunning = false;
         return;
@@ -70,38 +92,51 @@ export default function LyricsDisplay({
     return () => {
       isRunning = false;
     };
-  }, [battleStartTime, lineTimings]);
-
-  // Calculate dynamic scroll offset
-  const getScrollOffset = () => {
-    if (currentLine <= 0) return 0;
-    const currentEl = lineRefs.current[currentLine];
-    if (currentEl) {
-      // We want to scroll so the current line is at the top (or near top)
-      return currentEl.offsetTop;
+  }, [battleStartTime, lineTimings, audioRef, getServerTime]);
+
+  // Last line that has started; before the first one, preview line 0
+  let currentLine = 0;
+  for (let i = 0; i < lineTimings.length; i++) {
+    if (lineTimings[i] <= elapsed) {
+      currentLine = i;
+    } else {
+      break;
     }
-    return 0;
+  }
+  const nextLine = currentLine + 1;
+
+  const renderSyllable = (note, index) => {
+    const percent = noteProgress(note, elapsed) * 100;
+    const sung = note.type === "golden" || note.type === "golden-rap" ? GOLDEN_COLOR : SUNG_COLOR;
+
+    return (
+      <span
+        key={index}
+        className={note.type === "freestyle" ? "italic" : undefined}
+        style={{
+          backgroundImage: `linear-gradient(to right, ${sung} ${percent}%, ${UNSUNG_COLOR} ${percent}%)`,
+          WebkitBackgroundClip: "text",
+          backgroundClip: "text",
+          color: "transparent",
+        }}
+      >
+        {note.lyric}
+      </span>
+    );
   };
 
   return (
-    <div className="h-48 w-full max-w-2xl overflow-hidden relative" ref={containerRef}>
-      <div
-        className="flex flex-col transition-transform duration-700 ease-in-out"
-        style={{ transform: `translateY(-${getScrollOffset()}px)` }}
-      >
-        {lyrics.map((line, index) => (
-          <h3
-            key={index}
-            ref={(el) => (lineRefs.current[index] = el)}
-            className={`text-center text-4xl leading-[2.6rem] ${index === currentLine
-              ? "text-green-400 font-bold scale-110 transition-transform"
-              : "text-white opacity-70"
-              }`}
-          >
-            {line}
-          </h3>
-        ))}
-      </div>
+    <div className="h-48 w-full max-w-2xl flex flex-col items-center justify-center gap-4">
+      <h3 className="text-center text-4xl leading-[2.6rem] font-bold whitespace-pre-wrap">
+        {lineNotes[currentLine]?.length
+          ? lineNotes[currentLine].map(renderSyllable)
+          : lyrics[currentLine]}
+      </h3>
+      {nextLine < lyrics.length && (
+        <h4 className="text-center text-2xl text-white opacity-60 whitespace-pre-wrap">
+          {lyrics[nextLine]}
+        </h4>
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,157 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useAudioCapture } from "../hooks/useAudioCapture";
+import { useMicDevices } from "../hooks/useMicDevices";
+import { measureLevel } from "../utils/audioUtils";
+
+/**
+ * MicCheck: Microphone picker and live input level meter (lobby)
+ *
+ * DISPLAYS:
+ *   - Input device select (saved across sessions, "System default" = none saved)
+ *   - Level bar (RMS in dB) with peak marker
+ *   - Clipping indicator (lit for a moment after any sample hits full scale)
+ *   - Status: "Mic OK" once a voice is heard for ~200ms
+ *
+ * BACKEND INTEGRATION:
+ *   - onStatusChange('ok' | 'clipping') → parent sends SET_MIC_CHECK
+ *   - The host sees each player's status in PlayerList
+ *   - Capture only runs while "Test mic" is on; nothing is sent to the server
+ */
+
+const VOICE_RMS = 0.02;          // above this counts as "heard something"
+const VOICE_CHUNKS = 10;         // 10 x 20ms of voice → mic OK
+const CLIP_PEAK = 0.99;
+const CLIP_HOLD_MS = 1500;
+const METER_UPDATE_CHUNKS = 3;   // repaint the meter every ~60ms
+const METER_FLOOR_DB = -60;
+
+function levelToPercent(value) {
+  if (value <= 0) return 0;
+  const db = 20 * Math.log10(value);
+  return Math.max(0, Math.min(100, ((db - METER_FLOOR_DB) / -METER_FLOOR_DB) * 100));
+}
+
+export default function MicCheck({ onStatusChange }) {
+  const { devices, deviceId, selectDevice, refresh } = useMicDevices();
+
+  const [testing, setTesting] = useState(false);
+  const [level, setLevel] = useState({ rms: 0, peak: 0 });
+  const [clipping, setClipping] = useState(false);
+  const [status, setStatus] = useState(null); // null | 'ok' | 'clipping'
+
+  const meterRef = useRef({ chunks: 0, rms: 0, peak: 0, voiceChunks: 0, clipUntil: 0 });
+  const statusRef = useRef(null);
+  const onStatusChangeRef = useRef(onStatusChange);
+
+  useEffect(() => {
+    onStatusChangeRef.current = onStatusChange;
+  }, [onStatusChange]);
+
+  const reportStatus = useCallback((next) => {
+    if (statusRef.current === next) return;
+    statusRef.current = next;
+    setStatus(next);
+    onStatusChangeRef.current?.(next);
+  }, []);
+
+  const onAudioChunk = useCallback((chunk) => {
+    const meter = meterRef.current;
+    const { rms, peak } = measureLevel(chunk.audioData);
+    const now = performance.now();
+
+    meter.rms = Math.max(meter.rms, rms);
+    meter.peak = Math.max(meter.peak, peak);
+    meter.voiceChunks = rms > VOICE_RMS ? meter.voiceChunks + 1 : 0;
+
+    if (peak >= CLIP_PEAK) {
+      meter.clipUntil = now + CLIP_HOLD_MS;
+      reportStatus("clipping");
+    } else if (meter.voiceChunks >= VOICE_CHUNKS && now > meter.clipUntil) {
+      reportStatus("ok");
+    }
+
+    if (++meter.chunks >= METER_UPDATE_CHUNKS) {
+      setLevel({ rms: meter.rms, peak: meter.peak });
+      setClipping(now < meter.clipUntil);
+      meter.chunks = 0;
+      meter.rms = 0;
+      meter.peak = 0;
+    }
+  }, [reportStatus]);
+
+  const { isCapturing, error, startCapture, stopCapture } = useAudioCapture(onAudioChunk, {
+    chunkDurationMs: 20,
+    deviceId,
+  });
+
+  // Run capture while testing; restarts automatically when the device changes
+  useEffect(() => {
+    if (!testing) return;
+    startCapture().then(refresh); // device labels appear once permission is granted
+    return () => stopCapture();
+  }, [testing, startCapture, stopCapture, refresh]);
+
+  const rmsPercent = levelToPercent(level.rms);
+  const peakPercent = levelToPercent(level.peak);
+
+  return (
+    <div className="bg-gray-600 rounded p-3 my-3">
+      <div className="flex items-center gap-2 mb-2">
+        <span className="font-semibold">🎤 Mic</span>
+        <select
+          value={deviceId || ""}
+          onChange={(e) => selectDevice(e.target.value || null)}
+          className="flex-1 min-w-0 p-1 rounded bg-gray-700 text-white text-sm"
+        >
+          <option value="">System default</option>
+          {devices.map((device) => (
+            <option key={device.deviceId} value={device.deviceId}>
+              {device.label}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => setTesting(!testing)}
+          className={`px-3 py-1 rounded text-sm font-semibold ${
+            testing ? "bg-red-600 hover:bg-red-500" : "bg-blue-600 hover:bg-blue-500"
+          }`}
+        >
+          {testing ? "Stop" : "Test mic"}
+        </button>
+      </div>
+
+      {testing && (
+        <div className="flex items-center gap-2">
+          <div className="relative flex-1 h-3 rounded bg-gray-800 overflow-hidden">
+            <div
+              className={`h-full transition-[width] duration-75 ${
+                rmsPercent > 85 ? "bg-red-500" : rmsPercent > 65 ? "bg-yellow-400" : "bg-green-500"
+              }`}
+              style={{ width: `${rmsPercent}%` }}
+            />
+            <div className="absolute top-0 h-full w-0.5 bg-white" style={{ left: `${peakPercent}%` }} />
+          </div>
+          <span
+            className={`text-xs font-bold px-1.5 rounded ${
+              clipping ? "bg-red-600 text-white" : "bg-gray-800 text-gray-500"
+            }`}
+          >
+            CLIP
+          </span>
+        </div>
+      )}
+
+      <div className="text-sm mt-2">
+        {error && <span className="text-red-400">{error}</span>}
+        {!error && testing && !isCapturing && <span className="text-gray-400">Starting microphone…</span>}
+        {!error && isCapturing && status === null && (
+          <span className="text-gray-300">Sing or speak to check your level</span>
+        )}
+        {!error && status === "ok" && <span className="text-green-400">Mic OK</span>}
+        {!error && status === "clipping" && (
+          <span className="text-red-400">Too loud: lower your mic gain or move back</span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,192 @@
+import { useEffect, useMemo, useRef } from "react";
+import { useLobbyStore } from "../store/lobbyStore";
+import { frequencyToMidi } from "../utils/pitchDetection";
+
+/**
+ * NoteHighway - UltraStar-style scrolling pitch lane
+ *
+ * DISPLAYS:
+ *   - Target note bars from song.notes, scrolling right → left past a playhead
+ *     (height = pitch, length = duration)
+ *   - Golden notes in gold with a glow, freestyle notes as dashed outlines,
+ *     rap notes as outlines (no pitch to hit)
+ *   - Line breaks (lineTimings) as dashed vertical lines
+ *   - The singer's detected pitch as a trail of ticks, folded into the octave
+ *     of the target note (scoring is octave-agnostic) and green when on pitch
+ *
+ * TIMING:
+ *   Same clock as LyricsDisplay: audioRef.currentTime, falling back to
+ *   getServerTime() - battleStartTime before playback starts.
+ *
+ * PROPS:
+ *   - notes: [{ pitch (Hz), start (ms), duration (ms), lyric, type }]
+ *   - lineTimings: line start times (ms)
+ *   - pitchTrailRef: ref to [{ time (song ms), midi }], appended by BattlePage
+ *     from client-side pitch detection; read every animation frame
+ */
+
+const PAST_MS = 1500;          // visible history left of the playhead
+const FUTURE_MS = 3500;        // upcoming notes right of the playhead
+const HEIGHT = 200;
+const ON_PITCH_SEMITONES = 1;  // same ±1 semitone tolerance as the server
+const MIN_SPAN = 12;           // show at least an octave
+
+const COLORS = {
+  normal: "#3b82f6",
+  golden: "#facc15",
+  freestyle: "#9ca3af",
+  rap: "#a855f7",
+  "golden-rap": "#facc15",
+  lineBreak: "rgba(255, 255, 255, 0.25)",
+  playhead: "rgba(255, 255, 255, 0.8)",
+  onPitch: "#4ade80",
+  offPitch: "#f97316",
+  idle: "#9ca3af",
+};
+
+// Fold a sung pitch into the octave closest to the reference
+function foldOctave(midi, reference) {
+  return midi + 12 * Math.round((reference - midi) / 12);
+}
+
+function activeNoteAt(notes, time) {
+  return notes.find((n) => n.start <= time && time <= n.start + n.duration && n.pitch > 0);
+}
+
+export default function NoteHighway({ notes = [], lineTimings = [], battleStartTime, audioRef, pitchTrailRef }) {
+  const getServerTime = useLobbyStore((state) => state.getServerTime);
+  const canvasRef = useRef(null);
+
+  // Notes with their MIDI pitch, plus the pitch range to draw
+  const { lane, minMidi, maxMidi } = useMemo(() => {
+    const lane = notes.map((n) => ({ ...n, midi: n.pitch > 0 ? frequencyToMidi(n.pitch) : null }));
+    const pitched = lane.filter((n) => n.midi !== null).map((n) => n.midi);
+    if (pitched.length === 0) return { lane, minMidi: 48, maxMidi: 72 };
+
+    let low = Math.floor(Math.min(...pitched)) - 2;
+    let high = Math.ceil(Math.max(...pitched)) + 2;
+    if (high - low < MIN_SPAN) {
+      const pad = (MIN_SPAN - (high - low)) / 2;
+      low -= Math.ceil(pad);
+      high += Math.floor(pad);
+    }
+    return { lane, minMidi: low, maxMidi: high };
+  }, [notes]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !battleStartTime) return;
+
+    const ctx = canvas.getContext("2d");
+    let isRunning = true;
+
+    const draw = () => {
+      if (!isRunning) return;
+
+      // Match the backing store to the displayed size (sharp on HiDPI)
+      const dpr = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth;
+      if (canvas.width !== width * dpr || canvas.height !== HEIGHT * dpr) {
+        canvas.width = width * dpr;
+        canvas.height = HEIGHT * dpr;
+      }
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, width, HEIGHT);
+
+      const now = audioRef?.current && audioRef.current.currentTime > 0
+        ? audioRef.current.currentTime * 1000
+        : getServerTime() - battleStartTime;
+
+      const pxPerMs = width / (PAST_MS + FUTURE_MS);
+      const playheadX = PAST_MS * pxPerMs;
+      const laneHeight = HEIGHT / (maxMidi - minMidi);
+      const toX = (time) => playheadX + (time - now) * pxPerMs;
+      const toY = (midi) => (maxMidi - midi) * laneHeight;
+
+      // Line breaks
+      ctx.strokeStyle = COLORS.lineBreak;
+      ctx.setLineDash([4, 4]);
+      ctx.lineWidth = 1;
+      for (let i = 1; i < lineTimings.length; i++) {
+        const x = toX(lineTimings[i]);
+        if (x < 0 || x > width) continue;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, HEIGHT);
+        ctx.stroke();
+      }
+      ctx.setLineDash([]);
+
+      // Target notes
+      for (const note of lane) {
+        const x = toX(note.start);
+        const w = Math.max(2, note.duration * pxPerMs);
+        if (x > width || x + w < 0) continue;
+
+        const midi = note.midi ?? (minMidi + maxMidi) / 2;
+        const y = toY(midi) - laneHeight * 0.4;
+        const h = Math.max(4, laneHeight * 0.8);
+        const color = COLORS[note.type] || COLORS.normal;
+        const isActive = note.start <= now && now <= note.start + note.duration;
+
+        ctx.globalAlpha = isActive ? 1 : 0.75;
+        if (note.type === "normal" || note.type === "golden") {
+          ctx.shadowColor = note.type === "golden" ? color : "transparent";
+          ctx.shadowBlur = note.type === "golden" ? 12 : 0;
+          ctx.fillStyle = color;
+          ctx.fillRect(x, y, w, h);
+          ctx.shadowBlur = 0;
+        } else {
+          if (note.type === "freestyle") ctx.setLineDash([3, 3]);
+          ctx.strokeStyle = color;
+          ctx.lineWidth = 2;
+          ctx.strokeRect(x, y, w, h);
+          ctx.setLineDash([]);
+        }
+      }
+      ctx.globalAlpha = 1;
+
+      // Sung pitch trail
+      const trail = pitchTrailRef?.current || [];
+      let reference = (minMidi + maxMidi) / 2;
+      for (const point of trail) {
+        const x = toX(point.time);
+        if (x < 0 || x > playheadX + 2) continue;
+
+        const target = activeNoteAt(lane, point.time);
+        if (target) reference = target.midi;
+        const midi = foldOctave(point.midi, reference);
+
+        ctx.fillStyle = !target
+          ? COLORS.idle
+          : Math.abs(midi - target.midi) <= ON_PITCH_SEMITONES ? COLORS.onPitch : COLORS.offPitch;
+        ctx.fillRect(x - 2, toY(midi) - 2, 4, 4);
+        reference = midi;
+      }
+
+      // Playhead
+      ctx.strokeStyle = COLORS.playhead;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(playheadX, 0);
+      ctx.lineTo(playheadX, HEIGHT);
+      ctx.stroke();
+
+      requestAnimationFrame(draw);
+    };
+
+    draw();
+
+    return () => {
+      isRunning = false;
+    };
+  }, [lane, minMidi, maxMidi, lineTimings, battleStartTime, audioRef, pitchTrailRef, getServerTime]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className="w-full max-w-2xl rounded bg-gray-800 mb-4"
+      style={{ height: HEIGHT }}
+    />
+  );
+}
@@ -0,0 +1,38 @@
+/**
+ * PauseOverlay: Covers the battle while the host has it paused (BattlePage)
+ *
+ * DISPLAYS:
+ *   - "Paused" banner over the frozen lyrics and note highway
+ *   - Host: "Resume" and "End battle" (back to the lobby, no results)
+ *   - Everyone else: waiting for the host
+ *
+ * BACKEND INTEGRATION:
+ *   - Shown while lobby.pausedAt is set (BATTLE_PAUSED, cleared by BATTLE_RESUMED)
+ *   - onResume → RESUME_BATTLE, onAbort → ABORT_BATTLE (host only)
+ */
+
+export default function PauseOverlay({ isHost, onResume, onAbort }) {
+  return (
+    <div className="absolute inset-0 z-40 flex flex-col items-center justify-center bg-black/60 backdrop-blur-sm">
+      <div className="text-6xl font-black mb-6">⏸ Paused</div>
+      {isHost ? (
+        <div className="flex gap-3">
+          <button
+            onClick={onResume}
+            className="px-6 py-2 rounded bg-green-600 hover:bg-green-500 font-bold"
+          >
+            Resume
+          </button>
+          <button
+            onClick={onAbort}
+            className="px-6 py-2 rounded bg-red-600 hover:bg-red-500 font-bold"
+          >
+            End battle
+          </button>
+        </div>
+      ) : (
+        <p className="text-gray-300">Waiting for the host to resume...</p>
+      )}
+    </div>
+  );
+}
@@ -1,38 +1,115 @@
+import { PLAYER_ROLES } from "../store/lobbyStore";
+
 /**
  * PlayerItem: Display individual player status in lobby
  * 
  * DISPLAYS:
  *   - Player name
  *   - Host crown icon (👑) if isHost
- *   - Ready status: "Ready" (green) or "Not Ready" (red)
+ *   - Ready status: "Ready" (green) or "Not Ready" (red), "Spectating" for spectators
+ *   - "Reconnecting…" while the player's connection dropped (seat is kept)
+ *   - Duet part badge (e.g. "P1 · Alice") when a duet is selected
+ *   - Mic check badge (host view): "Mic OK", "Clipping" or "No mic check"
+ *   - Host controls (only when handlers are passed): make host, kick, ban
  * 
  * BACKEND INTEGRATION:
  *   - This component receives player object from store
  *   - player.ready updated via WebSocket PLAYER_READY_UPDATE
- *   - No direct user interaction (parent handles clicks)
+ *   - Host controls call onTransferHost / onKick / onBan(player.id); the parent
+ *     sends TRANSFER_HOST / KICK_PLAYER / BAN_PLAYER and the server validates
  *   - Re-renders when server broadcasts ready status change
  * 
  * Future Enhancements (TODO):
  *   - Show player avatar/profile picture
- *   - Show player connection status (online/offline)
  *   - Show player latency/ping indicator
  *   - Show player score from previous battle
- *   - Allow host to kick player (admin action)
  */
 
-export default function PlayerItem({ player, isHost }) {
+const MIC_CHECK_BADGES = {
+  ok: { text: "Mic OK", className: "bg-green-700" },
+  clipping: { text: "Clipping", className: "bg-red-600" },
+  unchecked: { text: "No mic check", className: "bg-gray-500" },
+};
+
+export default function PlayerItem({
+  player,
+  isHost,
+  duetPartName,
+  showMicCheck = false,
+  onKick,
+  onBan,
+  onTransferHost,
+}) {
+  const isSpectator = player.role === PLAYER_ROLES.SPECTATOR;
+  const micBadge = showMicCheck && !isSpectator && MIC_CHECK_BADGES[player.micCheck || "unchecked"];
+  const canModerate = Boolean(onKick || onBan || onTransferHost);
+
+  const handleBan = () => {
+    if (window.confirm(`Ban ${player.name}? They won't be able to rejoin this lobby.`)) {
+      onBan(player.id);
+    }
+  };
+
   return (
     <li className="flex justify-between items-center bg-gray-600 p-2 rounded">
       <span>
         {player.name}
         {isHost && <span className="ml-2">👑</span>}
+        {player.connected === false && (
+          <span className="ml-2 text-xs text-yellow-400">Reconnecting…</span>
+        )}
+        {duetPartName && (
+          <span className="ml-2 text-xs px-2 py-0.5 rounded bg-purple-600">
+            P{player.duetPart + 1} · {duetPartName}
+          </span>
+        )}
+        {micBadge && (
+          <span className={`ml-2 text-xs px-2 py-0.5 rounded ${micBadge.className}`}>
+            🎤 {micBadge.text}
+          </span>
+        )}
       </span>
-      <span
-        className={`text-sm font-semibold ${
-          player.ready ? "text-green-400" : "text-red-400"
-        }`}
-      >
-        {player.ready ? "Ready" : "Not Ready"}
+      <span className="flex items-center gap-2">
+        {isSpectator ? (
+          <span className="text-sm text-gray-300">👀 Spectating</span>
+        ) : (
+          <span
+            className={`text-sm font-semibold ${
+              player.ready ? "text-green-400" : "text-red-400"
+            }`}
+          >
+            {player.ready ? "Ready" : "Not Ready"}
+          </span>
+        )}
+        {canModerate && (
+          <>
+            {onTransferHost && !isSpectator && player.connected !== false && (
+              <button
+                onClick={() => onTransferHost(player.id)}
+                title="Make host"
+                className="text-xs px-2 py-0.5 rounded bg-gray-500 hover:bg-gray-400"
+              >
+                👑
+              </button>
+            )}
+            {onKick && (
+              <button
+                onClick={() => onKick(player.id)}
+                className="text-xs px-2 py-0.5 rounded bg-orange-600 hover:bg-orange-500"
+              >
+                Kick
+              </button>
+            )}
+            {onBan && (
+              <button
+                onClick={handleBan}
+                className="text-xs px-2 py-0.5 rounded bg-red-700 hover:bg-red-600"
+              >
+                Ban
+              </button>
+            )}
+          </>
+        )}
       </span>
     </li>
   );
@@ -1,4 +1,5 @@
 import PlayerItem from "./PlayerItem";
+import { PLAYER_ROLES } from "../store/lobbyStore";
 
 /**
  * PlayerList: Display all players in lobby with ready status
@@ -7,6 +8,10 @@ import PlayerItem from "./PlayerItem";
  *   - Player list with names, host indicator, ready status
  *   - Updated in real-time as players ready/unready
  *   - Host marked with crown (👑)
+ *   - Duet part (P1/P2) when a duet song is selected
+ *   - Mic check status per player (host only, showMicCheck)
+ *   - Spectators in their own section below the singers
+ *   - Kick / ban / make-host controls on other players (host only: handlers passed)
  * 
  * BACKEND INTEGRATION:
  *   - Receives players array from store (updated via WebSocket)
@@ -36,23 +41,46 @@ import PlayerItem from "./PlayerItem";
  *   - Typical 2-4 players, rendering should be < 1ms
  */
 
-export default function PlayerList({ players, hostId }) {
+export default function PlayerList({
+  players,
+  hostId,
+  duetParts,
+  showMicCheck = false,
+  currentUserId,
+  onKick,
+  onBan,
+  onTransferHost,
+}) {
+  const singers = players.filter((p) => p.role !== PLAYER_ROLES.SPECTATOR);
+  const spectators = players.filter((p) => p.role === PLAYER_ROLES.SPECTATOR);
+
+  const renderPlayer = (player) => (
+    <PlayerItem
+      key={player.id}
+      player={player}
+      isHost={player.id === hostId}
+      duetPartName={duetParts?.[player.duetPart]}
+      showMicCheck={showMicCheck}
+      {...(player.id !== currentUserId && { onKick, onBan, onTransferHost })}
+    />
+  );
+
   return (
     <div className="w-1/3 bg-gray-700 rounded p-4">
-      <h2 className="text-xl font-semibold mb-4">Players ({players.length})</h2>
+      <h2 className="text-xl font-semibold mb-4">Players ({singers.length})</h2>
       <ul className="space-y-2">
-        {players && players.length > 0 ? (
-          players.map((player) => (
-            <PlayerItem
-              key={player.id}
-              player={player}
-              isHost={player.id === hostId}
-            />
-          ))
+        {singers.length > 0 ? (
+          singers.map(renderPlayer)
         ) : (
           <li className="text-gray-400">No players in lobby</li>
         )}
       </ul>
+      {spectators.length > 0 && (
+        <>
+          <h2 className="text-lg font-semibold mt-6 mb-2">Spectators ({spectators.length})</h2>
+          <ul className="space-y-2">{spectators.map(renderPlayer)}</ul>
+        </>
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -14,15 +14,17 @@
  *       Currently from mock WebSocket (no actual audio analysis)
  */
 
-import { useLobbyStore } from "../store/lobbyStore";
+import { useLobbyStore, PLAYER_ROLES } from "../store/lobbyStore";
 
 export default function ScoreCardSidebar() {
   // Read players directly from the store
   // These scores are from server (or mock) - never calculated here
   const players = useLobbyStore((state) => state.lobby.players);
 
-  // Sort descending by server-provided scores
-  const sortedScores = [...players].sort((a, b) => b.score - a.score);
+  // Sort descending by server-provided scores (spectators aren't scored)
+  const sortedScores = players
+    .filter((p) => p.role !== PLAYER_ROLES.SPECTATOR)
+    .sort((a, b) => b.score - a.score);
 
   return (
     <div className="w-64 bg-gray-800 text-white p-4 rounded space-y-2">
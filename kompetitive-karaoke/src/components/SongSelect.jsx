@@ -1,24 +1,220 @@
+import { useEffect, useState } from "react";
 import { useLobbyStore } from "../store/lobbyStore";
+import { getSong, getSongs, resolveUrl } from "../services/ApiService";
+
+/**
+ * SongSelect: Searchable song browser (host picks, everyone sees)
+ *
+ * DISPLAYS:
+ *   - Search box (title/artist) plus genre and language filters
+ *   - Paged list of songs with cover art, artist, year, duration, duet tag
+ *   - The selected song on its own above the list (and highlighted in it),
+ *     whatever page or search is showing
+ *
+ * BACKEND INTEGRATION:
+ *   - Catalog comes from GET /api/songs (search, filters, pagination)
+ *   - Selected song details from GET /api/songs/:songId
+ *   - Falls back to LOBBY_SNAPSHOT.availableSongs if the request fails
+ *   - onChange(songId) → parent sends SELECT_SONG (host only)
+ */
+
+const PAGE_SIZE = 6;
+const SEARCH_DEBOUNCE_MS = 300;
+
+function formatDuration(ms) {
+  if (!ms) return "";
+  const totalSeconds = Math.round(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, "0")}`;
+}
+
+function SongInfo({ song }) {
+  return (
+    <>
+      {song.coverUrl ? (
+        <img
+          src={resolveUrl(song.coverUrl)}
+          alt=""
+          className="w-12 h-12 rounded object-cover"
+        />
+      ) : (
+        <div className="w-12 h-12 rounded bg-gray-500 flex items-center justify-center">🎵</div>
+      )}
+      <div className="flex-1 min-w-0">
+        <div className="font-semibold truncate">
+          {song.name}
+          {song.isDuet && <span className="ml-2 text-xs px-2 py-0.5 rounded bg-purple-600">Duet</span>}
+        </div>
+        <div className="text-sm text-gray-300 truncate">
+          {[song.artist, song.year, song.genre].filter(Boolean).join(" · ")}
+        </div>
+      </div>
+      <span className="text-sm text-gray-300">{formatDuration(song.duration)}</span>
+    </>
+  );
+}
 
 export default function SongSelect({ selectedSong, onChange, isHost }) {
   const availableSongs = useLobbyStore((state) => state.lobby.availableSongs || []);
 
+  const [search, setSearch] = useState("");
+  const [query, setQuery] = useState("");
+  const [genre, setGenre] = useState("");
+  const [language, setLanguage] = useState("");
+  const [offset, setOffset] = useState(0);
+  const [catalog, setCatalog] = useState(null);
+  const [error, setError] = useState(null);
+  const [selectedEntry, setSelectedEntry] = useState(null);
+
+  // Debounce typing into the search box
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setQuery(search);
+      setOffset(0);
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeout);
+  }, [search]);
+
+  // Fetch the current page whenever the query changes
+  useEffect(() => {
+    let cancelled = false;
+
+    getSongs({ q: query, genre, language, limit: PAGE_SIZE, offset })
+      .then((page) => {
+        if (cancelled) return;
+        setCatalog(page);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("[SongSelect] Catalog request failed:", err);
+        setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [query, genre, language, offset]);
+
+  // Details of the selected song, which may not be on the current page
+  useEffect(() => {
+    if (!selectedSong) return;
+    let cancelled = false;
+
+    getSong(selectedSong)
+      .then((song) => {
+        if (!cancelled) setSelectedEntry(song);
+      })
+      .catch((err) => {
+        console.error("[SongSelect] Selected song request failed:", err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedSong]);
+
+  // Offline fallback: plain list from the lobby snapshot
+  const songs = catalog?.songs || (error ? availableSongs : []);
+  const total = catalog?.total ?? songs.length;
+  const selected = selectedSong
+    ? [selectedEntry, ...songs, ...availableSongs].find((song) => song?.id === selectedSong)
+    : null;
+
   return (
     <div>
       <h2 className="text-xl font-semibold mb-3">Song Select</h2>
-      <select
-        value={selectedSong}
-        onChange={(e) => onChange(e.target.value)}
-        disabled={!isHost}
-        className="w-full p-2 rounded bg-gray-600 text-white disabled:opacity-50 disabled:cursor-not-allowed"
-      >
-        <option value="">Select a song</option>
-        {availableSongs.map((song) => (
-          <option key={song.id} value={song.id}>
-            {song.name}
-          </option>
+
+      <div className="flex gap-2 mb-3">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search title or artist"
+          className="flex-1 p-2 rounded bg-gray-600 text-white placeholder-gray-400"
+        />
+        <select
+          value={genre}
+          onChange={(e) => {
+            setGenre(e.target.value);
+            setOffset(0);
+          }}
+          className="p-2 rounded bg-gray-600 text-white"
+        >
+          <option value="">All genres</option>
+          {catalog?.filters.genres.map((g) => (
+            <option key={g} value={g}>
+              {g}
+            </option>
+          ))}
+        </select>
+        <select
+          value={language}
+          onChange={(e) => {
+            setLanguage(e.target.value);
+            setOffset(0);
+          }}
+          className="p-2 rounded bg-gray-600 text-white"
+        >
+          <option value="">All languages</option>
+          {catalog?.filters.languages.map((l) => (
+            <option key={l} value={l}>
+              {l}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {selected && (
+        <div className="mb-3">
+          <div className="text-sm text-gray-400 mb-1">Selected</div>
+          <div className="flex items-center gap-3 p-2 rounded bg-blue-600">
+            <SongInfo song={selected} />
+          </div>
+        </div>
+      )}
+
+      <ul className="space-y-2">
+        {songs.map((song) => (
+          <li key={song.id}>
+            <button
+              onClick={() => onChange(song.id)}
+              disabled={!isHost}
+              className={`w-full flex items-center gap-3 p-2 rounded text-left transition disabled:cursor-not-allowed ${
+                song.id === selectedSong
+                  ? "bg-blue-600"
+                  : "bg-gray-600 enabled:hover:bg-gray-500"
+              }`}
+            >
+              <SongInfo song={song} />
+            </button>
+          </li>
         ))}
-      </select>
+        {catalog && songs.length === 0 && (
+          <li className="text-gray-400">No songs match your search</li>
+        )}
+      </ul>
+
+      {total > PAGE_SIZE && (
+        <div className="flex justify-between items-center mt-3 text-sm">
+          <button
+            onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+            disabled={offset === 0}
+            className="px-3 py-1 rounded bg-gray-600 disabled:opacity-50"
+          >
+            Prev
+          </button>
+          <span className="text-gray-400">
+            {offset + 1}–{Math.min(offset + PAGE_SIZE, total)} of {total}
+          </span>
+          <button
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+            disabled={offset + PAGE_SIZE >= total}
+            className="px-3 py-1 rounded bg-gray-600 disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
     </div>
   );
-}
\ No newline at end of file
+}
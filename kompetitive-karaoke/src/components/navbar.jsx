@@ -23,6 +23,7 @@ function NavBar() {
       <div className="flex gap-4">
         <Button text="Join Team" onClick={() => handleNavigate('/joinTeams')} />
         <Button text="Create Team" onClick={() => handleNavigate('/createTeams')} />
+        <Button text="Calibrate Audio" onClick={() => navigate('/calibrate')} />
       </div>
 
       {/* True center */}
@@ -126,6 +126,17 @@ export const ClientMessages = {
     },
   },
 
+  /**
+   * SET_DUET_PART
+   * Pick which part (P1/P2) to sing when a duet is selected
+   */
+  SET_DUET_PART: {
+    type: "SET_DUET_PART",
+    payload: {
+      part: Number,
+    },
+  },
+
   /**
    * SCORE_UPDATE
    * Client sends its current score during battle
@@ -152,7 +163,7 @@ export const ClientMessages = {
   /**
    * AUDIO_CHUNK
    * Stream audio data to server for analysis
-   * (Separate from WebSocket JSON - may use binary frame)
+   * (Sent as a binary WebSocket frame - see encodeAudioFrame in utils/audioUtils.js)
    */
   AUDIO_CHUNK: {
     type: "AUDIO_CHUNK",
@@ -250,6 +261,7 @@ export const ServerMessages = {
     type: "BATTLE_RESULTS",
     payload: {
       players: Array,       // Array of { id, name, score }
+      endReason: String,    // "finish" | "timeout"
     },
   },
 
@@ -278,16 +290,19 @@ export const RestEndpoints = {
   GET_LOBBIES: {
     method: "GET",
     path: "/api/lobbies",
-    response: Array,  // LobbyState[]
+    response: Array,  // LobbySummary[] (public lobbies only; live updates via LOBBY_LIST)
     example: [
       {
         roomId: "abc123",
         roomCode: "A7KQ",
         name: "Rock Stars",
-        players: ["Alice", "Bob"],
-        maxPlayers: 4,
+        hostName: "Alice",
+        hasPassword: false,   // 🔒 JOIN_LOBBY must send the password
         phase: "LOBBY",
-        song: null,
+        playerCount: 2,       // singers
+        spectatorCount: 0,
+        maxPlayers: 4,
+        song: { id: "song_1", name: "Bohemian Rhapsody" },  // or null
       },
     ],
   },
@@ -310,23 +325,53 @@ export const RestEndpoints = {
   },
 
   /**
-   * GET /api/songs
-   * Get list of available songs
+   * GET /api/songs?q=&artist=&genre=&language=&year=&duet=&limit=&offset=
+   * Search the song catalog (q matches title or artist, sorted by artist)
    */
   GET_SONGS: {
     method: "GET",
     path: "/api/songs",
-    response: Array,  // SongConfig[]
-    example: [
-      {
-        songId: "song_42",
-        title: "Twinkle Twinkle",
-        artist: "Unknown",
-        durationMs: 120000,
-        difficulty: "easy",
-        fileUrl: "/songs/song_42.mp3",
+    response: {
+      total: Number,
+      limit: Number,
+      offset: Number,
+      songs: Array,    // CatalogEntry[] (see example)
+      filters: {
+        genres: Array,     // every genre in the catalog (for filter dropdowns)
+        languages: Array,
       },
-    ],
+    },
+    example: {
+      total: 1,
+      limit: 20,
+      offset: 0,
+      songs: [
+        {
+          id: "my_way",
+          name: "My Way",
+          artist: "Frank Sinatra",
+          genre: "Jazz",
+          year: 1969,
+          language: "English",
+          duration: 266722,
+          bpm: 306.85,
+          isDuet: false,
+          coverUrl: "https://static.qobuz.com/images/covers/gc/s4/qrb03ryz4s4gc_600.jpg",
+          audioUrl: "/api/songs/my_way/file",
+        },
+      ],
+      filters: { genres: ["Jazz"], languages: ["English"] },
+    },
+  },
+
+  /**
+   * GET /api/songs/:songId
+   * Catalog entry for one song (same shape as GET_SONGS songs[])
+   */
+  GET_SONG: {
+    method: "GET",
+    path: "/api/songs/:songId",
+    response: Object,  // CatalogEntry
   },
 
   /**
@@ -338,6 +383,45 @@ export const RestEndpoints = {
     path: "/api/songs/:songId/file",
     response: "audio/mpeg | audio/ogg | audio/wav",  // Audio stream
   },
+
+  /**
+   * GET /api/leaderboard/battles?songId=&playerId=&limit=&offset=
+   * Battle history, newest first (server records every BATTLE_RESULTS)
+   */
+  GET_BATTLE_HISTORY: {
+    method: "GET",
+    path: "/api/leaderboard/battles",
+    response: {
+      total: Number,
+      battles: Array,  // { id, roomId, roomName, songId, songName, startedAt, endedAt, endReason, players[] }
+    },
+  },
+
+  /**
+   * GET /api/leaderboard/songs/:songId?limit=
+   * Top scores ever sung on a song (scores[0] holds the record)
+   */
+  GET_SONG_TOP_SCORES: {
+    method: "GET",
+    path: "/api/leaderboard/songs/:songId",
+    response: {
+      songId: String,
+      scores: Array,  // { battleId, songId, songName, playerId, playerName, score, accuracy, combo, endedAt }
+    },
+  },
+
+  /**
+   * GET /api/leaderboard/players/:playerId
+   * A player's best score on each song they have sung
+   */
+  GET_PLAYER_BESTS: {
+    method: "GET",
+    path: "/api/leaderboard/players/:playerId",
+    response: {
+      playerId: String,
+      bests: Array,  // Same entry shape as GET_SONG_TOP_SCORES, one per song
+    },
+  },
 };
 
 // ============================================================================
@@ -31,16 +31,41 @@ export const MESSAGE_TYPES = {
   SET_READY: "SET_READY",
   START_BATTLE: "START_BATTLE",
   SELECT_SONG: "SELECT_SONG",
+  SET_DUET_PART: "SET_DUET_PART",
+  SET_MIC_CHECK: "SET_MIC_CHECK",
+  RESUME_SESSION: "RESUME_SESSION",
+  RETURN_TO_LOBBY: "RETURN_TO_LOBBY",
+  LOADING_PROGRESS: "LOADING_PROGRESS",
+  FORCE_START_BATTLE: "FORCE_START_BATTLE",
+  ABORT_BATTLE: "ABORT_BATTLE",
+  PAUSE_BATTLE: "PAUSE_BATTLE",
+  RESUME_BATTLE: "RESUME_BATTLE",
+  KICK_PLAYER: "KICK_PLAYER",
+  BAN_PLAYER: "BAN_PLAYER",
+  TRANSFER_HOST: "TRANSFER_HOST",
+  SUBSCRIBE_LOBBIES: "SUBSCRIBE_LOBBIES",
+  UNSUBSCRIBE_LOBBIES: "UNSUBSCRIBE_LOBBIES",
   SCORE_UPDATE: "SCORE_UPDATE",
   FINISH_BATTLE: "FINISH_BATTLE",
   AUDIO_CHUNK: "AUDIO_CHUNK",
+  TIME_SYNC: "TIME_SYNC",
 
   // Server → Client
   LOBBY_SNAPSHOT: "LOBBY_SNAPSHOT",
+  SESSION_TOKEN: "SESSION_TOKEN",
   PLAYER_READY_UPDATE: "PLAYER_READY_UPDATE",
+  PLAYER_LEFT: "PLAYER_LEFT",
+  HOST_CHANGED: "HOST_CHANGED",
+  LOBBY_LIST: "LOBBY_LIST",
+  LOBBY_CLOSED: "LOBBY_CLOSED",
   PHASE_CHANGE: "PHASE_CHANGE",
+  PLAYER_LOADING_PROGRESS: "PLAYER_LOADING_PROGRESS",
+  LOADING_TIMEOUT: "LOADING_TIMEOUT",
+  BATTLE_PAUSED: "BATTLE_PAUSED",
+  BATTLE_RESUMED: "BATTLE_RESUMED",
   PLAYER_SCORE_UPDATE: "PLAYER_SCORE_UPDATE",
   BATTLE_RESULTS: "BATTLE_RESULTS",
+  TIME_SYNC_REPLY: "TIME_SYNC_REPLY",
   ERROR: "ERROR",
 };
 
@@ -57,13 +82,19 @@ export const CLIENT_MESSAGES = {
    * @typedef {Object} JoinLobbyPayload
    * @property {string} roomCode - Room code (e.g., "A7KQ")
    * @property {string} playerName - Player's display name
+   * @property {boolean} [spectator] - Join to watch only (doesn't need a free seat,
+   *           never readies up or sends audio; still receives scores and results)
+   * @property {string} [password] - Room password, if the lobby has one
+   *           (wrong or missing → ERROR with code PERMISSION_DENIED)
    * 
    * EXAMPLE:
    * {
    *   "type": "JOIN_LOBBY",
    *   "payload": {
    *     "roomCode": "A7KQ",
-   *     "playerName": "Alice"
+   *     "playerName": "Alice",
+   *     "spectator": false,
+   *     "password": "hunter2"
    *   }
    * }
    */
@@ -72,6 +103,8 @@ export const CLIENT_MESSAGES = {
     payload: {
       roomCode: "string",
       playerName: "string",
+      spectator: "boolean | undefined",
+      password: "string | undefined",
     },
   },
 
@@ -151,6 +184,240 @@ export const CLIENT_MESSAGES = {
     },
   },
 
+  /**
+   * SET_DUET_PART: Player picks which part of a duet they sing
+   * RESTRICTIONS: Only in LOBBY phase, only when a duet song is selected
+   * VALIDATION: part must index one of song.duetParts (0 = P1, 1 = P2)
+   * RESPONSE: Server broadcasts LOBBY_SNAPSHOT with updated players[].duetPart
+   * 
+   * @typedef {Object} SetDuetPartPayload
+   * @property {number} part - Duet part index
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "SET_DUET_PART",
+   *   "payload": { "part": 1 }
+   * }
+   */
+  SET_DUET_PART: {
+    type: MESSAGE_TYPES.SET_DUET_PART,
+    payload: {
+      part: "number",
+    },
+  },
+
+  /**
+   * SET_MIC_CHECK: Player reports their lobby mic test result
+   * SENT BY: MicCheck component when the status changes
+   * RESPONSE: Server broadcasts LOBBY_SNAPSHOT with updated players[].micCheck
+   *           (the host sees it in PlayerList)
+   * 
+   * @typedef {Object} SetMicCheckPayload
+   * @property {string} status - "unchecked" | "ok" | "clipping"
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "SET_MIC_CHECK",
+   *   "payload": { "status": "ok" }
+   * }
+   */
+  SET_MIC_CHECK: {
+    type: MESSAGE_TYPES.SET_MIC_CHECK,
+    payload: {
+      status: "string",
+    },
+  },
+
+  /**
+   * RESUME_SESSION: Rebind a reconnected socket to the player's lobby seat
+   * SENT BY: WebSocketService automatically after a reconnect (not by components)
+   * BEHAVIOR: A dropped player is marked connected: false and keeps seat,
+   *           score and host role for a grace period (30s)
+   * REQUIRES: resumeToken from SESSION_TOKEN (userIds alone are public to the lobby)
+   * RESPONSE: Server broadcasts a fresh LOBBY_SNAPSHOT (client is rehydrated)
+   *           or sends ERROR RESUME_FAILED on a wrong token / expired grace period
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "RESUME_SESSION",
+   *   "payload": { "roomId": "room-uuid", "userId": "user_ab12cd34", "resumeToken": "9f2c..." }
+   * }
+   */
+  RESUME_SESSION: {
+    type: MESSAGE_TYPES.RESUME_SESSION,
+    payload: {
+      roomId: "string",
+      userId: "string",
+      resumeToken: "string",
+    },
+  },
+
+  /**
+   * RETURN_TO_LOBBY: Host takes the room from RESULTS back to LOBBY
+   * RESTRICTIONS: Only host can send, only in RESULTS phase
+   * BEHAVIOR: Scores, ready and loaded flags reset; rematch keeps the song
+   *           selected so the next round can skip song selection
+   * RESPONSE: Server broadcasts PHASE_CHANGE (LOBBY) then LOBBY_SNAPSHOT
+   * 
+   * @typedef {Object} ReturnToLobbyPayload
+   * @property {boolean} [rematch] - Keep the same song
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "RETURN_TO_LOBBY",
+   *   "payload": { "rematch": true }
+   * }
+   */
+  RETURN_TO_LOBBY: {
+    type: MESSAGE_TYPES.RETURN_TO_LOBBY,
+    payload: {
+      rematch: "boolean (optional)",
+    },
+  },
+
+  /**
+   * LOADING_PROGRESS: How much of the song this singer has buffered
+   * SENT BY: BattlePage during LOADING (throttled to 5% steps; spectators don't send)
+   * RESPONSE: Server broadcasts PLAYER_LOADING_PROGRESS
+   * 
+   * @typedef {Object} LoadingProgressPayload
+   * @property {number} progress - 0..1
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "LOADING_PROGRESS",
+   *   "payload": { "progress": 0.45 }
+   * }
+   */
+  LOADING_PROGRESS: {
+    type: MESSAGE_TYPES.LOADING_PROGRESS,
+    payload: {
+      progress: "number",
+    },
+  },
+
+  /**
+   * FORCE_START_BATTLE: Host starts without the singers still loading
+   * RESTRICTIONS: Only host can send, only in LOADING after the loading deadline
+   *               (LOADING_TIMEOUT), at least one singer must have loaded
+   * BEHAVIOR: Singers still loading sit the battle out (players[].sittingOut):
+   *           they watch like spectators and are left out of the results
+   * RESPONSE: Server broadcasts LOBBY_SNAPSHOT then PHASE_CHANGE (IN_BATTLE),
+   *           or ERROR FORCE_START_ERROR
+   * NO PAYLOAD required
+   */
+  FORCE_START_BATTLE: {
+    type: MESSAGE_TYPES.FORCE_START_BATTLE,
+    // No payload
+  },
+
+  /**
+   * ABORT_BATTLE: Host gives up on the battle and takes everyone back to the lobby
+   * RESTRICTIONS: Only host can send, in LOADING or IN_BATTLE (running or paused)
+   * BEHAVIOR: Keeps the selected song; ready and loaded flags reset. No
+   *           BATTLE_RESULTS, nothing is written to battle history
+   * RESPONSE: Server broadcasts PHASE_CHANGE (LOBBY) then LOBBY_SNAPSHOT,
+   *           or ERROR ABORT_BATTLE_ERROR
+   * NO PAYLOAD required
+   */
+  ABORT_BATTLE: {
+    type: MESSAGE_TYPES.ABORT_BATTLE,
+    // No payload
+  },
+
+  /**
+   * PAUSE_BATTLE: Host stops the battle clock
+   * RESTRICTIONS: Only host can send, only in a running IN_BATTLE
+   *               (not during the start or resume countdown)
+   * RESPONSE: Server broadcasts BATTLE_PAUSED, or ERROR PAUSE_BATTLE_ERROR
+   * NO PAYLOAD required
+   */
+  PAUSE_BATTLE: {
+    type: MESSAGE_TYPES.PAUSE_BATTLE,
+    // No payload
+  },
+
+  /**
+   * RESUME_BATTLE: Host continues a paused battle
+   * RESTRICTIONS: Only host can send, only while paused
+   * RESPONSE: Server broadcasts BATTLE_RESUMED, or ERROR RESUME_BATTLE_ERROR
+   * NO PAYLOAD required
+   */
+  RESUME_BATTLE: {
+    type: MESSAGE_TYPES.RESUME_BATTLE,
+    // No payload
+  },
+
+  /**
+   * KICK_PLAYER / BAN_PLAYER: Host removes a player from the lobby
+   * RESTRICTIONS: Only host can send (checked against the sending socket);
+   *               target must be another player in the lobby
+   * BEHAVIOR: BAN_PLAYER also blocks the userId from rejoining while the lobby exists
+   *           (JOIN_LOBBY / JOIN_BY_CODE → ERROR PERMISSION_DENIED)
+   * RESPONSE: Server broadcasts PLAYER_LEFT { reason: "kicked" } (the removed
+   *           player receives it too and drops back out of the lobby)
+   * 
+   * @typedef {Object} KickPlayerPayload
+   * @property {string} targetId - Player to remove
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "KICK_PLAYER",
+   *   "payload": { "targetId": "user_ab12cd34" }
+   * }
+   */
+  KICK_PLAYER: {
+    type: MESSAGE_TYPES.KICK_PLAYER,
+    payload: {
+      targetId: "string",
+    },
+  },
+
+  BAN_PLAYER: {
+    type: MESSAGE_TYPES.BAN_PLAYER,
+    payload: {
+      targetId: "string",
+    },
+  },
+
+  /**
+   * TRANSFER_HOST: Host hands the host role to another player
+   * RESTRICTIONS: Only host can send; target must be a connected singer in the lobby
+   * RESPONSE: Server broadcasts HOST_CHANGED (TRANSFER_HOST_ERROR otherwise)
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "TRANSFER_HOST",
+   *   "payload": { "targetId": "user_ab12cd34" }
+   * }
+   */
+  TRANSFER_HOST: {
+    type: MESSAGE_TYPES.TRANSFER_HOST,
+    payload: {
+      targetId: "string",
+    },
+  },
+
+  /**
+   * SUBSCRIBE_LOBBIES: Watch the public lobby list (join page)
+   * RESPONSE: Server sends LOBBY_LIST now and again whenever a public lobby changes
+   * NO PAYLOAD required (subscription ends with UNSUBSCRIBE_LOBBIES or disconnect)
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "SUBSCRIBE_LOBBIES"
+   * }
+   */
+  SUBSCRIBE_LOBBIES: {
+    type: MESSAGE_TYPES.SUBSCRIBE_LOBBIES,
+    // No payload
+  },
+
+  UNSUBSCRIBE_LOBBIES: {
+    type: MESSAGE_TYPES.UNSUBSCRIBE_LOBBIES,
+    // No payload
+  },
+
   /**
    * SCORE_UPDATE: Player sends their current score (mock or real calculation)
    * PHASE: Only during IN_BATTLE phase
@@ -185,8 +452,9 @@ export const CLIENT_MESSAGES = {
   /**
    * FINISH_BATTLE: Player declares they finished the lyrics
    * PHASE: Only during IN_BATTLE phase
-   * BEHAVIOR: Server records finish time, may trigger battle end if all finished
-   * NO PAYLOAD required
+   * BEHAVIOR: Server marks the player finished; once every connected player
+   *           has finished it sends BATTLE_RESULTS (endReason "finish")
+   * SENT BY: BattlePage when LyricsDisplay calls onEnd
    * 
    * EXAMPLE:
    * {
@@ -214,8 +482,14 @@ export const CLIENT_MESSAGES = {
    *   - As Base64 = ~4704 bytes
    *   - 50 chunks/sec × ~5KB = 250KB/sec (manageable)
    * 
+   * BINARY FRAMES (preferred):
+   *   - Clients send audio as binary WebSocket frames, not this JSON shape
+   *   - Header: version, sample format, room, user, sequence, timestamp, sample rate
+   *   - Followed by raw 16-bit (or Float32) mono PCM
+   *   - See encodeAudioFrame (utils/audioUtils.js) / parseAudioFrame (backend)
+   *   - This Base64 JSON message is still accepted for compatibility
+   * 
    * TODO: BACKEND
-   *   - Decide: Base64 vs binary WebSocket frame?
    *   - Verify chunk timing (should be 20ms apart)
    *   - Implement audio analysis (pitch, syllables, timing)
    *   - Store chunks temporarily for analysis
@@ -236,6 +510,25 @@ export const CLIENT_MESSAGES = {
       audioData: "string (Base64 encoded)",
     },
   },
+
+  /**
+   * TIME_SYNC: NTP-style clock probe
+   * SENT BY: WebSocketService automatically (burst on connect, then every 30s)
+   * PHASE: Any (no lobby needed)
+   * RESPONSE: TIME_SYNC_REPLY to the sender only
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "TIME_SYNC",
+   *   "clientSendTime": 1699999999000
+   * }
+   */
+  TIME_SYNC: {
+    type: MESSAGE_TYPES.TIME_SYNC,
+    payload: {
+      clientSendTime: "number",  // client unix ms
+    },
+  },
 };
 
 // ============================================================================
@@ -243,6 +536,27 @@ export const CLIENT_MESSAGES = {
 // ============================================================================
 
 export const SERVER_MESSAGES = {
+  /**
+   * SESSION_TOKEN: Secret for reclaiming our seat after a dropped connection
+   * SENT TO: Only the socket that created / joined the seat, right before its LOBBY_SNAPSHOT
+   * CLIENT ACTION: GameSync hands it to WebSocketService.setSession for RESUME_SESSION
+   *                (never shown or shared)
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "SESSION_TOKEN",
+   *   "payload": { "roomId": "room-uuid", "userId": "user_ab12cd34", "resumeToken": "9f2c..." }
+   * }
+   */
+  SESSION_TOKEN: {
+    type: MESSAGE_TYPES.SESSION_TOKEN,
+    payload: {
+      roomId: "string",
+      userId: "string",
+      resumeToken: "string",
+    },
+  },
+
   /**
    * LOBBY_SNAPSHOT: Full lobby state (sent on join or major changes)
    * FREQUENCY: On join, after each significant change
@@ -252,6 +566,8 @@ export const SERVER_MESSAGES = {
    * @typedef {Object} LobbySnapshotPayload
    * @property {string} roomId - Unique lobby ID
    * @property {string} roomCode - Join code
+   * @property {string} visibility - "public" (listed in LOBBY_LIST) | "private"
+   * @property {boolean} hasPassword - Joining needs the room password
    * @property {string} phase - Current phase
    * @property {Object|null} song - Current song or null
    * @property {Array} players - Array of PlayerState objects
@@ -262,6 +578,8 @@ export const SERVER_MESSAGES = {
    *   "payload": {
    *     "roomId": "abc123",
    *     "roomCode": "A7KQ",
+   *     "visibility": "public",
+   *     "hasPassword": false,
    *     "phase": "LOBBY",
    *     "song": {
    *       "songId": "song_42",
@@ -306,6 +624,8 @@ export const SERVER_MESSAGES = {
     payload: {
       roomId: "string",
       roomCode: "string",
+      visibility: "string (public|private)",
+      hasPassword: "boolean",
       phase: "string (LOBBY|IN_BATTLE|RESULTS)",
       song: "SongConfig | null",
       players: "PlayerState[]",
@@ -338,6 +658,99 @@ export const SERVER_MESSAGES = {
     },
   },
 
+  /**
+   * PLAYER_LEFT: A player is no longer in the lobby
+   * BROADCAST: To all players in lobby
+   * 
+   * @typedef {Object} PlayerLeftPayload
+   * @property {string} playerId - Who left
+   * @property {string} reason - "manual" (LEAVE_LOBBY) | "disconnect" (grace period expired)
+   *           | "kicked" (host sent KICK_PLAYER or BAN_PLAYER)
+   *           | "idle" (no audio from this singer mid-battle, see SILENT_SINGER_TIMEOUT_MS)
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "PLAYER_LEFT",
+   *   "payload": { "playerId": "p2", "reason": "kicked" }
+   * }
+   */
+  PLAYER_LEFT: {
+    type: MESSAGE_TYPES.PLAYER_LEFT,
+    payload: {
+      playerId: "string",
+      reason: "string",
+    },
+  },
+
+  /**
+   * HOST_CHANGED: Someone else is host now
+   * BROADCAST: To all players in lobby
+   * TRIGGER: TRANSFER_HOST, or the host left the lobby
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "HOST_CHANGED",
+   *   "payload": { "hostId": "p2" }
+   * }
+   */
+  HOST_CHANGED: {
+    type: MESSAGE_TYPES.HOST_CHANGED,
+    payload: {
+      hostId: "string",
+    },
+  },
+
+  /**
+   * LOBBY_CLOSED: The server closed the lobby (everyone in it is removed)
+   * BROADCAST: To all players in lobby
+   * TRIGGER: No activity for too long in LOBBY, LOADING or RESULTS (idle timeouts)
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "LOBBY_CLOSED",
+   *   "payload": { "reason": "idle" }
+   * }
+   */
+  LOBBY_CLOSED: {
+    type: MESSAGE_TYPES.LOBBY_CLOSED,
+    payload: {
+      reason: "string",
+    },
+  },
+
+  /**
+   * LOBBY_LIST: Current public lobbies (same shape as GET /api/lobbies)
+   * SENT TO: Connections that sent SUBSCRIBE_LOBBIES
+   * TRIGGER: Subscribing, then any change to a public lobby (players, phase, song)
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "LOBBY_LIST",
+   *   "payload": {
+   *     "lobbies": [
+   *       {
+   *         "roomId": "abc123",
+   *         "roomCode": "A7KQ",
+   *         "name": "Rock Stars",
+   *         "hostName": "Alice",
+   *         "hasPassword": false,
+   *         "phase": "LOBBY",
+   *         "playerCount": 2,
+   *         "spectatorCount": 1,
+   *         "maxPlayers": 4,
+   *         "song": { "id": "song_42", "name": "Twinkle Twinkle" }
+   *       }
+   *     ]
+   *   }
+   * }
+   */
+  LOBBY_LIST: {
+    type: MESSAGE_TYPES.LOBBY_LIST,
+    payload: {
+      lobbies: "LobbySummary[]",
+    },
+  },
+
   /**
    * PHASE_CHANGE: Lobby phase transitioned (LOBBY → IN_BATTLE → RESULTS)
    * CRITICAL MESSAGE: Triggers major UI state changes
@@ -348,6 +761,8 @@ export const SERVER_MESSAGES = {
    * @property {number} startTime - Unix ms (meaningful for IN_BATTLE)
    * @property {Object|null} song - Song config (included for IN_BATTLE)
    * @property {Array} players - Updated player list
+   * @property {number} [loadingDeadline] - LOADING only: unix ms after which the
+   *           host can force-start or abort (see LOADING_TIMEOUT)
    * 
    * PAYLOAD FOR IN_BATTLE:
    *   - startTime: When battle actually started (server unix ms)
@@ -377,6 +792,100 @@ export const SERVER_MESSAGES = {
       startTime: "number | null",
       song: "SongConfig | null",
       players: "PlayerState[]",
+      loadingDeadline: "number (optional)",
+    },
+  },
+
+  /**
+   * PLAYER_LOADING_PROGRESS: A singer's buffering progress changed
+   * BROADCAST: To all players in lobby (LOADING phase)
+   * TRIGGER: LOADING_PROGRESS (loaded: false) or PLAYER_LOADED (progress 1, loaded: true)
+   * 
+   * @typedef {Object} PlayerLoadingProgressPayload
+   * @property {string} playerId - Singer whose progress changed
+   * @property {number} progress - 0..1
+   * @property {boolean} loaded - Ready to play
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "PLAYER_LOADING_PROGRESS",
+   *   "payload": { "playerId": "p2", "progress": 0.6, "loaded": false }
+   * }
+   */
+  PLAYER_LOADING_PROGRESS: {
+    type: MESSAGE_TYPES.PLAYER_LOADING_PROGRESS,
+    payload: {
+      playerId: "string",
+      progress: "number",
+      loaded: "boolean",
+    },
+  },
+
+  /**
+   * LOADING_TIMEOUT: The loading deadline passed with singers still loading
+   * BROADCAST: To all players in lobby, once per battle
+   * CLIENT ACTION: Host picks FORCE_START_BATTLE or ABORT_BATTLE; others wait
+   * 
+   * @typedef {Object} LoadingTimeoutPayload
+   * @property {string[]} waitingFor - playerIds still loading
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "LOADING_TIMEOUT",
+   *   "payload": { "waitingFor": ["p2"] }
+   * }
+   */
+  LOADING_TIMEOUT: {
+    type: MESSAGE_TYPES.LOADING_TIMEOUT,
+    payload: {
+      waitingFor: "string[]",
+    },
+  },
+
+  /**
+   * BATTLE_PAUSED: The host paused the battle
+   * BROADCAST: To all players in lobby
+   * CLIENT ACTION: Pause the backing track and stop audio capture; the server
+   *                ignores audio, doesn't score and doesn't time the battle out
+   * 
+   * @typedef {Object} BattlePausedPayload
+   * @property {number} pausedAt - Server unix ms
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "BATTLE_PAUSED",
+   *   "payload": { "pausedAt": 1705512400000 }
+   * }
+   */
+  BATTLE_PAUSED: {
+    type: MESSAGE_TYPES.BATTLE_PAUSED,
+    payload: {
+      pausedAt: "number",
+    },
+  },
+
+  /**
+   * BATTLE_RESUMED: The battle continues after a countdown
+   * BROADCAST: To all players in lobby
+   * CLIENT ACTION: Count down to resumeAt, then seek the track to
+   *                (server time - battleStartTime) and restart playback + capture
+   * 
+   * @typedef {Object} BattleResumedPayload
+   * @property {number} battleStartTime - Moved forward by the paused time, so
+   *           audio timestamps keep matching the song's notes
+   * @property {number} resumeAt - Server unix ms playback continues
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "BATTLE_RESUMED",
+   *   "payload": { "battleStartTime": 1705512363000, "resumeAt": 1705512421000 }
+   * }
+   */
+  BATTLE_RESUMED: {
+    type: MESSAGE_TYPES.BATTLE_RESUMED,
+    payload: {
+      battleStartTime: "number",
+      resumeAt: "number",
     },
   },
 
@@ -389,7 +898,7 @@ export const SERVER_MESSAGES = {
    * @typedef {Object} PlayerScoreUpdatePayload
    * @property {string} playerId - ID of player whose score changed
    * @property {number} score - New total score
-   * @property {number} combo - Current combo
+   * @property {number} combo - Current streak of hit frames (a miss resets it)
    * @property {number} accuracy - Current accuracy %
    * 
    * EXAMPLE:
@@ -424,10 +933,11 @@ export const SERVER_MESSAGES = {
    * @typedef {Object} BattleResultsPayload
    * @property {Array} players - Final player list sorted by score
    * @property {Object} leaderboard - Ranked results
+   * @property {string} endReason - "finish" (everyone finished) | "timeout" (song duration + 5s)
    * 
    * PAYLOAD:
    *   - players: Final PlayerState[] sorted by score (descending)
-   *   - Each player has final: score, combo, accuracy, finished, finishTime
+   *   - Each player has final: score, combo (longest streak), accuracy, finished, finishTime
    * 
    * EXAMPLE:
    * {
@@ -452,7 +962,8 @@ export const SERVER_MESSAGES = {
    *         "finished": true,
    *         "finishTime": 121500
    *       }
-   *     ]
+   *     ],
+   *     "endReason": "finish"
    *   }
    * }
    * 
@@ -465,6 +976,30 @@ export const SERVER_MESSAGES = {
     type: MESSAGE_TYPES.BATTLE_RESULTS,
     payload: {
       players: "PlayerState[]",  // Sorted by score descending
+      endReason: "string",       // "finish" | "timeout"
+    },
+  },
+
+  /**
+   * TIME_SYNC_REPLY: Answer to TIME_SYNC
+   * CLIENT USES: rtt = (t3 - t0) - (t2 - t1), offset = ((t1 - t0) + (t2 - t3)) / 2
+   *   (t0 = clientSendTime, t1 = serverReceiveTime, t2 = serverSendTime, t3 = receive time)
+   *   → getServerTime() = Date.now() + offset, used against battleStartTime
+   * 
+   * EXAMPLE:
+   * {
+   *   "type": "TIME_SYNC_REPLY",
+   *   "clientSendTime": 1699999999000,
+   *   "serverReceiveTime": 1700000001520,
+   *   "serverSendTime": 1700000001521
+   * }
+   */
+  TIME_SYNC_REPLY: {
+    type: MESSAGE_TYPES.TIME_SYNC_REPLY,
+    payload: {
+      clientSendTime: "number",
+      serverReceiveTime: "number",
+      serverSendTime: "number",
     },
   },
 
@@ -489,6 +1024,7 @@ export const SERVER_MESSAGES = {
    *   NOT_READY: Required precondition not met
    *   ALREADY_IN_ROOM: Player already joined this room
    *   TIMEOUT: Operation took too long
+   *   TOO_MANY_ATTEMPTS: More than 5 room password attempts a minute on this connection
    * 
    * EXAMPLE:
    * {
@@ -574,6 +1110,7 @@ export const ERROR_CODES = {
   ROOM_FULL: "ROOM_FULL",
   INVALID_OPERATION: "INVALID_OPERATION",
   PERMISSION_DENIED: "PERMISSION_DENIED",
+  TOO_MANY_ATTEMPTS: "TOO_MANY_ATTEMPTS",
   INVALID_PAYLOAD: "INVALID_PAYLOAD",
   SERVER_ERROR: "SERVER_ERROR",
   SONG_NOT_FOUND: "SONG_NOT_FOUND",
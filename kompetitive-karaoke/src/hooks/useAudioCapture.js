@@ -1,5 +1,8 @@
 import { useEffect, useRef, useCallback, useState } from "react";
 import { AudioChunker } from "../utils/audioChunker";
+import { StreamResampler } from "../utils/audioResampler";
+import { loadMicDeviceId } from "../utils/micDevice";
+import captureProcessorUrl from "../worklets/captureProcessor.js?worker&url";
 
 /**
  * useAudioCapture: Live microphone audio capture and chunking hook
@@ -7,7 +10,9 @@ import { AudioChunker } from "../utils/audioChunker";
  * PRODUCTION-READY CHECKLIST:
  *   ✅ Requests microphone permission (gracefully handles denied)
  *   ✅ Handles audio context lifecycle (create, suspend, close)
- *   ✅ Polls frequency data (replaces deprecated ScriptProcessorNode)
+ *   ✅ Captures on the audio thread with an AudioWorklet (no main-thread stalls)
+ *   ✅ Falls back to ScriptProcessorNode only when worklets are unavailable
+ *   ✅ Resamples from the device rate to a fixed target rate (44.1kHz)
  *   ✅ Chunks audio into fixed 20ms frames
  *   ✅ Cleans up resources deterministically on unmount
  *   ✅ Error handling for all failure modes
@@ -32,6 +37,9 @@ import { AudioChunker } from "../utils/audioChunker";
  *                              audioData: Float32Array samples
  *   @param {Object} options
  *     - chunkDurationMs: 20 (ms per chunk, aligns with 44.1kHz)
+ *     - targetSampleRate: 44100 (rate of delivered chunks, whatever the mic runs at)
+ *     - deviceId: input to use (default: saved choice from the mic picker,
+ *                 null = system default; falls back to default if unplugged)
  *     - debugLogging: false (log chunk metadata during capture)
  *     - bufferSize: Infinity (buffer chunks if network slow, TODO)
  * 
@@ -58,22 +66,28 @@ import { AudioChunker } from "../utils/audioChunker";
  *   - Stops all media tracks (prevents microphone from staying on)
  *   - Disconnects audio nodes (prevents memory leaks)
  *   - Closes audio context (releases system audio resources)
- *   - Clears polling interval (stops callback invocations)
+ *   - Disconnects the worklet / script processor (stops callback invocations)
  *   - Called on: stopCapture() or component unmount
  * 
+ * PIPELINE:
+ *   - AudioWorklet (src/worklets/captureProcessor.js): resample + AudioChunker run
+ *     on the audio thread in 128-frame quanta (~3ms); chunks arrive via MessagePort
+ *   - Fallback: ScriptProcessorNode(4096) on the main thread (~92ms buffering),
+ *     same resampler and chunker
+ * 
  * PERFORMANCE:
- *   - Sample rate: 44.1kHz (44100 Hz)
+ *   - Sample rate: 44.1kHz (44100 Hz) after resampling
  *   - Chunk duration: 20ms (configurable)
  *   - Samples per chunk: 882 (44100 * 20 / 1000)
  *   - Bytes per chunk: 3528 (882 * 4 bytes per float)
  *   - Chunks per second: 50
  *   - Total bandwidth: ~176KB/sec (uncompressed PCM)
- *   - After Base64 encoding: ~234KB/sec
- *   - Network-friendly if using batching or compression
+ *   - After Base64 encoding: ~234KB/sec (legacy JSON AUDIO_CHUNK)
+ *   - As binary Int16 frames: ~88KB/sec (current, see encodeAudioFrame)
  * 
  * INTEGRATION NOTES:
  *   - Parent (BattlePage) packages chunks with userId, lobbyId before sending
- *   - Encodes audioData as Base64 for WebSocket transmission
+ *   - Encodes audioData as a binary Int16 frame for WebSocket transmission
  *   - Only sends during IN_BATTLE phase (conditional in parent)
  *   - Stops when battle ends (parent calls stopCapture)
  * 
@@ -87,7 +101,7 @@ import { AudioChunker } from "../utils/audioChunker";
  */
 
 export function useAudioCapture(onChunk, options = {}) {
-  const { chunkDurationMs = 20, debugLogging = false } = options;
+  const { chunkDurationMs = 20, targetSampleRate = 44100, deviceId, debugLogging = false } = options;
 
   // State for UI updates
   const [isCapturing, setIsCapturing] = useState(false);
@@ -96,11 +110,18 @@ export function useAudioCapture(onChunk, options = {}) {
   // Refs to maintain state across renders
   const audioContextRef = useRef(null);
   const analyserRef = useRef(null);
-  const processorRef = useRef(null);
+  const processorRef = useRef(null); // AudioWorkletNode or ScriptProcessorNode
   const mediaStreamRef = useRef(null);
   const chunkerRef = useRef(null);
   const captureStartTimeRef = useRef(null);
   const isCapturingRef = useRef(false);
+  const onChunkRef = useRef(onChunk);
+  const startIdRef = useRef(0); // bumped by every start/stop; stale starts bail out
+
+  // Always deliver to the latest callback (capture outlives re-renders)
+  useEffect(() => {
+    onChunkRef.current = onChunk;
+  }, [onChunk]);
 
   // Update capturing state
   const updateCapturingState = useCallback((capturing) => {
@@ -113,11 +134,10 @@ export function useAudioCapture(onChunk, options = {}) {
    * 
    * Flow:
    * 1. Request microphone permission via getUserMedia
-   * 2. Create AudioContext with 44.1kHz sample rate
-   * 3. Connect MediaStream → Analyser node
-   * 4. Poll frequency data every 20ms
-   * 5. Convert Uint8 frequency data to Float32 PCM samples
-   * 6. Pass chunks to onChunk callback (parent handles sending)
+   * 2. Create AudioContext at the device's native rate
+   * 3. Connect MediaStream → capture worklet (or ScriptProcessor fallback)
+   * 4. Resample to targetSampleRate and cut into chunkDurationMs chunks
+   * 5. Pass chunks to onChunk callback (parent handles sending)
    * 
    * Error Handling:
    *   - NotAllowedError: User explicitly denied → show error, allow retry
@@ -127,6 +147,7 @@ export function useAudioCapture(onChunk, options = {}) {
    *   - AbortError: Enumeration failed (rare) → show error
    */
   const startCapture = useCallback(async () => {
+    const startId = ++startIdRef.current;
     try {
       setError(null);
 
@@ -136,14 +157,35 @@ export function useAudioCapture(onChunk, options = {}) {
 
       // REQUEST MICROPHONE PERMISSION
       // This will throw NotAllowedError if user denies
-      const mediaStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: false,       // Disable for raw music input
-          noiseSuppression: false,       // Disable to prevent cutting out singing
-          autoGainControl: false,        // Disable to prevent volume pumping
-          sampleRate: 44100,
-        },
-      });
+      const audioConstraints = {
+        echoCancellation: false,       // Disable for raw music input
+        noiseSuppression: false,       // Disable to prevent cutting out singing
+        autoGainControl: false,        // Disable to prevent volume pumping
+        sampleRate: 44100,
+      };
+      const preferredDevice = deviceId === undefined ? loadMicDeviceId() : deviceId;
+
+      let mediaStream;
+      try {
+        mediaStream = await navigator.mediaDevices.getUserMedia({
+          audio: preferredDevice
+            ? { ...audioConstraints, deviceId: { exact: preferredDevice } }
+            : audioConstraints,
+        });
+      } catch (err) {
+        // Saved mic unplugged: use the default input instead of failing
+        if (!preferredDevice || (err.name !== "OverconstrainedError" && err.name !== "NotFoundError")) {
+          throw err;
+        }
+        console.warn(`[AudioCapture] Selected microphone unavailable, using default`);
+        mediaStream = await navigator.mediaDevices.getUserMedia({ audio: audioConstraints });
+      }
+
+      // stopCapture() (or another start) happened while waiting for permission
+      if (startId !== startIdRef.current) {
+        mediaStream.getTracks().forEach((track) => track.stop());
+        return;
+      }
 
       const track = mediaStream.getAudioTracks()[0];
       if (debugLogging || true) { // Force log
@@ -153,31 +195,16 @@ export function useAudioCapture(onChunk, options = {}) {
 
       mediaStreamRef.current = mediaStream;
 
-      // CREATE AUDIO CONTEXT at matching sample rate
+      // CREATE AUDIO CONTEXT at the device rate (forcing 44.1kHz fails on
+      // some browsers when the mic runs at 48kHz); we resample ourselves
       const audioContext = new (window.AudioContext ||
-        window.webkitAudioContext)({ sampleRate: 44100 });
+        window.webkitAudioContext)();
       audioContextRef.current = audioContext;
 
       if (debugLogging) {
         console.log(`[AudioCapture] Audio context created. State: ${audioContext.state}, SampleRate: ${audioContext.sampleRate}Hz`);
       }
 
-      // INITIALIZE AUDIO CHUNKER
-      // Responsible for buffering samples until a complete chunk arrives
-      const chunker = new AudioChunker(chunkDurationMs);
-      chunker.sampleRate = audioContext.sampleRate;
-      chunkerRef.current = chunker;
-
-      // createScriptProcessor (bufferSize, inputChannels, outputChannels)
-      // Buffer size 4096 is a good balance between latency (92ms) and performance
-      const processor = audioContext.createScriptProcessor(4096, 1, 1);
-      processorRef.current = processor;
-
-      // Update chunker sample rate
-      chunker.sampleRate = audioContext.sampleRate;
-
-      // Create Source from Microphone Stream
-      // Create Source from Microphone Stream
       const source = audioContext.createMediaStreamSource(mediaStream);
 
       // Ensure context is running (sometimes starts suspended)
@@ -186,37 +213,56 @@ export function useAudioCapture(onChunk, options = {}) {
       }
 
       let chunkCount = 0;
-
-      // AUDIO PROCESS CALLBACK (Runs continuously on main thread)
-      processor.onaudioprocess = (e) => {
-        if (!isCapturingRef.current) return;
-
-        const inputBuffer = e.inputBuffer;
-        const inputData = inputBuffer.getChannelData(0); // Float32Array
-
-        // DEBUG: Check input levels immediately
-        if (chunkCount % 50 === 0) { // Log every ~1s (approx)
-          let sum = 0;
-          for (let i = 0; i < inputData.length; i++) sum += inputData[i] * inputData[i];
-          const rms = Math.sqrt(sum / inputData.length);
-          console.log(`[AudioCapture] Input RMS: ${rms.toFixed(5)}`);
+      const deliverChunk = (chunk) => {
+        if (!isCapturingRef.current || !onChunkRef.current) return;
+        onChunkRef.current(chunk);
+        if (debugLogging && chunkCount % 10 === 0) {
+          console.log(`[AudioCapture] Chunk #${chunkCount}, timestamp: ${chunk.timestamp}ms`);
         }
+        chunkCount++;
+      };
 
-        // Process frames
-        // We don't track startTimestampMs here because chunker handles cumulative time
-        for (const chunk of chunker.processFrames(inputData)) {
-          if (onChunk) {
-            onChunk(chunk);
-            if (debugLogging && chunkCount % 10 === 0) {
-              console.log(`[AudioCapture] Chunk #${chunkCount}, timestamp: ${chunk.timestamp}ms`);
-            }
-            chunkCount++;
+      let processor;
+      if (audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined') {
+        // PREFERRED: resample + chunk on the audio thread
+        await audioContext.audioWorklet.addModule(captureProcessorUrl);
+        if (startId !== startIdRef.current) return; // stopped meanwhile (already cleaned up)
+        processor = new AudioWorkletNode(audioContext, 'capture-processor', {
+          numberOfInputs: 1,
+          numberOfOutputs: 1,
+          channelCount: 1,
+          processorOptions: { chunkDurationMs, targetSampleRate },
+        });
+        processor.port.onmessage = (e) => deliverChunk(e.data);
+
+        if (debugLogging) {
+          console.log(`[AudioCapture] AudioWorklet started`);
+        }
+      } else {
+        // FALLBACK: ScriptProcessorNode on the main thread
+        // Buffer size 4096 is a good balance between latency (92ms) and performance
+        const resampler = new StreamResampler(audioContext.sampleRate, targetSampleRate);
+        const chunker = new AudioChunker(chunkDurationMs);
+        chunker.sampleRate = targetSampleRate;
+        chunkerRef.current = chunker;
+
+        processor = audioContext.createScriptProcessor(4096, 1, 1);
+        processor.onaudioprocess = (e) => {
+          if (!isCapturingRef.current) return;
+          const inputData = e.inputBuffer.getChannelData(0); // Float32Array
+          for (const chunk of chunker.processFrames(resampler.process(inputData))) {
+            deliverChunk(chunk);
           }
+        };
+
+        if (debugLogging) {
+          console.log(`[AudioCapture] AudioWorklet unavailable, using ScriptProcessor`);
         }
-      };
+      }
+      processorRef.current = processor;
 
       // Connect graph: Source -> Processor -> Destination (Muted)
-      // Destination connection required for Chrome to fire audioprocess
+      // Destination connection keeps the processor pulled by the render graph
       source.connect(processor);
 
       // Mute output to prevent feedback/echo
@@ -225,10 +271,6 @@ export function useAudioCapture(onChunk, options = {}) {
       processor.connect(gainNode);
       gainNode.connect(audioContext.destination);
 
-      if (debugLogging) {
-        console.log(`[AudioCapture] ScriptProcessor started`);
-      }
-
       updateCapturingState(true);
     } catch (err) {
       // TRANSLATE ERROR CODES TO USER-FRIENDLY MESSAGES
@@ -255,13 +297,13 @@ export function useAudioCapture(onChunk, options = {}) {
       setError(userMessage);
       updateCapturingState(false);
     }
-  }, [chunkDurationMs, onChunk, updateCapturingState, debugLogging]);
+  }, [chunkDurationMs, targetSampleRate, deviceId, updateCapturingState, debugLogging]);
 
   /**
    * Stop audio capture and cleanup all resources
    * 
    * Cleanup order is critical (reverse of creation):
-   * 1. Clear polling interval (stops onChunk callbacks)
+   * 1. Disconnect the processor (stops onChunk callbacks)
    * 2. Stop all media tracks (releases microphone hardware)
    * 3. Disconnect analyser node (removes node from audio graph)
    * 4. Close audio context (releases system audio resources)
@@ -278,15 +320,21 @@ export function useAudioCapture(onChunk, options = {}) {
       console.log("[AudioCapture] Stopping capture and cleaning up resources...");
     }
 
+    startIdRef.current++;
     updateCapturingState(false);
 
-    // 1. STOP SCRIPT PROCESSOR
+    // 1. STOP WORKLET / SCRIPT PROCESSOR
     if (processorRef.current) {
       processorRef.current.disconnect();
-      processorRef.current.onaudioprocess = null;
+      if (processorRef.current.port) {
+        processorRef.current.port.onmessage = null;
+      } else {
+        processorRef.current.onaudioprocess = null;
+      }
       processorRef.current = null;
+      chunkerRef.current = null;
       if (debugLogging) {
-        console.log("[AudioCapture] ScriptProcessor disconnected");
+        console.log("[AudioCapture] Processor disconnected");
       }
     }
 
@@ -326,12 +374,10 @@ export function useAudioCapture(onChunk, options = {}) {
     }
   }, [updateCapturingState, debugLogging]);
 
-  // Cleanup on unmount
+  // Cleanup on unmount (also cancels a start still waiting for permission)
   useEffect(() => {
     return () => {
-      if (isCapturingRef.current) {
-        stopCapture();
-      }
+      stopCapture();
     };
   }, [stopCapture]);
 
@@ -0,0 +1,46 @@
+import { useEffect } from "react";
+import { getLobbies } from "../services/ApiService";
+import { useLobbyStore } from "../store/lobbyStore";
+import { useWebSocket } from "./useWebSocket";
+
+/**
+ * useLobbyList: Public lobbies for the lobby browser, kept live
+ *
+ * Loads GET /api/lobbies once, then subscribes with SUBSCRIBE_LOBBIES so the
+ * server pushes LOBBY_LIST (handled by GameSync) whenever a public lobby changes.
+ * Re-subscribes after a reconnect; unsubscribes on unmount.
+ *
+ * RETURNS: [{ roomId, roomCode, name, hostName, hasPassword, phase, playerCount, spectatorCount, maxPlayers, song }]
+ */
+export function useLobbyList() {
+  const publicLobbies = useLobbyStore((state) => state.publicLobbies);
+  const setPublicLobbies = useLobbyStore((state) => state.setPublicLobbies);
+  const { send, isConnected } = useWebSocket();
+
+  // Initial list over HTTP (shows something before the socket is up)
+  useEffect(() => {
+    let cancelled = false;
+    getLobbies()
+      .then((lobbies) => {
+        if (!cancelled) setPublicLobbies(lobbies);
+      })
+      .catch((err) => console.error("[LobbyList] Failed to load lobbies:", err));
+    return () => {
+      cancelled = true;
+    };
+  }, [setPublicLobbies]);
+
+  // Live updates (the subscription belongs to the socket, so redo it per connection)
+  useEffect(() => {
+    if (!isConnected) return;
+    send({ type: "SUBSCRIBE_LOBBIES" });
+    return () => {
+      // A dropped socket has no subscription left to cancel
+      if (useLobbyStore.getState().connectionState === "connected") {
+        send({ type: "UNSUBSCRIBE_LOBBIES" });
+      }
+    };
+  }, [isConnected, send]);
+
+  return publicLobbies;
+}
@@ -0,0 +1,35 @@
+import { useCallback, useEffect, useState } from "react";
+import { listMicrophones, loadMicDeviceId, saveMicDeviceId } from "../utils/micDevice";
+
+/**
+ * useMicDevices: Available microphones and the saved choice
+ *
+ * RETURNS:
+ *   - devices: [{ deviceId, label }] (refreshed when devices are plugged in/out)
+ *   - deviceId: saved deviceId, or null for the system default
+ *   - selectDevice(deviceId | null): choose and persist
+ *   - refresh(): re-enumerate (call after mic permission is granted to get labels)
+ */
+export function useMicDevices() {
+  const [devices, setDevices] = useState([]);
+  const [deviceId, setDeviceId] = useState(() => loadMicDeviceId());
+
+  const refresh = useCallback(() => {
+    return listMicrophones()
+      .then(setDevices)
+      .catch((err) => console.error("[MicDevices] Enumeration failed:", err));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    navigator.mediaDevices?.addEventListener?.("devicechange", refresh);
+    return () => navigator.mediaDevices?.removeEventListener?.("devicechange", refresh);
+  }, [refresh]);
+
+  const selectDevice = useCallback((id) => {
+    saveMicDeviceId(id || null);
+    setDeviceId(id || null);
+  }, []);
+
+  return { devices, deviceId, selectDevice, refresh };
+}
@@ -12,7 +12,7 @@ import { useLobbyStore } from '../store/lobbyStore';
 /**
  * WebSocket hook that reads from store
  * 
- * @returns {Object} { send, isConnected, error, connectionState }
+ * @returns {Object} { send, sendBinary, isConnected, error, connectionState }
  */
 export function useWebSocket() {
     // Read state from store
@@ -26,6 +26,10 @@ export function useWebSocket() {
         return getWebSocketService().send(message);
     }, []);
 
+    const sendBinary = useCallback((data) => {
+        return getWebSocketService().sendBinary(data);
+    }, []);
+
     // Clear error wrapper (optional, component could just set connectionError to null)
     const clearError = useCallback(() => {
         clearConnectionError(null);
@@ -33,6 +37,7 @@ export function useWebSocket() {
 
     return {
         send,
+        sendBinary,
         isConnected,
         error,
         clearError,
@@ -1,39 +1,73 @@
 import { useState, useEffect, useCallback, useRef } from "react";
-import { float32ToBase64 } from "../utils/audioUtils";
+import { encodeAudioFrame } from "../utils/audioUtils";
+import { resolveUrl } from "../services/ApiService";
+import { loadAudioLatency, CAPTURE_CHUNK_MS } from "../utils/latencyCalibration";
+import { PitchTracker, frequencyToMidi } from "../utils/pitchDetection";
 import LyricsDisplay from "../components/LyricsDisplay";
+import NoteHighway from "../components/NoteHighway";
 import ScoreBoard from "../components/ScoreBoard";
 import ScoreCardSidebar from "../components/ScoreCardSidebar";
+import LoadingStatus from "../components/LoadingStatus";
+import PauseOverlay from "../components/PauseOverlay";
 import { useWebSocket } from "../hooks/useWebSocket";
 import { useAudioCapture } from "../hooks/useAudioCapture";
-import { useLobbyStore, LOBBY_PHASES } from "../store/lobbyStore";
+import { useLobbyStore, LOBBY_PHASES, PLAYER_ROLES } from "../store/lobbyStore";
+
+// How much sung pitch history the note highway keeps
+const PITCH_TRAIL_MS = 5000;
+
+// Report buffering progress in steps of this size (LOADING_PROGRESS)
+const LOAD_PROGRESS_STEP = 0.05;
 
 /**
  * BattlePage: Main battle view during LOADING and IN_BATTLE phases
  * 
  * Flow:
- * 1. LOADING: Fetches MP3, buffers it, sends PLAYER_LOADED.
- * 2. WAITING: Shows "Ready! Waiting for others..." after loading.
+ * 1. LOADING: Fetches MP3, buffers it (LOADING_PROGRESS), sends PLAYER_LOADED.
+ * 2. WAITING: Shows everyone's loading progress. If the server's loading deadline
+ *    passes (LOADING_TIMEOUT), the host starts without the stragglers or aborts.
  * 3. COUNTDOWN: Server sends IN_BATTLE + battleStartTime, shows countdown.
  * 4. SINGING: Precise playback start at battleStartTime.
+ *    The note highway shows target notes and the pitch detected locally.
+ * 5. FINISHED: Lyrics end → FINISH_BATTLE; server moves everyone to RESULTS.
+ *
+ * The host can pause (PAUSE_BATTLE): music and mic stop until BATTLE_RESUMED, then
+ * a countdown picks the song up where it stopped. ABORT_BATTLE goes back to LOBBY.
+ *
+ * Spectators get the same view without the mic: they never send PLAYER_LOADED,
+ * audio or FINISH_BATTLE, and joining mid-song seeks the track to the battle clock.
+ * Singers left behind by a force start (sittingOut) watch the same way.
  */
 
 function BattlePage({ onEnd }) {
-  const { send, isConnected } = useWebSocket();
+  const { send, sendBinary, isConnected } = useWebSocket();
   const lobby = useLobbyStore((state) => state.lobby);
   const players = lobby.players;
   const currentUserId = useLobbyStore((state) => state.currentUserId);
+  const getServerTime = useLobbyStore((state) => state.getServerTime);
   const song = lobby.song;
+  const me = players.find((p) => p.id === currentUserId);
+  const isSpectator = me?.role === PLAYER_ROLES.SPECTATOR;
+  const isWatching = isSpectator || Boolean(me?.sittingOut); // no mic this battle
+  const isHost = lobby.hostId === currentUserId;
 
   // Local state for loading/sync
   const [isLoaded, setIsLoaded] = useState(false);
   const [countdown, setCountdown] = useState(null);
+  const [hasFinished, setHasFinished] = useState(false);
   const audioRef = useRef(null);
   const hasStartedPlayback = useRef(false);
+  const audioSequence = useRef(0);
+
+  // Client-side pitch for the note highway (display only, server scores)
+  const pitchTracker = useRef(null);
+  const pitchTrail = useRef([]);
+  const audioLatencyMs = useRef(loadAudioLatency());
 
   // Audio capture callback
   const onAudioChunk = useCallback(
     (chunk) => {
-      if (lobby.phase !== LOBBY_PHASES.IN_BATTLE || !isConnected) return;
+      if (lobby.phase !== LOBBY_PHASES.IN_BATTLE || lobby.pausedAt || !isConnected) return;
 
       const audio = audioRef.current;
       let relativeTimestamp = 0;
@@ -42,28 +76,37 @@ function BattlePage({ onEnd }) {
       if (audio && audio.currentTime > 0) {
         relativeTimestamp = audio.currentTime * 1000;
       } else {
-        const battleStartTime = lobby.battleStartTime || Date.now();
-        relativeTimestamp = Date.now() - battleStartTime;
+        const now = getServerTime();
+        const battleStartTime = lobby.battleStartTime || now;
+        relativeTimestamp = now - battleStartTime;
       }
 
       if (relativeTimestamp < 0) return; // Don't send chunks during countdown
 
-      send({
-        type: 'AUDIO_CHUNK',
+      // Binary frame with 16-bit PCM (see encodeAudioFrame)
+      sendBinary(encodeAudioFrame({
         roomId: lobby.roomId,
         userId: currentUserId,
+        sequence: audioSequence.current++,
         timestamp: relativeTimestamp,
-        audioData: float32ToBase64(chunk.audioData),
         sampleRate: 44100,
-        channelCount: 1,
-      });
+        samples: chunk.audioData,
+      }));
+
+      // Plot at song time, corrected the same way the server scores it
+      if (!pitchTracker.current) pitchTracker.current = new PitchTracker(44100);
+      const frequency = pitchTracker.current.push(chunk.audioData);
+      const time = relativeTimestamp - audioLatencyMs.current;
+      const trail = pitchTrail.current;
+      if (frequency > 0) trail.push({ time, midi: frequencyToMidi(frequency) });
+      while (trail.length > 0 && trail[0].time < time - PITCH_TRAIL_MS) trail.shift();
     },
-    [currentUserId, lobby.roomId, lobby.phase, lobby.battleStartTime, isConnected, send]
+    [currentUserId, lobby.roomId, lobby.phase, lobby.pausedAt, lobby.battleStartTime, isConnected, sendBinary, getServerTime]
   );
 
   const { isCapturing, error: audioError, startCapture, stopCapture } =
     useAudioCapture(onAudioChunk, {
-      chunkDurationMs: 100,
+      chunkDurationMs: CAPTURE_CHUNK_MS,
       debugLogging: false
     });
 
@@ -72,36 +115,58 @@ function BattlePage({ onEnd }) {
     if (!song?.mp3 || isLoaded) return;
 
     console.log(`[Loading] Pre-loading audio: ${song.mp3}`);
-    const audio = new Audio(`http://localhost:3000/songs/${song.mp3}`);
+    // Served with Range support, so the browser can buffer and seek in chunks
+    const audio = new Audio(resolveUrl(`/songs/${encodeURIComponent(song.mp3)}`));
     audio.preload = "auto";
+    let reportedProgress = 0;
+
+    // Share how far buffering got, so everyone sees who is holding things up
+    const handleProgress = () => {
+      if (isSpectator || !audio.duration || audio.buffered.length === 0) return;
+      const progress = Math.min(1, audio.buffered.end(audio.buffered.length - 1) / audio.duration);
+      if (progress - reportedProgress < LOAD_PROGRESS_STEP) return;
+      reportedProgress = progress;
+      send({
+        type: 'LOADING_PROGRESS',
+        roomId: lobby.roomId,
+        userId: currentUserId,
+        progress,
+      });
+    };
 
     const handleCanPlayThrough = () => {
       console.log(`[Loading] Audio buffered and ready.`);
       setIsLoaded(true);
+      if (isSpectator) return; // battle doesn't wait for spectators
       send({
         type: 'PLAYER_LOADED',
         roomId: lobby.roomId,
-        userId: currentUserId
+        userId: currentUserId,
+        audioLatencyMs: loadAudioLatency()
       });
     };
 
     const handleLoadError = (e) => {
       console.error(`[Loading] Audio load failed for ${song.mp3}:`, e);
       setIsLoaded(true);
+      if (isSpectator) return;
       send({
         type: 'PLAYER_LOADED',
         roomId: lobby.roomId,
-        userId: currentUserId
+        userId: currentUserId,
+        audioLatencyMs: loadAudioLatency()
       });
     };
 
     audio.addEventListener('canplaythrough', handleCanPlayThrough);
     audio.addEventListener('error', handleLoadError);
+    audio.addEventListener('progress', handleProgress);
     audioRef.current = audio;
 
     return () => {
       audio.removeEventListener('canplaythrough', handleCanPlayThrough);
       audio.removeEventListener('error', handleLoadError);
+      audio.removeEventListener('progress', handleProgress);
 
       // Only clear if the component is actually unmounting or song changes
       if (audioRef.current !== audio) {
@@ -109,33 +174,46 @@ function BattlePage({ onEnd }) {
         audio.src = "";
       }
     };
-  }, [song?.mp3, lobby.roomId, currentUserId, send, isLoaded]);
+  }, [song?.mp3, lobby.roomId, currentUserId, send, isLoaded, isSpectator]);
 
-  // 2. COUNTDOWN & START SYNC
+  // 2. COUNTDOWN & START SYNC (also after each resume)
   useEffect(() => {
-    if (lobby.phase === LOBBY_PHASES.IN_BATTLE && lobby.battleStartTime && isLoaded) {
-      const timer = setInterval(() => {
-        const now = Date.now();
-        const diff = lobby.battleStartTime - now;
-
-        if (diff <= 0) {
-          clearInterval(timer);
-          setCountdown(null);
-
-          if (!hasStartedPlayback.current && audioRef.current) {
-            console.log("[Battle] SYNC START!");
-            audioRef.current.play().catch(e => console.error("Playback failed:", e));
-            startCapture();
-            hasStartedPlayback.current = true;
-          }
-        } else {
-          setCountdown(Math.ceil(diff / 1000));
-        }
-      }, 50);
+    if (lobby.phase !== LOBBY_PHASES.IN_BATTLE || !lobby.battleStartTime || !isLoaded) return;
 
-      return () => clearInterval(timer);
+    // Paused by the host: music and mic stop until BATTLE_RESUMED
+    if (lobby.pausedAt) {
+      if (audioRef.current) audioRef.current.pause();
+      stopCapture();
+      hasStartedPlayback.current = false;
+      return;
     }
-  }, [lobby.phase, lobby.battleStartTime, isLoaded, startCapture]);
+
+    // Resuming counts down to resumeAt instead of the original start
+    const startAt = Math.max(lobby.battleStartTime, lobby.resumeAt || 0);
+    const timer = setInterval(() => {
+      const diff = startAt - getServerTime();
+
+      if (diff <= 0) {
+        clearInterval(timer);
+        setCountdown(null);
+
+        if (!hasStartedPlayback.current && audioRef.current) {
+          console.log("[Battle] SYNC START!");
+          // Resuming, or arrived after the start (e.g. spectator joining mid-song):
+          // the server shifted battleStartTime past any pause, so this is the song position
+          const position = getServerTime() - lobby.battleStartTime;
+          if (lobby.resumeAt || position > 1000) audioRef.current.currentTime = position / 1000;
+          audioRef.current.play().catch(e => console.error("Playback failed:", e));
+          if (!isWatching && !hasFinished) startCapture();
+          hasStartedPlayback.current = true;
+        }
+      } else {
+        setCountdown(Math.ceil(diff / 1000));
+      }
+    }, 50);
+
+    return () => clearInterval(timer);
+  }, [lobby.phase, lobby.battleStartTime, lobby.pausedAt, lobby.resumeAt, isLoaded, isWatching, hasFinished, startCapture, stopCapture, getServerTime]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -154,23 +232,63 @@ function BattlePage({ onEnd }) {
     score: 0,
   };
 
+  // In duets each player follows their own part's lyrics
+  const track = song?.tracks?.[currentPlayer.duetPart] || song;
+
+  // Lyrics ran out: stop capture and tell the server we're done.
+  // Server ends the battle (PHASE_CHANGE RESULTS) once everyone finished or on timeout.
   const handleBattleEnd = useCallback((result) => {
     console.log("🎬 Battle ended, stopping audio capture");
     stopCapture();
+    setHasFinished(true);
+
+    if (lobby.roomId && currentUserId) {
+      send({
+        type: 'FINISH_BATTLE',
+        roomId: lobby.roomId,
+        userId: currentUserId,
+      });
+    }
+
     if (onEnd) onEnd(result);
-  }, [onEnd, stopCapture]);
+  }, [onEnd, stopCapture, send, lobby.roomId, currentUserId]);
+
+  // Host's answer to LOADING_TIMEOUT
+  const handleForceStart = useCallback(() => {
+    send({ type: 'FORCE_START_BATTLE', roomId: lobby.roomId, userId: currentUserId });
+  }, [send, lobby.roomId, currentUserId]);
+
+  const handleAbort = useCallback(() => {
+    send({ type: 'ABORT_BATTLE', roomId: lobby.roomId, userId: currentUserId });
+  }, [send, lobby.roomId, currentUserId]);
+
+  // Host battle controls (server answers with BATTLE_PAUSED / BATTLE_RESUMED)
+  const handlePause = useCallback(() => {
+    send({ type: 'PAUSE_BATTLE', roomId: lobby.roomId, userId: currentUserId });
+  }, [send, lobby.roomId, currentUserId]);
+
+  const handleResume = useCallback(() => {
+    send({ type: 'RESUME_BATTLE', roomId: lobby.roomId, userId: currentUserId });
+  }, [send, lobby.roomId, currentUserId]);
 
   if (lobby.phase === LOBBY_PHASES.LOADING || !isLoaded) {
     return (
       <div className="w-screen h-screen bg-gray-900 flex flex-col items-center justify-center text-white">
         <div className="text-4xl font-bold mb-4 animate-pulse">
-          {isLoaded ? "Ready! Waiting for others..." : "Loading Song Assets..."}
+          {!isLoaded ? "Loading Song Assets..." : isSpectator ? "Waiting for singers..." : "Ready! Waiting for others..."}
         </div>
         {!isLoaded && (
           <div className="w-64 h-2 bg-gray-700 rounded-full overflow-hidden">
             <div className="h-full bg-blue-500 animate-loading-bar"></div>
           </div>
         )}
+        {lobby.phase === LOBBY_PHASES.LOADING ? (
+          <LoadingStatus isHost={isHost} onForceStart={handleForceStart} onAbort={handleAbort} />
+        ) : me?.sittingOut && (
+          <p className="mt-6 text-gray-400">
+            The battle started without you. You'll watch once the song has loaded.
+          </p>
+        )}
       </div>
     );
   }
@@ -185,23 +303,56 @@ function BattlePage({ onEnd }) {
         </div>
       )}
 
-      <div className="absolute top-4 left-4 flex items-center gap-2">
-        <div className={`w-3 h-3 rounded-full ${isCapturing ? 'bg-red-500 animate-pulse' : 'bg-yellow-500'}`} />
-        <span className="text-sm text-gray-300">
-          🎤 {isCapturing ? 'Recording' : 'Standby'}
-        </span>
-      </div>
+      {lobby.pausedAt && (
+        <PauseOverlay isHost={isHost} onResume={handleResume} onAbort={handleAbort} />
+      )}
+
+      {isHost && !lobby.pausedAt && countdown === null && (
+        <button
+          onClick={handlePause}
+          className="absolute top-4 left-1/2 -translate-x-1/2 px-4 py-1 rounded bg-gray-700 hover:bg-gray-600 text-sm"
+        >
+          ⏸ Pause
+        </button>
+      )}
+
+      {hasFinished && (
+        <div className="absolute top-4 right-4 px-4 py-2 rounded bg-green-700 font-bold">
+          ✅ Finished! Waiting for others...
+        </div>
+      )}
+
+      {isWatching ? (
+        <div className="absolute top-4 left-4 px-3 py-1 rounded bg-gray-700 text-sm text-gray-300">
+          {isSpectator ? "👀 Spectating" : "👀 Sitting this one out"}
+        </div>
+      ) : (
+        <div className="absolute top-4 left-4 flex items-center gap-2">
+          <div className={`w-3 h-3 rounded-full ${isCapturing ? 'bg-red-500 animate-pulse' : 'bg-yellow-500'}`} />
+          <span className="text-sm text-gray-300">
+            🎤 {isCapturing ? 'Recording' : 'Standby'}
+          </span>
+        </div>
+      )}
 
       <div className="flex w-full max-w-6xl gap-6">
         <div className="flex-1 flex flex-col items-center">
+          <NoteHighway
+            notes={track?.notes || []}
+            lineTimings={track?.lineTimings || []}
+            battleStartTime={lobby.battleStartTime}
+            audioRef={audioRef}
+            pitchTrailRef={pitchTrail}
+          />
           <LyricsDisplay
-            lyrics={song?.lyrics || []}
-            lineTimings={song?.lineTimings || []}
+            lyrics={track?.lyrics || []}
+            lineTimings={track?.lineTimings || []}
+            notes={track?.notes || []}
             battleStartTime={lobby.battleStartTime}
             audioRef={audioRef}
-            onEnd={handleBattleEnd}
+            onEnd={isWatching ? undefined : handleBattleEnd}
           />
-          <ScoreBoard score={currentPlayer.score} />
+          {!isWatching && <ScoreBoard score={currentPlayer.score} />}
         </div>
         <ScoreCardSidebar />
       </div>
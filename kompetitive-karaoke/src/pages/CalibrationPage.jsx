@@ -0,0 +1,169 @@
+import { useState, useCallback, useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAudioCapture } from "../hooks/useAudioCapture";
+import {
+  loadAudioLatency,
+  saveAudioLatency,
+  createClickTrack,
+  estimateLatency,
+  CAPTURE_CHUNK_MS,
+} from "../utils/latencyCalibration";
+
+/**
+ * CalibrationPage: Measure this device's audio latency
+ *
+ * FLOW:
+ *   1. User presses Start: mic capture begins, a click track plays
+ *   2. User sings "ta" (or taps the mic) on every click
+ *   3. Mic chunks are timestamped with audio.currentTime, the same way
+ *      BattlePage timestamps AUDIO_FRAMEs, so the measured delay is exactly
+ *      what the scorer would otherwise count as singing late
+ *   4. Median delay is shown; Save stores it for this device
+ *
+ * BACKEND INTEGRATION:
+ *   - Saved value is sent as audioLatencyMs in PLAYER_LOADED
+ *   - Server subtracts it from chunk timestamps before timing accuracy
+ */
+
+const LEAD_IN_MS = 1500;       // silence before the first click (noise floor)
+const CLICK_INTERVAL_MS = 800;
+const CLICK_COUNT = 8;
+const TAIL_MS = 1000;
+
+const CLICK_TIMES = Array.from({ length: CLICK_COUNT }, (_, i) => LEAD_IN_MS + i * CLICK_INTERVAL_MS);
+const TRACK_DURATION_MS = CLICK_TIMES[CLICK_COUNT - 1] + TAIL_MS;
+
+export default function CalibrationPage() {
+  const navigate = useNavigate();
+
+  const [status, setStatus] = useState("idle"); // idle | running | done | failed
+  const [result, setResult] = useState(null);
+  const [savedLatency, setSavedLatency] = useState(() => loadAudioLatency());
+
+  const audioRef = useRef(null);
+  const chunksRef = useRef([]);
+
+  // Timestamp chunks exactly like BattlePage (playback position on arrival,
+  // same chunk size)
+  const onAudioChunk = useCallback((chunk) => {
+    const audio = audioRef.current;
+    if (!audio || audio.paused) return;
+    chunksRef.current.push({ timestamp: audio.currentTime * 1000, samples: chunk.audioData });
+  }, []);
+
+  const { error: audioError, startCapture, stopCapture } = useAudioCapture(onAudioChunk, {
+    chunkDurationMs: CAPTURE_CHUNK_MS,
+  });
+
+  const finish = useCallback(() => {
+    stopCapture();
+    const audio = audioRef.current;
+    if (audio) {
+      URL.revokeObjectURL(audio.src);
+      audioRef.current = null;
+    }
+
+    const estimate = estimateLatency(chunksRef.current, CLICK_TIMES);
+    setResult(estimate);
+    setStatus(estimate ? "done" : "failed");
+  }, [stopCapture]);
+
+  const handleStart = async () => {
+    chunksRef.current = [];
+    setResult(null);
+    setStatus("running");
+
+    await startCapture();
+
+    const audio = new Audio(URL.createObjectURL(createClickTrack(CLICK_TIMES, TRACK_DURATION_MS)));
+    audio.addEventListener("ended", finish);
+    audioRef.current = audio;
+    audio.play().catch((e) => {
+      console.error("[Calibration] Playback failed:", e);
+      finish();
+    });
+  };
+
+  const handleSave = () => {
+    saveAudioLatency(result.latencyMs);
+    setSavedLatency(result.latencyMs);
+  };
+
+  const handleReset = () => {
+    saveAudioLatency(null);
+    setSavedLatency(0);
+  };
+
+  // Stop playback and capture when leaving mid-run
+  useEffect(() => {
+    return () => {
+      const audio = audioRef.current;
+      if (audio) {
+        audio.pause();
+        URL.revokeObjectURL(audio.src);
+      }
+      stopCapture();
+    };
+  }, [stopCapture]);
+
+  return (
+    <div className="flex-1 flex flex-col items-center p-6 text-white">
+      <div className="w-full max-w-xl bg-gray-800 rounded-lg p-6 space-y-4">
+        <h1 className="text-2xl font-bold">Audio Latency Calibration</h1>
+        <p className="text-gray-300">
+          Use the headphones or speakers you sing with. Press Start, then sing a short "ta"
+          (or tap the microphone) exactly on each of the {CLICK_COUNT} clicks.
+        </p>
+
+        <div className="bg-gray-700 rounded p-4">
+          <div className="text-sm text-gray-400">Saved for this device</div>
+          <div className="text-3xl font-semibold">{savedLatency} ms</div>
+        </div>
+
+        {status === "running" && (
+          <p className="text-yellow-400 animate-pulse">Listening… sing on every click</p>
+        )}
+
+        {status === "done" && result && (
+          <div className="bg-gray-700 rounded p-4">
+            <div className="text-sm text-gray-400">Measured</div>
+            <div className="text-3xl font-semibold text-green-400">{result.latencyMs} ms</div>
+            <div className="text-sm text-gray-400">
+              {result.detected}/{CLICK_COUNT} clicks heard, spread {result.spreadMs} ms
+              {result.spreadMs > 150 && " (inconsistent, consider trying again)"}
+            </div>
+          </div>
+        )}
+
+        {status === "failed" && (
+          <p className="text-red-400">
+            Couldn't hear enough of your clicks. Move closer to the mic and try again.
+          </p>
+        )}
+
+        {audioError && <p className="text-red-400">{audioError}</p>}
+
+        <div className="flex gap-3">
+          <button
+            onClick={handleStart}
+            disabled={status === "running"}
+            className="px-4 py-2 rounded bg-blue-600 hover:bg-blue-500 disabled:opacity-50"
+          >
+            {status === "idle" ? "Start" : "Try Again"}
+          </button>
+          {status === "done" && (
+            <button onClick={handleSave} className="px-4 py-2 rounded bg-green-600 hover:bg-green-500">
+              Save
+            </button>
+          )}
+          <button onClick={handleReset} className="px-4 py-2 rounded bg-gray-600 hover:bg-gray-500">
+            Reset to 0
+          </button>
+          <button onClick={() => navigate(-1)} className="ml-auto px-4 py-2 rounded bg-gray-600 hover:bg-gray-500">
+            Back
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -5,11 +5,15 @@ import { useWebSocket } from '../hooks/useWebSocket';
 
 /**
  * CreateTeam: UI for creating a new lobby/room via WebSocket
+ *
+ * Optional password: joiners must enter it (server keeps only a hash).
  */
 
 const CreateTeam = () => {
   const [roomName, setRoomName] = useState('');
   const [maxPlayers, setMaxPlayers] = useState(4);
+  const [visibility, setVisibility] = useState('public');
+  const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const navigate = useNavigate();
@@ -59,6 +63,8 @@ const CreateTeam = () => {
       type: 'CREATE_LOBBY',
       roomName: roomName.trim(),
       maxPlayers,
+      visibility,
+      password: password || undefined,
       userId: currentUserId,
       userName: currentUserName,
     });
@@ -70,7 +76,7 @@ const CreateTeam = () => {
 
     // Response will be handled by useWebSocket hook updating the store
     // We navigate in the useEffect above when lobby.roomId is set
-  }, [roomName, maxPlayers, currentUserId, currentUserName, isConnected, send]);
+  }, [roomName, maxPlayers, visibility, password, currentUserId, currentUserName, isConnected, send]);
 
   return (
     <div className="h-7/10 bg-gray-800 rounded-lg mr-10 ml-10 p-5 flex flex-col items-center text-3xl font-bold">
@@ -124,6 +130,39 @@ const CreateTeam = () => {
           </select>
         </div>
 
+        {/* Visibility */}
+        <div className="mb-8">
+          <label className="block mb-2 text-lg font-semibold">
+            Visibility
+          </label>
+          <select
+            value={visibility}
+            onChange={(e) => setVisibility(e.target.value)}
+            disabled={isLoading}
+            className="w-full p-3 rounded bg-gray-700 text-white outline-none disabled:opacity-50"
+          >
+            <option value="public">Public (listed on the Join page)</option>
+            <option value="private">Private (room code only)</option>
+          </select>
+        </div>
+
+        {/* Password */}
+        <div className="mb-8">
+          <label className="block mb-2 text-lg font-semibold">
+            Password <span className="text-sm font-normal text-gray-400">(optional)</span>
+          </label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Leave empty for no password"
+            disabled={isLoading}
+            maxLength={64}
+            autoComplete="new-password"
+            className="w-full p-3 rounded bg-gray-700 text-white outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+          />
+        </div>
+
         {/* Create Button */}
         <button
           onClick={handleCreate}
@@ -1,24 +1,28 @@
 import { useState, useCallback } from "react";
-import { useLobbyStore, LOBBY_PHASES } from "../store/lobbyStore";
+import { useLobbyStore, LOBBY_PHASES, PLAYER_ROLES } from "../store/lobbyStore";
 import { useWebSocket } from "../hooks/useWebSocket";
+import { getWebSocketService } from "../services/WebSocketService";
 import BattlePage from "./BattlePage";
 import ResultsPage from "./ResultsPage";
 import PlayerList from "../components/PlayerList";
 import SongSelect from "../components/SongSelect";
+import DuetPartSelect from "../components/DuetPartSelect";
 import LobbyActions from "../components/LobbyActions";
+import MicCheck from "../components/MicCheck";
 
 /**
  * LobbyScreen: Main lobby view with WebSocket integration
  * 
- * Sends SET_READY, START_BATTLE, LEAVE_LOBBY messages via WebSocket.
+ * Sends SET_READY, START_BATTLE, SET_DUET_PART, SET_MIC_CHECK, LEAVE_LOBBY messages via WebSocket,
+ * and KICK_PLAYER, BAN_PLAYER, TRANSFER_HOST from the host's player list controls.
  * Phase transitions are driven by server PHASE_CHANGE messages.
+ * Spectators see the same lobby but without ready, duet part or mic controls.
  */
 
 function LobbyScreen() {
   const lobby = useLobbyStore((state) => state.lobby);
   const currentUserId = useLobbyStore((state) => state.currentUserId);
   const setSong = useLobbyStore((state) => state.setSong);
-  const endBattle = useLobbyStore((state) => state.endBattle);
 
   const { send, isConnected } = useWebSocket();
   const [showResults, setShowResults] = useState(false);
@@ -49,6 +53,46 @@ function LobbyScreen() {
     });
   }, [lobby.roomId, currentUserId, isConnected, send]);
 
+  // Handle duet part pick (duet songs only)
+  const handleSetDuetPart = useCallback((part) => {
+    if (!lobby.roomId || !currentUserId || !isConnected) return;
+
+    send({
+      type: 'SET_DUET_PART',
+      roomId: lobby.roomId,
+      userId: currentUserId,
+      part,
+    });
+  }, [lobby.roomId, currentUserId, isConnected, send]);
+
+  // Handle mic test result (host sees it in PlayerList)
+  const handleMicCheck = useCallback((status) => {
+    if (!lobby.roomId || !currentUserId || !isConnected) return;
+
+    send({
+      type: 'SET_MIC_CHECK',
+      roomId: lobby.roomId,
+      userId: currentUserId,
+      status,
+    });
+  }, [lobby.roomId, currentUserId, isConnected, send]);
+
+  // Host moderation (server re-checks that we are the host)
+  const sendModeration = useCallback((type, targetId) => {
+    if (!lobby.roomId || !currentUserId || !isConnected) return;
+
+    send({
+      type,
+      roomId: lobby.roomId,
+      userId: currentUserId,
+      targetId,
+    });
+  }, [lobby.roomId, currentUserId, isConnected, send]);
+
+  const handleKick = useCallback((targetId) => sendModeration('KICK_PLAYER', targetId), [sendModeration]);
+  const handleBan = useCallback((targetId) => sendModeration('BAN_PLAYER', targetId), [sendModeration]);
+  const handleTransferHost = useCallback((targetId) => sendModeration('TRANSFER_HOST', targetId), [sendModeration]);
+
   // Handle leave lobby
   const handleLeaveLobby = useCallback(() => {
     if (!lobby.roomId || !currentUserId || !isConnected) return;
@@ -59,11 +103,15 @@ function LobbyScreen() {
       userId: currentUserId,
     });
 
+    // Don't resume this seat on reconnect
+    getWebSocketService().setSession(null);
+
     // Clear local lobby state
     useLobbyStore.getState().setLobby({
       roomId: null,
       roomCode: null,
       name: null,
+      visibility: null,
       maxPlayers: 4,
       phase: LOBBY_PHASES.LOBBY,
       song: null,
@@ -82,7 +130,10 @@ function LobbyScreen() {
   }
 
   const isHost = lobby.hostId === currentUserId;
-  const allReady = lobby.players.length > 0 && lobby.players.every((p) => p.ready);
+  const currentPlayer = lobby.players.find((p) => p.id === currentUserId);
+  const isSpectator = currentPlayer?.role === PLAYER_ROLES.SPECTATOR;
+  const singers = lobby.players.filter((p) => p.role !== PLAYER_ROLES.SPECTATOR);
+  const allReady = singers.length > 0 && singers.every((p) => p.ready);
 
   // Handle song selection (host only)
   const handleSelectSong = useCallback((songId) => {
@@ -98,7 +149,7 @@ function LobbyScreen() {
 
   // Render BattlePage if phase is LOADING or IN_BATTLE
   if (lobby.phase === LOBBY_PHASES.LOADING || lobby.phase === LOBBY_PHASES.IN_BATTLE) {
-    return <BattlePage onEnd={(score) => endBattle({ score })} />;
+    return <BattlePage />;
   }
 
   // Render ResultsPage if phase is RESULTS or user opts to view it
@@ -106,14 +157,7 @@ function LobbyScreen() {
     return (
       <ResultsPage
         players={lobby.players}
-        onBack={() => {
-          setShowResults(false);
-          // Reset phase back to LOBBY
-          useLobbyStore.getState().setLobby({
-            ...lobby,
-            phase: LOBBY_PHASES.LOBBY,
-          });
-        }}
+        onBack={() => setShowResults(false)}
       />
     );
   }
@@ -128,26 +172,52 @@ function LobbyScreen() {
         <p className="text-center text-gray-400 mb-4">
           Room Code: <strong className="text-xl tracking-wider">{lobby.roomCode}</strong> | Players:{" "}
           <strong>
-            {lobby.players.length}/{lobby.maxPlayers}
+            {singers.length}/{lobby.maxPlayers}
           </strong>
+          {lobby.players.length > singers.length && (
+            <> | Spectators: <strong>{lobby.players.length - singers.length}</strong></>
+          )}
+          {lobby.visibility === "private" && (
+            <span className="ml-2 px-2 py-0.5 rounded bg-gray-700 text-sm">🔒 Private</span>
+          )}
           {!isConnected && <span className="ml-2 text-yellow-500">(Reconnecting...)</span>}
         </p>
 
         <div className="flex flex-1 gap-6">
-          <PlayerList players={lobby.players} hostId={lobby.hostId} />
+          <PlayerList
+            players={lobby.players}
+            hostId={lobby.hostId}
+            duetParts={lobby.song?.duetParts}
+            showMicCheck={isHost}
+            currentUserId={currentUserId}
+            {...(isHost && {
+              onKick: handleKick,
+              onBan: handleBan,
+              onTransferHost: handleTransferHost,
+            })}
+          />
           <div className="flex-1 bg-gray-700 rounded p-4 flex flex-col justify-between">
             <SongSelect
               selectedSong={lobby.song?.id || ""}
               onChange={handleSelectSong}
               isHost={isHost}
             />
+            {lobby.song?.duetParts && !isSpectator && (
+              <DuetPartSelect
+                parts={lobby.song.duetParts}
+                selectedPart={currentPlayer?.duetPart}
+                onChange={handleSetDuetPart}
+              />
+            )}
+            {!isSpectator && <MicCheck onStatusChange={handleMicCheck} />}
             <LobbyActions
               isHost={isHost}
               allReady={allReady}
               isConnected={isConnected}
+              isSpectator={isSpectator}
               onReadyToggle={handleReadyToggle}
               onStart={handleStartBattle}
-              currentUserReady={lobby.players.find((p) => p.id === currentUserId)?.ready}
+              currentUserReady={currentPlayer?.ready}
             />
 
             {/* Leave Lobby button */}
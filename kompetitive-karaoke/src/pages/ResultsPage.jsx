@@ -1,6 +1,8 @@
 import Podium from "../components/Podium";
 import Leaderboard from "../components/Leaderboard";
 import { useLobbyStore } from "../store/lobbyStore";
+import { useWebSocket } from "../hooks/useWebSocket";
+import { getSongTopScores, getPlayerBests } from "../services/ApiService";
 import { useEffect, useState } from "react";
 
 /**
@@ -11,7 +13,7 @@ import { useEffect, useState } from "react";
  * ============================================================================
  * Displays final battle results after all players finish singing.
  * Shows visual podium (top 3) and full leaderboard with metrics.
- * Coordinates with backend to persist results and update user stats.
+ * Shows the song's all-time records from the server's battle history.
  *
  * ============================================================================
  * CURRENT FLOW (MOCK):
@@ -31,10 +33,12 @@ import { useEffect, useState } from "react";
  * 2. Zustand updates battle state with authoritative scores
  * 3. ResultsPage mounts
  * 4. TODO: BACKEND #1 - Fetch final results (already in state)
- * 5. TODO: BACKEND #2 - Persist to leaderboard API
+ * 5. Server persists the battle itself; fetch song records
+ *    (GET /api/leaderboard/songs/:songId, GET /api/leaderboard/players/:playerId)
  * 6. TODO: BACKEND #3 - Update user stats (ELO, wins, etc.)
  * 7. TODO: BACKEND #4 - Award achievements/badges
- * 8. TODO: BACKEND #8 - Request reset for next battle
+ * 8. Host sends RETURN_TO_LOBBY (optionally rematch = same song);
+ *    server answers with PHASE_CHANGE LOBBY + LOBBY_SNAPSHOT for everyone
  *
  * ============================================================================
  * DATA STRUCTURE FROM SERVER:
@@ -92,13 +96,13 @@ import { useEffect, useState } from "react";
  * TODO: BACKEND INTEGRATION POINTS:
  * ============================================================================
  * #1 - Fetch BATTLE_RESULTS from server (already in Zustand)
- * #2 - Persist results to leaderboard (POST /api/leaderboard/battles)
+ * #2 - Persist results (done: server writes battle history on BATTLE_RESULTS)
  * #3 - Update user stats (POST /api/users/{id}/stats/update)
  * #4 - Award achievements (checks on server side)
  * #5 - Fetch global leaderboard (GET /api/leaderboard)
  * #6 - Handle disconnected players (display warning)
  * #7 - Offer battle replay (if replay data saved)
- * #8 - Reset for next battle (POST /api/lobbies/{id}/reset)
+ * #8 - Reset for next battle (done: RETURN_TO_LOBBY WebSocket message)
  *
  * ============================================================================
  */
@@ -111,7 +115,11 @@ export default function ResultsPage({ onBack }) {
   // Get players from Zustand - don't override with mock data
   const players = useLobbyStore((state) => state.lobby.players);
   const lobbyId = useLobbyStore((state) => state.lobby.roomId);
-  const roomCode = useLobbyStore((state) => state.lobby.roomCode);
+  const songId = useLobbyStore((state) => state.lobby.song?.id);
+  const endReason = useLobbyStore((state) => state.lobby.endReason);
+  const isHost = useLobbyStore((state) => state.lobby.hostId === state.currentUserId);
+  const currentUserId = useLobbyStore((state) => state.currentUserId);
+  const { send, isConnected } = useWebSocket();
 
   // TODO: BACKEND #1 - Replace mock sort with server results
   // After server sends BATTLE_RESULTS, these will be authoritative
@@ -120,43 +128,43 @@ export default function ResultsPage({ onBack }) {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [globalRank, setGlobalRank] = useState(null);
+  const [songRecords, setSongRecords] = useState([]);
+  const [personalBest, setPersonalBest] = useState(null);
 
   // =========================================================================
-  // PERSIST RESULTS & UPDATE STATS (On Mount)
+  // SONG RECORDS (On Mount)
   // =========================================================================
 
+  // Server already wrote this battle to its history when it sent BATTLE_RESULTS,
+  // so the records below include the round that just finished.
   useEffect(() => {
-    // TODO: BACKEND #2 - Persist this battle to leaderboard database
-    // POST /api/leaderboard/battles
-    const persistResults = async () => {
+    if (!songId) return;
+    let cancelled = false;
+
+    const fetchSongRecords = async () => {
       try {
         setIsLoading(true);
-        // const response = await fetch('/api/leaderboard/battles', {
-        //   method: 'POST',
-        //   headers: { 'Content-Type': 'application/json' },
-        //   body: JSON.stringify({
-        //     lobbyId: lobbyId,
-        //     roomCode: roomCode,
-        //     mode: 'ranked',
-        //     players: sortedPlayers.map((p, idx) => ({
-        //       userId: p.id,
-        //       finalScore: p.score,
-        //       accuracy: p.accuracy || 0,
-        //       combo: p.combo || 0,
-        //       position: idx + 1,
-        //       achievements: p.achievements || []
-        //     })),
-        //     timestamp: Date.now()
-        //   })
-        // });
-        // if (!response.ok) throw new Error('Failed to save results');
+        const [top, mine] = await Promise.all([
+          getSongTopScores(songId, 5),
+          currentUserId ? getPlayerBests(currentUserId) : null,
+        ]);
+        if (cancelled) return;
+        setSongRecords(top.scores);
+        setPersonalBest(mine?.bests.find((b) => b.songId === songId) || null);
       } catch (err) {
-        setError(err.message);
+        if (!cancelled) setError(err.message);
       } finally {
-        setIsLoading(false);
+        if (!cancelled) setIsLoading(false);
       }
     };
 
+    fetchSongRecords();
+    return () => {
+      cancelled = true;
+    };
+  }, [songId, currentUserId]);
+
+  useEffect(() => {
     // TODO: BACKEND #3 - Update user stats (ELO, wins, etc.)
     // POST /api/users/{userId}/stats/update
     const updateUserStats = async () => {
@@ -175,9 +183,8 @@ export default function ResultsPage({ onBack }) {
       }
     };
 
-    persistResults();
     updateUserStats();
-  }, [lobbyId, sortedPlayers, roomCode]);
+  }, [lobbyId]);
 
   // =========================================================================
   // FETCH GLOBAL RANK (On Mount)
@@ -203,23 +210,18 @@ export default function ResultsPage({ onBack }) {
   // HANDLE BACK TO LOBBY
   // =========================================================================
 
-  const handleBackToLobby = async () => {
-    // TODO: BACKEND #8 - Request server reset for next battle
-    // POST /api/lobbies/{lobbyId}/reset
-    try {
-      // await fetch(`/api/lobbies/${lobbyId}/reset`, {
-      //   method: 'POST'
-      // });
+  // Host only: server resets the room and moves everyone (PHASE_CHANGE LOBBY)
+  const handleBackToLobby = (rematch = false) => {
+    if (!isHost || !isConnected) return;
 
-      // Reset Zustand state using getState()
-      useLobbyStore.getState().resetToLobby();
+    send({
+      type: 'RETURN_TO_LOBBY',
+      roomId: lobbyId,
+      userId: currentUserId,
+      rematch,
+    });
 
-      // Navigate back to lobby
-      onBack();
-    } catch (err) {
-      setError('Failed to reset lobby. Refreshing...');
-      window.location.reload();
-    }
+    if (onBack) onBack();
   };
 
   // =========================================================================
@@ -228,11 +230,11 @@ export default function ResultsPage({ onBack }) {
 
   return (
     <div className="w-screen h-screen bg-gray-900 flex flex-col items-center justify-center p-6 text-white overflow-auto">
-      {/* Loading Spinner (Persisting Results) */}
+      {/* Loading Spinner (Fetching Song Records) */}
       {isLoading && (
         <div className="mb-8">
           <div className="spinner"></div>
-          <p className="text-gray-400 mt-2">Saving results...</p>
+          <p className="text-gray-400 mt-2">Loading records...</p>
         </div>
       )}
 
@@ -257,21 +259,67 @@ export default function ResultsPage({ onBack }) {
         </div>
       )}
 
+      {/* How the battle ended (server BATTLE_RESULTS.endReason) */}
+      {endReason && (
+        <p className="mb-4 text-gray-400">
+          {endReason === "timeout" ? "⏱️ Time's up!" : "🎤 Everyone finished!"}
+        </p>
+      )}
+
       {/* Podium: top 3 with medal animations */}
       <Podium players={sortedPlayers.slice(0, 3)} />
 
       {/* Full leaderboard with all metrics */}
       <Leaderboard players={sortedPlayers} />
 
+      {/* Song records from battle history (GET /api/leaderboard/songs/:songId) */}
+      {songRecords.length > 0 && (
+        <div className="mt-8 w-full max-w-md bg-gray-800 rounded p-4">
+          <h3 className="text-lg font-bold mb-2">🏆 Song Records</h3>
+          <ol className="space-y-1">
+            {songRecords.map((entry, index) => (
+              <li
+                key={`${entry.battleId}-${entry.playerId}`}
+                className={`flex justify-between ${index === 0 ? "text-yellow-400 font-bold" : "text-gray-300"}`}
+              >
+                <span>
+                  {index + 1}. {entry.playerName}
+                </span>
+                <span>{entry.score.toLocaleString()}</span>
+              </li>
+            ))}
+          </ol>
+          {personalBest && (
+            <p className="mt-3 text-sm text-gray-400">
+              Your best on this song: <strong className="text-white">{personalBest.score.toLocaleString()}</strong>
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Action Buttons */}
       <div className="mt-8 flex gap-4">
-        {/* Back Button */}
-        <button
-          onClick={handleBackToLobby}
-          className="bg-blue-600 hover:bg-blue-700 px-6 py-3 rounded font-bold transition"
-        >
-          Back to Lobby
-        </button>
+        {isHost ? (
+          <>
+            {/* Back Button */}
+            <button
+              onClick={() => handleBackToLobby(false)}
+              className="bg-blue-600 hover:bg-blue-700 px-6 py-3 rounded font-bold transition"
+            >
+              Back to Lobby
+            </button>
+
+            {/* Rematch: same song, skip song selection */}
+            <button
+              onClick={() => handleBackToLobby(true)}
+              className="bg-green-600 hover:bg-green-700 px-6 py-3 rounded font-bold transition"
+            >
+              Rematch
+            </button>
+          </>
+        ) : (
+          <p className="text-gray-400">Waiting for the host to start the next round...</p>
+        )}
 
         {/* TODO: BACKEND #7 - Watch Replay (future) */}
         {/* <button
@@ -281,13 +329,6 @@ export default function ResultsPage({ onBack }) {
           Watch Replay
         </button> */}
 
-        {/* TODO: BACKEND - Queue Next Battle (optional) */}
-        {/* <button
-          onClick={handleQueueNext}
-          className="bg-green-600 hover:bg-green-700 px-6 py-3 rounded font-bold transition"
-        >
-          Next Battle
-        </button> */}
       </div>
 
       {/* Achievement Badges (Future) */}
@@ -2,16 +2,33 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useLobbyStore } from '../store/lobbyStore';
 import { useWebSocket } from '../hooks/useWebSocket';
+import { useLobbyList } from '../hooks/useLobbyList';
+import LobbyCard from '../components/LobbyCard';
 
 /**
- * JoinTeams: UI for joining existing lobbies via room code
+ * JoinTeams: UI for joining existing lobbies via room code or the lobby browser
  * 
- * With backend: Users enter a 6-char room code to join.
- * Lobby list browsing is disabled (would require additional API).
+ * With backend: Users enter a 6-char room code to join (any lobby, incl. private),
+ * or pick a public lobby from the list (GET /api/lobbies + live LOBBY_LIST updates).
+ * "Join as spectator" watches the battle without taking a seat (works in full lobbies).
+ * Password-protected rooms (🔒) need the room password; a wrong one comes back as
+ * PERMISSION_DENIED and highlights the password field.
  */
 
+const ROOM_CODE_LENGTH = 6;
+
+// Room codes never use look-alikes 0/O or 1/I (see generateRoomCode on the server)
+const INVALID_CODE_CHARS = /[01OI]/;
+
+// Uppercase and drop spaces/dashes people type or paste ("abc-def " → "ABCDEF")
+function normalizeRoomCode(input) {
+  return input.toUpperCase().replace(/[\s-]/g, '').slice(0, ROOM_CODE_LENGTH);
+}
+
 export default function JoinTeams() {
   const [roomCodeInput, setRoomCodeInput] = useState('');
+  const [asSpectator, setAsSpectator] = useState(false);
+  const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const navigate = useNavigate();
@@ -21,6 +38,10 @@ export default function JoinTeams() {
   const lobby = useLobbyStore((state) => state.lobby);
 
   const { send, isConnected, error: wsError } = useWebSocket();
+  const publicLobbies = useLobbyList();
+
+  // Server rejected the password (or it was missing) on the last attempt
+  const passwordRejected = Boolean(error) && wsError?.code === 'PERMISSION_DENIED';
 
   // Navigate to lobby when we receive lobby data
   useEffect(() => {
@@ -45,16 +66,21 @@ export default function JoinTeams() {
       return;
     }
 
-    if (!roomCodeInput.trim()) {
+    if (!roomCodeInput) {
       setError('Please enter a room code');
       return;
     }
 
-    if (roomCodeInput.trim().length !== 6) {
+    if (roomCodeInput.length !== ROOM_CODE_LENGTH) {
       setError('Room code must be 6 characters');
       return;
     }
 
+    if (INVALID_CODE_CHARS.test(roomCodeInput)) {
+      setError('Room codes never contain 0, O, 1 or I. Check the code with your host.');
+      return;
+    }
+
     if (!isConnected) {
       setError('Not connected to server. Please wait...');
       return;
@@ -66,9 +92,11 @@ export default function JoinTeams() {
     // Send JOIN_BY_CODE message via WebSocket
     const success = send({
       type: 'JOIN_BY_CODE',
-      roomCode: roomCodeInput.trim().toUpperCase(),
+      roomCode: roomCodeInput,
       userId: currentUserId,
       userName: currentUserName,
+      spectator: asSpectator,
+      password: password || undefined,
     });
 
     if (!success) {
@@ -77,7 +105,37 @@ export default function JoinTeams() {
     }
 
     // Response handled by useWebSocket hook
-  }, [roomCodeInput, currentUserId, currentUserName, isConnected, send]);
+  }, [roomCodeInput, asSpectator, password, currentUserId, currentUserName, isConnected, send]);
+
+  // Handle joining a lobby picked from the public list
+  const handleJoinListed = useCallback((listedLobby) => {
+    if (!currentUserId || !currentUserName) {
+      setError('Please set a username first!');
+      return;
+    }
+
+    if (listedLobby.hasPassword && !password) {
+      setError('This room needs a password. Enter it above.');
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    const success = send({
+      type: 'JOIN_LOBBY',
+      roomId: listedLobby.roomId,
+      userId: currentUserId,
+      userName: currentUserName,
+      spectator: asSpectator,
+      password: password || undefined,
+    });
+
+    if (!success) {
+      setError('Failed to send message. Please try again.');
+      setIsLoading(false);
+    }
+  }, [asSpectator, password, currentUserId, currentUserName, send]);
 
   return (
     <div className="h-7/10 bg-gray-800 rounded-lg mr-10 ml-10 p-5 flex flex-col items-center text-3xl font-bold">
@@ -108,10 +166,9 @@ export default function JoinTeams() {
             id="roomCode"
             type="text"
             value={roomCodeInput}
-            onChange={(e) => setRoomCodeInput(e.target.value.toUpperCase())}
-            placeholder="e.g., ABC123"
+            onChange={(e) => setRoomCodeInput(normalizeRoomCode(e.target.value))}
+            placeholder="e.g., K7QX2M"
             disabled={isLoading}
-            maxLength={6}
             className="w-full p-3 rounded bg-gray-700 text-white outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 uppercase text-center text-2xl tracking-widest"
           />
           <p className="mt-2 text-sm text-gray-400 text-center">
@@ -119,16 +176,70 @@ export default function JoinTeams() {
           </p>
         </div>
 
+        {/* Room password (only for protected rooms) */}
+        <div className="mb-6">
+          <label htmlFor="roomPassword" className="block mb-2 text-lg font-semibold">
+            Room Password <span className="text-sm font-normal text-gray-400">(if the room has one)</span>
+          </label>
+          <input
+            id="roomPassword"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            disabled={isLoading}
+            maxLength={64}
+            autoComplete="off"
+            className={`w-full p-3 rounded bg-gray-700 text-white outline-none focus:ring-2 disabled:opacity-50 ${
+              passwordRejected ? 'ring-2 ring-red-500 focus:ring-red-500' : 'focus:ring-blue-500'
+            }`}
+          />
+        </div>
+
+        {/* Spectator toggle */}
+        <label className="mb-6 flex items-center justify-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={asSpectator}
+            onChange={(e) => setAsSpectator(e.target.checked)}
+            disabled={isLoading}
+            className="w-4 h-4"
+          />
+          <span>Join as spectator (watch only, no singing)</span>
+        </label>
+
         {/* Join Button */}
         <button
           onClick={handleJoinByCode}
-          disabled={isLoading || !roomCodeInput.trim() || !isConnected}
+          disabled={isLoading || !roomCodeInput || !isConnected}
           className="w-full bg-blue-600 hover:bg-blue-500 text-white p-3 rounded font-bold transition disabled:opacity-50 disabled:cursor-not-allowed"
         >
-          {isLoading ? 'Joining...' : 'Join Room'}
+          {isLoading ? 'Joining...' : asSpectator ? 'Watch Room' : 'Join Room'}
         </button>
 
       </div>
+
+      {/* Public lobby browser */}
+      <div className="w-full mt-8 text-white text-base font-normal flex-1 min-h-0 flex flex-col">
+        <h2 className="text-xl font-semibold mb-3 text-center">Public Rooms</h2>
+        {publicLobbies.length === 0 ? (
+          <p className="text-gray-400 text-center">No public rooms right now. Create one!</p>
+        ) : (
+          <div className="flex flex-wrap justify-center gap-4 overflow-y-auto">
+            {publicLobbies.map((listed) => (
+              <LobbyCard
+                key={listed.roomId}
+                lobby={listed}
+                onJoin={handleJoinListed}
+                disabled={
+                  isLoading ||
+                  !isConnected ||
+                  (!asSpectator && listed.playerCount >= listed.maxPlayers)
+                }
+              />
+            ))}
+          </div>
+        )}
+      </div>
     </div>
   );
 }
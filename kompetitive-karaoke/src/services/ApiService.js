@@ -0,0 +1,101 @@
+/**
+ * REST API Service
+ *
+ * Thin fetch wrappers for the backend HTTP endpoints
+ * (everything that is not real-time goes here instead of the WebSocket).
+ */
+
+export const API_BASE_URL = 'http://localhost:3000';
+
+/**
+ * GET a JSON endpoint
+ * @param {string} path - e.g. "/api/leaderboard/battles"
+ * @param {Object} [params] - Query params (undefined/null/"" values are skipped)
+ * @returns {Promise<any>} Parsed JSON body
+ */
+export async function getJson(path, params = {}) {
+    const url = new URL(path, API_BASE_URL);
+    for (const [key, value] of Object.entries(params)) {
+        if (value !== undefined && value !== null && value !== '') {
+            url.searchParams.set(key, value);
+        }
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+}
+
+/**
+ * Resolve a server path (e.g. "/songs/cover.jpg") to a full URL;
+ * absolute URLs pass through
+ */
+export function resolveUrl(pathOrUrl) {
+    if (!pathOrUrl) return null;
+    return new URL(pathOrUrl, API_BASE_URL).toString();
+}
+
+// ============================================================================
+// LOBBY BROWSER
+// ============================================================================
+
+/**
+ * Public lobbies (live updates come over WebSocket as LOBBY_LIST)
+ * @returns {Promise<Object[]>} { roomId, roomCode, name, hostName, hasPassword, phase, playerCount, spectatorCount, maxPlayers, song }
+ */
+export function getLobbies() {
+    return getJson('/api/lobbies');
+}
+
+// ============================================================================
+// SONG CATALOG
+// ============================================================================
+
+/**
+ * Search the song catalog
+ * @param {Object} [query] - { q, artist, genre, language, year, duet, limit, offset }
+ * @returns {Promise<{ total, limit, offset, songs: Object[], filters: { genres, languages } }>}
+ */
+export function getSongs(query = {}) {
+    return getJson('/api/songs', query);
+}
+
+/**
+ * One catalog entry (same fields as getSongs().songs[])
+ * @returns {Promise<Object>}
+ */
+export function getSong(songId) {
+    return getJson(`/api/songs/${encodeURIComponent(songId)}`);
+}
+
+// ============================================================================
+// LEADERBOARD / BATTLE HISTORY
+// ============================================================================
+
+/**
+ * Past battles, newest first
+ * @returns {Promise<{ total: number, battles: Object[] }>}
+ */
+export function getBattleHistory({ songId, playerId, limit, offset } = {}) {
+    return getJson('/api/leaderboard/battles', { songId, playerId, limit, offset });
+}
+
+/**
+ * Highest scores on a song (scores[0] holds the record)
+ * @returns {Promise<{ songId: string, scores: Object[] }>}
+ */
+export function getSongTopScores(songId, limit = 10) {
+    return getJson(`/api/leaderboard/songs/${encodeURIComponent(songId)}`, { limit });
+}
+
+/**
+ * A player's best score on every song they have sung
+ * @returns {Promise<{ playerId: string, bests: Object[] }>}
+ */
+export function getPlayerBests(playerId) {
+    return getJson(`/api/leaderboard/players/${encodeURIComponent(playerId)}`);
+}
+
+export default { getJson, resolveUrl, getLobbies, getSongs, getSong, getBattleHistory, getSongTopScores, getPlayerBests };
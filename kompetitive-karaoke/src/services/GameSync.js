@@ -25,6 +25,23 @@ export function initializeGameSync() {
 
     console.log('[GameSync] Initializing synchronization layer...');
 
+    // Drop out of the current lobby locally (and don't resume it on reconnect)
+    const clearLobby = () => {
+        service.setSession(null);
+        useLobbyStore.getState().setLobby({
+            roomId: null,
+            roomCode: null,
+            name: null,
+            visibility: null,
+            maxPlayers: 4,
+            phase: LOBBY_PHASES.LOBBY,
+            song: null,
+            players: [],
+            hostId: null,
+            battleStartTime: null,
+        });
+    };
+
     // ========================================================================
     // EVENT HANDLERS
     // ========================================================================
@@ -35,16 +52,33 @@ export function initializeGameSync() {
             roomId: message.roomId,
             roomCode: message.roomCode,
             name: message.roomName,
+            visibility: message.visibility,
             maxPlayers: message.maxPlayers,
             phase: message.phase,
             hostId: message.hostId,
             players: message.players || [],
             song: message.song || null,
             availableSongs: message.availableSongs || [],
+            loadingDeadline: message.loadingDeadline || null,
+            // Snapshots don't repeat LOADING_TIMEOUT; keep it while still loading
+            loadingWaitingFor: message.phase === LOBBY_PHASES.LOADING
+                ? useLobbyStore.getState().lobby.loadingWaitingFor ?? null
+                : null,
+            // Same for BATTLE_RESULTS' endReason while the results are up
+            endReason: message.phase === LOBBY_PHASES.RESULTS
+                ? useLobbyStore.getState().lobby.endReason ?? null
+                : null,
             battleStartTime: message.battleStartTime || null,
+            pausedAt: message.pausedAt || null,
+            resumeAt: message.resumeAt || null,
         });
     };
 
+    // Only our own socket gets this: it's what lets us reclaim the seat after a drop
+    const handleSessionToken = (message) => {
+        service.setSession({ roomId: message.roomId, userId: message.userId, resumeToken: message.resumeToken });
+    };
+
     const handlePlayerJoined = (message) => {
         console.log('[GameSync] PLAYER_JOINED:', message);
         useLobbyStore.getState().addPlayer(message.player);
@@ -52,9 +86,39 @@ export function initializeGameSync() {
 
     const handlePlayerLeft = (message) => {
         console.log('[GameSync] PLAYER_LEFT:', message);
+
+        // The host removed us
+        if (message.reason === 'kicked' && message.playerId === useLobbyStore.getState().currentUserId) {
+            clearLobby();
+            useLobbyStore.getState().setConnectionError({ code: 'KICKED', message: 'You were removed from the lobby by the host' });
+            return;
+        }
+
+        // The server stopped hearing our audio mid-battle
+        if (message.reason === 'idle' && message.playerId === useLobbyStore.getState().currentUserId) {
+            clearLobby();
+            useLobbyStore.getState().setConnectionError({ code: 'IDLE_REMOVED', message: 'You were removed from the battle: no audio was received from your microphone' });
+            return;
+        }
+
         useLobbyStore.getState().removePlayer(message.playerId);
     };
 
+    const handleLobbyClosed = (message) => {
+        console.log('[GameSync] LOBBY_CLOSED:', message);
+        clearLobby();
+        useLobbyStore.getState().setConnectionError({ code: 'LOBBY_CLOSED', message: 'The lobby was closed after being inactive' });
+    };
+
+    const handleHostChanged = (message) => {
+        console.log('[GameSync] HOST_CHANGED:', message);
+        useLobbyStore.getState().setHost(message.hostId);
+    };
+
+    const handleLobbyList = (message) => {
+        useLobbyStore.getState().setPublicLobbies(message.lobbies || []);
+    };
+
     const handlePlayerReadyUpdate = (message) => {
         console.log('[GameSync] PLAYER_READY_UPDATE:', message);
         useLobbyStore.getState().setReady(message.playerId, message.isReady);
@@ -65,16 +129,22 @@ export function initializeGameSync() {
         const store = useLobbyStore.getState();
 
         if (message.newPhase === LOBBY_PHASES.LOADING) {
+            const lobby = useLobbyStore.getState().lobby;
             useLobbyStore.getState().setLobby({
-                ...useLobbyStore.getState().lobby,
+                ...lobby,
                 phase: LOBBY_PHASES.LOADING,
-                song: message.song || useLobbyStore.getState().lobby.song
+                song: message.song || lobby.song,
+                loadingDeadline: message.loadingDeadline || null,
+                loadingWaitingFor: null,
+                players: lobby.players.map((p) => ({ ...p, isLoaded: false, loadProgress: 0, sittingOut: false })),
             });
         } else if (message.newPhase === LOBBY_PHASES.IN_BATTLE) {
             useLobbyStore.getState().setLobby({
                 ...useLobbyStore.getState().lobby,
                 phase: LOBBY_PHASES.IN_BATTLE,
                 battleStartTime: message.battleStartTime || useLobbyStore.getState().lobby.battleStartTime,
+                pausedAt: null,
+                resumeAt: null,
                 song: message.song || useLobbyStore.getState().lobby.song
             });
         } else if (message.newPhase === LOBBY_PHASES.RESULTS) {
@@ -84,6 +154,25 @@ export function initializeGameSync() {
         }
     };
 
+    const handlePlayerLoadingProgress = (message) => {
+        useLobbyStore.getState().setLoadProgress(message.playerId, message.progress, message.loaded);
+    };
+
+    const handleLoadingTimeout = (message) => {
+        console.log('[GameSync] LOADING_TIMEOUT:', message);
+        useLobbyStore.getState().setLoadingTimeout(message.waitingFor || []);
+    };
+
+    const handleBattlePaused = (message) => {
+        console.log('[GameSync] BATTLE_PAUSED:', message);
+        useLobbyStore.getState().setBattlePaused(message.pausedAt);
+    };
+
+    const handleBattleResumed = (message) => {
+        console.log('[GameSync] BATTLE_RESUMED:', message);
+        useLobbyStore.getState().setBattleResumed(message.battleStartTime, message.resumeAt);
+    };
+
     const handlePlayerScoreUpdate = (message) => {
         console.log('[GameSync] SCORE_UPDATE:', message.playerId, message.newScore);
         useLobbyStore.getState().updateScore(message.playerId, message.newScore, message.combo, message.accuracy);
@@ -92,12 +181,18 @@ export function initializeGameSync() {
     const handleBattleResults = (message) => {
         console.log('[GameSync] BATTLE_RESULTS:', message);
         const store = useLobbyStore.getState();
-        store.setResults(message.players);
+        store.setResults(message.players, message.endReason);
         store.endBattle(); // Ensure we transition to results
     };
 
     const handleError = (message) => {
         console.error('[GameSync] Server error:', message);
+
+        // Our seat expired while disconnected: drop back out of the lobby
+        if (message.code === 'RESUME_FAILED') {
+            clearLobby();
+        }
+
         useLobbyStore.getState().setConnectionError({ code: message.code, message: message.message });
     };
 
@@ -116,6 +211,10 @@ export function initializeGameSync() {
         useLobbyStore.getState().setConnectionState('disconnected');
     });
 
+    const cleanupClockSync = service.onClockSync(({ offset, roundTripTime }) => {
+        useLobbyStore.getState().setClockSync(offset, roundTripTime);
+    });
+
     const cleanupError = service.onError((err) => {
         console.error('[GameSync] Connection Error:', err);
         useLobbyStore.getState().setConnectionError({
@@ -128,13 +227,21 @@ export function initializeGameSync() {
     // REGISTER LISTENERS
     // ========================================================================
 
+    service.on('SESSION_TOKEN', handleSessionToken);
     service.on('LOBBY_SNAPSHOT', handleLobbySnapshot);
     service.on('PLAYER_JOINED', handlePlayerJoined);
     service.on('PLAYER_LEFT', handlePlayerLeft);
     service.on('PLAYER_READY_UPDATE', handlePlayerReadyUpdate);
+    service.on('HOST_CHANGED', handleHostChanged);
+    service.on('LOBBY_CLOSED', handleLobbyClosed);
     service.on('PHASE_CHANGE', handlePhaseChange);
+    service.on('PLAYER_LOADING_PROGRESS', handlePlayerLoadingProgress);
+    service.on('LOADING_TIMEOUT', handleLoadingTimeout);
+    service.on('BATTLE_PAUSED', handleBattlePaused);
+    service.on('BATTLE_RESUMED', handleBattleResumed);
     service.on('PLAYER_SCORE_UPDATE', handlePlayerScoreUpdate);
     service.on('BATTLE_RESULTS', handleBattleResults);
+    service.on('LOBBY_LIST', handleLobbyList);
     service.on('ERROR', handleError);
 
     // Initial connection attempt
@@ -149,18 +256,27 @@ export function initializeGameSync() {
 
     // Return cleanup function (unlikely to be used in App, but good practice)
     return () => {
+        service.off('SESSION_TOKEN', handleSessionToken);
         service.off('LOBBY_SNAPSHOT', handleLobbySnapshot);
         service.off('PLAYER_JOINED', handlePlayerJoined);
         service.off('PLAYER_LEFT', handlePlayerLeft);
         service.off('PLAYER_READY_UPDATE', handlePlayerReadyUpdate);
+        service.off('HOST_CHANGED', handleHostChanged);
+        service.off('LOBBY_CLOSED', handleLobbyClosed);
         service.off('PHASE_CHANGE', handlePhaseChange);
+        service.off('PLAYER_LOADING_PROGRESS', handlePlayerLoadingProgress);
+        service.off('LOADING_TIMEOUT', handleLoadingTimeout);
+        service.off('BATTLE_PAUSED', handleBattlePaused);
+        service.off('BATTLE_RESUMED', handleBattleResumed);
         service.off('PLAYER_SCORE_UPDATE', handlePlayerScoreUpdate);
         service.off('BATTLE_RESULTS', handleBattleResults);
+        service.off('LOBBY_LIST', handleLobbyList);
         service.off('ERROR', handleError);
 
         cleanupConnect();
         cleanupDisconnect();
         cleanupError();
+        cleanupClockSync();
         isInitialized = false;
     };
 }
@@ -3,6 +3,14 @@
  * 
  * Real WebSocket connection to backend server.
  * Handles connection lifecycle, message parsing, and reconnection.
+ *
+ * CLOCK SYNC:
+ *   NTP-style TIME_SYNC probes estimate the offset between this machine's
+ *   clock and the server's (a burst on connect, then one probe periodically).
+ *   For each reply: rtt = (t3 - t0) - (t2 - t1), offset = ((t1 - t0) + (t2 - t3)) / 2
+ *   where t0/t3 are client send/receive and t1/t2 server receive/send times.
+ *   The sample with the lowest round trip wins (least queueing noise).
+ *   Use getServerTime() wherever server timestamps (battleStartTime) are compared.
  */
 
 const WS_URL = 'ws://127.0.0.1:3000';
@@ -12,9 +20,15 @@ const RECONNECT_BASE_DELAY = 1000;
 const RECONNECT_MAX_DELAY = 30000;
 const RECONNECT_MAX_ATTEMPTS = 10;
 
+// Clock sync settings
+const TIME_SYNC_BURST = 5;              // probes sent right after connecting
+const TIME_SYNC_BURST_SPACING = 150;    // ms between burst probes
+const TIME_SYNC_INTERVAL = 30000;       // ms between periodic probes (drift)
+const TIME_SYNC_MAX_SAMPLES = 8;        // most recent samples kept
+
 /**
  * Create a WebSocket service instance
- * @returns {Object} WebSocket service with connect, disconnect, send, on, off methods
+ * @returns {Object} WebSocket service with connect, disconnect, send, sendBinary, on, off methods
  */
 export function createWebSocketService() {
     let ws = null;
@@ -22,6 +36,15 @@ export function createWebSocketService() {
     let reconnectTimeout = null;
     let isIntentionalClose = false;
 
+    // Lobby seat to resume after a dropped connection ({ roomId, userId, resumeToken })
+    let session = null;
+
+    // Clock sync state (offset = serverTime - clientTime, in ms)
+    let clockSamples = [];
+    let clockOffset = 0;
+    let roundTripTime = null;
+    let timeSyncTimers = [];
+
     // Event handlers by message type
     const handlers = new Map();
 
@@ -29,6 +52,7 @@ export function createWebSocketService() {
     const onConnectCallbacks = new Set();
     const onDisconnectCallbacks = new Set();
     const onErrorCallbacks = new Set();
+    const onClockSyncCallbacks = new Set();
 
     /**
      * Register a handler for a specific message type
@@ -72,6 +96,11 @@ export function createWebSocketService() {
         return () => onErrorCallbacks.delete(callback);
     }
 
+    function onClockSync(callback) {
+        onClockSyncCallbacks.add(callback);
+        return () => onClockSyncCallbacks.delete(callback);
+    }
+
     /**
      * Dispatch a message to registered handlers
      */
@@ -101,6 +130,78 @@ export function createWebSocketService() {
         }
     }
 
+    /**
+     * Remember (or forget, with null) the lobby seat to resume on reconnect
+     */
+    function setSession(newSession) {
+        session = newSession;
+    }
+
+    // ========================================================================
+    // CLOCK SYNC
+    // ========================================================================
+
+    /**
+     * Send one TIME_SYNC probe (the server echoes clientSendTime back)
+     */
+    function sendTimeSync() {
+        if (!ws || ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify({ type: 'TIME_SYNC', clientSendTime: Date.now() }));
+    }
+
+    function startTimeSync() {
+        stopTimeSync();
+        clockSamples = [];
+        for (let i = 0; i < TIME_SYNC_BURST; i++) {
+            timeSyncTimers.push(setTimeout(sendTimeSync, i * TIME_SYNC_BURST_SPACING));
+        }
+        timeSyncTimers.push(setInterval(sendTimeSync, TIME_SYNC_INTERVAL));
+    }
+
+    function stopTimeSync() {
+        // clearTimeout also clears intervals
+        timeSyncTimers.forEach(timer => clearTimeout(timer));
+        timeSyncTimers = [];
+    }
+
+    /**
+     * Turn a TIME_SYNC_REPLY into an offset/rtt sample and update the estimate
+     */
+    function handleTimeSyncReply(message) {
+        const clientReceiveTime = Date.now();
+        const { clientSendTime, serverReceiveTime, serverSendTime } = message;
+
+        const rtt = (clientReceiveTime - clientSendTime) - (serverSendTime - serverReceiveTime);
+        const offset = ((serverReceiveTime - clientSendTime) + (serverSendTime - clientReceiveTime)) / 2;
+
+        clockSamples.push({ offset, rtt });
+        if (clockSamples.length > TIME_SYNC_MAX_SAMPLES) {
+            clockSamples.shift();
+        }
+
+        const best = clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        clockOffset = best.offset;
+        roundTripTime = best.rtt;
+
+        onClockSyncCallbacks.forEach(cb => {
+            try { cb({ offset: clockOffset, roundTripTime }); } catch (e) { console.error(e); }
+        });
+    }
+
+    /**
+     * Current time on the server's clock (unix ms)
+     */
+    function getServerTime() {
+        return Date.now() + clockOffset;
+    }
+
+    /**
+     * Latest clock estimate: { offset, roundTripTime } (roundTripTime null until first reply)
+     */
+    function getClockSync() {
+        return { offset: clockOffset, roundTripTime };
+    }
+
     /**
      * Calculate reconnection delay with exponential backoff
      */
@@ -158,6 +259,20 @@ export function createWebSocketService() {
             ws.onopen = () => {
                 console.log('[WS] Connected to', WS_URL);
                 reconnectAttempts = 0;
+
+                // Rebind to our lobby seat; server answers with a fresh LOBBY_SNAPSHOT
+                if (session) {
+                    console.log('[WS] Resuming session in room', session.roomId);
+                    ws.send(JSON.stringify({
+                        type: 'RESUME_SESSION',
+                        roomId: session.roomId,
+                        userId: session.userId,
+                        resumeToken: session.resumeToken,
+                    }));
+                }
+
+                startTimeSync();
+
                 onConnectCallbacks.forEach(cb => {
                     try { cb(); } catch (e) { console.error(e); }
                 });
@@ -166,6 +281,7 @@ export function createWebSocketService() {
 
             ws.onclose = (event) => {
                 console.log('[WS] Disconnected:', event.code, event.reason);
+                stopTimeSync();
                 onDisconnectCallbacks.forEach(cb => {
                     try { cb(event); } catch (e) { console.error(e); }
                 });
@@ -186,6 +302,10 @@ export function createWebSocketService() {
             ws.onmessage = (event) => {
                 try {
                     const message = JSON.parse(event.data);
+                    if (message.type === 'TIME_SYNC_REPLY') {
+                        handleTimeSyncReply(message);
+                        return;
+                    }
                     dispatch(message);
                 } catch (err) {
                     console.error('[WS] Failed to parse message:', err);
@@ -206,6 +326,7 @@ export function createWebSocketService() {
      */
     function disconnect() {
         isIntentionalClose = true;
+        stopTimeSync();
 
         if (reconnectTimeout) {
             clearTimeout(reconnectTimeout);
@@ -236,6 +357,23 @@ export function createWebSocketService() {
         }
     }
 
+    /**
+     * Send a binary frame (ArrayBuffer) to the server, e.g. audio frames
+     */
+    function sendBinary(data) {
+        if (!ws || ws.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+
+        try {
+            ws.send(data);
+            return true;
+        } catch (err) {
+            console.error('[WS] Binary send error:', err);
+            return false;
+        }
+    }
+
     /**
      * Check if connected
      */
@@ -247,11 +385,16 @@ export function createWebSocketService() {
         connect,
         disconnect,
         send,
+        sendBinary,
+        setSession,
+        getServerTime,
+        getClockSync,
         on,
         off,
         onConnect,
         onDisconnect,
         onError,
+        onClockSync,
         isConnected,
     };
 }
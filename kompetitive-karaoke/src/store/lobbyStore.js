@@ -12,6 +12,16 @@ export const LOBBY_PHASES = {
   RESULTS: "RESULTS",       // Battle ended, showing results/podium
 };
 
+/**
+ * ROLE CONSTANTS
+ * Singers take a seat (maxPlayers), ready up and are scored.
+ * Spectators only watch: no seat, no ready check, no audio.
+ */
+export const PLAYER_ROLES = {
+  SINGER: "singer",
+  SPECTATOR: "spectator",
+};
+
 export const useLobbyStore = create((set, get) => ({
   // ============================================================================
   // LOBBY STATE
@@ -35,8 +45,9 @@ export const useLobbyStore = create((set, get) => ({
   // BATTLE TIMING:
   //   - battleStartTime: unix ms when battle started (from server)
   //   - Used by client to calculate lyric progression
-  //   - Do NOT use Date.now() for lyric timing
-  //   - Calculate elapsed: (Date.now() - battleStartTime)
+  //   - battleStartTime is on the SERVER clock: compare it with getServerTime(),
+  //     never the local Date.now() (machines' clocks can be seconds apart)
+  //   - Calculate elapsed: (getServerTime() - battleStartTime)
   //   - Calculate currentLine: Math.floor(elapsed / lineDurationMs)
   //
   // MUTATION RULES:
@@ -49,13 +60,19 @@ export const useLobbyStore = create((set, get) => ({
     roomId: null,                           // SERVER-OWNED
     roomCode: null,                         // SERVER-OWNED
     name: null,                             // SERVER-OWNED
-    maxPlayers: 4,                          // SERVER-OWNED
+    visibility: null,                       // SERVER-OWNED - "public" (listed in lobby browser) | "private"
+    maxPlayers: 4,                          // SERVER-OWNED (singer seats; spectators don't count)
     phase: LOBBY_PHASES.LOBBY,              // SERVER-OWNED (controls UI state)
-    song: null,                             // SHARED { songId, title, fileUrl, durationMs, difficulty, lyrics, lineDurations, lineTimings }
-    players: [],                            // SERVER-OWNED { id, name, ready, score, combo, accuracy, finished, isHost }
+    song: null,                             // SHARED { songId, title, fileUrl, durationMs, difficulty, lyrics, lineDurations, lineTimings, notes[{ pitch, start, duration, lyric, type }] }
+    players: [],                            // SERVER-OWNED { id, name, ready, score, combo, accuracy, finished, isHost, role, isLoaded, loadProgress, sittingOut }
     hostId: null,                           // SERVER-OWNED (who can start battle)
     battleStartTime: null,                  // SERVER-OWNED - unix ms from PHASE_CHANGE message (for lyric sync)
+    loadingDeadline: null,                  // SERVER-OWNED - unix ms; LOADING past this lets the host force-start/abort
+    loadingWaitingFor: null,                // SERVER-OWNED - playerIds from LOADING_TIMEOUT (null until the deadline passes)
+    pausedAt: null,                         // SERVER-OWNED - unix ms the host paused the battle (null while running)
+    resumeAt: null,                         // SERVER-OWNED - unix ms playback continues after the last pause
     availableSongs: [],                     // SERVER-OWNED - list of available songs from server
+    endReason: null,                        // SERVER-OWNED - "finish" | "timeout" from BATTLE_RESULTS
   },
 
   // Helper to set battle start time (triggered by PHASE_CHANGE message)
@@ -75,6 +92,24 @@ export const useLobbyStore = create((set, get) => ({
   setConnectionState: (status) => set({ connectionState: status }),
   setConnectionError: (error) => set({ connectionError: error }),
 
+  // ============================================================================
+  // LOBBY BROWSER (from GET /api/lobbies, then LOBBY_LIST while subscribed)
+  // ============================================================================
+  publicLobbies: [],                        // { roomId, roomCode, name, hostName, hasPassword, phase, playerCount, spectatorCount, maxPlayers, song }
+
+  setPublicLobbies: (publicLobbies) => set({ publicLobbies }),
+
+  // ============================================================================
+  // CLOCK SYNC (Client-Only, from TIME_SYNC exchanges in WebSocketService)
+  // ============================================================================
+  clockOffset: 0,                           // ms to add to Date.now() to get server time
+  roundTripTime: null,                      // ms, null until the first TIME_SYNC reply
+
+  setClockSync: (clockOffset, roundTripTime) => set({ clockOffset, roundTripTime }),
+
+  // Current unix ms on the server's clock (use for anything compared to battleStartTime)
+  getServerTime: () => Date.now() + get().clockOffset,
+
   // ============================================================================
   // CLIENT-ONLY STATE (never synced to server)
   // ============================================================================
@@ -164,6 +199,20 @@ export const useLobbyStore = create((set, get) => ({
       },
     })),
 
+  /**
+   * setHost: Move the host role to another player
+   * AUTHORITY: Server (host sends TRANSFER_HOST, or the host left)
+   * Triggered by "HOST_CHANGED" server message
+   */
+  setHost: (hostId) =>
+    set((state) => ({
+      lobby: {
+        ...state.lobby,
+        hostId,
+        players: state.lobby.players.map((p) => ({ ...p, isHost: p.id === hostId })),
+      },
+    })),
+
   /**
    * setSong: Set the battle song for this lobby
    * AUTHORITY: Server (host selects, server validates and broadcasts)
@@ -195,13 +244,13 @@ export const useLobbyStore = create((set, get) => ({
    *   7. BattlePage mounts, audio capture starts
    * 
    * TIMING SYNCHRONIZATION:
-   *   - Use server's startTime, NOT Date.now()
+   *   - Use server's startTime, compared with getServerTime() (NOT Date.now())
    *   - All clients show same lyric at same moment
    *   - Audio chunks timestamped relative to startTime
    * 
    * LYRIC PROGRESSION:
    *   - Song config includes lineTimings (cumulative ms)
-   *   - Client calculates: currentLine from (Date.now() - startTime)
+   *   - Client calculates: currentLine from (getServerTime() - startTime)
    *   - NOT fixed 4-second intervals
    * 
    * TODO: BACKEND
@@ -215,6 +264,47 @@ export const useLobbyStore = create((set, get) => ({
       lobby: { ...state.lobby, phase: LOBBY_PHASES.IN_BATTLE }
     })),
 
+  /**
+   * setLoadProgress: A singer's song buffering progress (LOADING phase)
+   * AUTHORITY: Server (relays each singer's LOADING_PROGRESS / PLAYER_LOADED)
+   * Triggered by "PLAYER_LOADING_PROGRESS" server message
+   */
+  setLoadProgress: (playerId, progress, loaded) =>
+    set((state) => ({
+      lobby: {
+        ...state.lobby,
+        players: state.lobby.players.map((p) =>
+          p.id === playerId ? { ...p, loadProgress: progress, isLoaded: loaded } : p
+        ),
+      },
+    })),
+
+  /**
+   * setLoadingTimeout: Loading deadline passed with singers still loading
+   * AUTHORITY: Server; the host answers with FORCE_START_BATTLE or ABORT_BATTLE
+   * Triggered by "LOADING_TIMEOUT" server message
+   */
+  setLoadingTimeout: (waitingFor) =>
+    set((state) => ({
+      lobby: { ...state.lobby, loadingWaitingFor: waitingFor }
+    })),
+
+  /**
+   * setBattlePaused / setBattleResumed: Host paused or resumed the battle
+   * AUTHORITY: Server; on resume battleStartTime moves forward by the paused
+   * time, so (server time - battleStartTime) is still the song position
+   * Triggered by "BATTLE_PAUSED" / "BATTLE_RESUMED" server messages
+   */
+  setBattlePaused: (pausedAt) =>
+    set((state) => ({
+      lobby: { ...state.lobby, pausedAt }
+    })),
+
+  setBattleResumed: (battleStartTime, resumeAt) =>
+    set((state) => ({
+      lobby: { ...state.lobby, pausedAt: null, resumeAt, battleStartTime }
+    })),
+
   /**
    * endBattle: Transition lobby from IN_BATTLE → RESULTS
    * AUTHORITY: Server (when all players finish or timeout, server broadcasts)
@@ -263,17 +353,23 @@ export const useLobbyStore = create((set, get) => ({
    *   - Keep players in lobby (don't eject)
    *   - Clear song selection (for next round)
    * 
-   * TODO: BACKEND
-   *   - Clear server battle state
-   *   - Send PHASE_CHANGE to LOBBY
-   *   - Allow host to select new song
+   * SERVER FLOW:
+   *   - Host sends RETURN_TO_LOBBY { rematch } from ResultsPage
+   *   - Server clears battle state (keeps the song on rematch)
+   *   - Server sends PHASE_CHANGE to LOBBY → GameSync calls resetToLobby()
+   *   - Server follows with LOBBY_SNAPSHOT (cleared scores/ready, song)
    */
   resetToLobby: () =>
     set((state) => ({
       lobby: {
         ...state.lobby,
         phase: LOBBY_PHASES.LOBBY,
-        battleStartTime: null  // Clear timing when returning to lobby
+        battleStartTime: null,  // Clear timing when returning to lobby
+        loadingDeadline: null,
+        loadingWaitingFor: null,
+        pausedAt: null,
+        resumeAt: null,
+        endReason: null
       }
     })),
 
@@ -333,7 +429,7 @@ export const useLobbyStore = create((set, get) => ({
    * AUTHORITY: Server (calculates final scores, broadcasts in "BATTLE_RESULTS")
    * 
    * SERVER RESPONSIBILITIES:
-   *   - Determines when battle ends (all players finish or timeout)
+   *   - Determines when battle ends (all players finish or timeout → endReason)
    *   - Calculates final scores for all players
    *   - Ranks players by score
    *   - Sends BATTLE_RESULTS message with final player list
@@ -347,9 +443,9 @@ export const useLobbyStore = create((set, get) => ({
    * TODO: BACKEND - triggered by "BATTLE_RESULTS" server message
    *                  Include final scores, rankings, and any badges/achievements
    */
-  setResults: (results) =>
+  setResults: (results, endReason = null) =>
     set((state) => ({
-      lobby: { ...state.lobby, players: results },
+      lobby: { ...state.lobby, players: results, endReason },
     })),
 
   // ============================================================================
@@ -54,10 +54,13 @@
  * @property {boolean} connected - Currently connected to server
  * @property {boolean} ready - Player marked as ready to battle
  * @property {boolean} isHost - Can this player start the battle?
+ * @property {string} role - "singer" | "spectator" (spectators don't ready up, sing or take a seat)
  * @property {number} score - Total score (server-calculated, NOT client)
  * @property {number} combo - Consecutive correct syllables (server-tracked)
  * @property {number} accuracy - Accuracy % (server-calculated from audio analysis)
  * @property {boolean} finished - Whether player finished the lyrics
+ * @property {number|null} duetPart - Duet part index (0 = P1, 1 = P2), null for solo songs
+ * @property {string} micCheck - Lobby mic test result: "unchecked" | "ok" | "clipping"
  */
 export const PlayerStateShape = {
   id: "string",
@@ -66,10 +69,13 @@ export const PlayerStateShape = {
   connected: "boolean",
   ready: "boolean",
   isHost: "boolean",
+  role: "string",
   score: "number",
   combo: "number",
   accuracy: "number",
   finished: "boolean",
+  duetPart: "number | null",
+  micCheck: "string",
 };
 
 /**
@@ -157,6 +163,9 @@ export const BattleStateShape = {
  * @property {string} difficulty - "easy" | "medium" | "hard"
  * @property {number} maxScore - Maximum possible score for this song
  * @property {string} fileUrl - URL to audio file on server
+ * @property {SongNote[]} notes - Per-syllable notes (sent in PHASE_CHANGE LOADING)
+ * @property {Object[]} [tracks] - Duet only: per-part { name, lyrics, lineDurations, lineTimings, notes }
+ * @property {string[]} [duetParts] - Duet only: part names (sent in LOBBY_SNAPSHOT)
  */
 export const SongConfigShape = {
   songId: "string",
@@ -169,6 +178,36 @@ export const SongConfigShape = {
   difficulty: "string",
   maxScore: "number",
   fileUrl: "string",
+  notes: "SongNote[]",
+  tracks: "Object[] | undefined",         // duet only
+  duetParts: "string[] | undefined",      // duet only
+};
+
+/**
+ * @typedef {Object} SongNote
+ * A single sung syllable parsed from the UltraStar file
+ * 
+ * AUTHORITY: SERVER-OWNED (parsed server-side, sent with the song)
+ * 
+ * NOTE TYPES (UltraStar line prefix → type):
+ *   - ":" normal     - pitch and timing scored
+ *   - "*" golden     - scored like normal, worth extra points
+ *   - "F" freestyle  - not scored (display only)
+ *   - "R" rap        - timing and energy scored, pitch ignored
+ *   - "G" golden-rap - rap note worth extra points
+ * 
+ * @property {number} pitch - Target frequency in Hz
+ * @property {number} start - Start time in ms (relative to battleStartTime)
+ * @property {number} duration - Duration in ms
+ * @property {string} lyric - Syllable text (may include trailing space)
+ * @property {string} type - "normal" | "golden" | "freestyle" | "rap" | "golden-rap"
+ */
+export const SongNoteShape = {
+  pitch: "number",
+  start: "number",
+  duration: "number",
+  lyric: "string",
+  type: "string (normal | golden | freestyle | rap | golden-rap)",
 };
 
 /**
@@ -288,6 +327,7 @@ export default {
   PlayerStateShape,
   BattleStateShape,
   SongConfigShape,
+  SongNoteShape,
   LobbyStateShape,
   UseLobbyStoreStateShape,
 };
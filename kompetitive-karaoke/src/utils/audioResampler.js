@@ -0,0 +1,41 @@
+/**
+ * Streaming sample-rate converter
+ * Linear interpolation between input samples; keeps its position across
+ * calls so consecutive blocks (e.g. 128-frame worklet quanta) join seamlessly.
+ *
+ * Good enough for voice analysis (pitch/energy), not for playback quality:
+ * there is no anti-aliasing filter when downsampling.
+ */
+
+export class StreamResampler {
+  constructor(inputSampleRate, outputSampleRate) {
+    this.ratio = inputSampleRate / outputSampleRate;
+    this.position = 0;      // read position, relative to the current block
+    this.lastSample = 0;    // final sample of the previous block (index -1)
+  }
+
+  /**
+   * Resample one block of input
+   * @param {Float32Array} input
+   * @returns {Float32Array} resampled output (length varies by block)
+   */
+  process(input) {
+    if (this.ratio === 1) return input;
+
+    const output = [];
+    while (this.position < input.length - 1) {
+      const index = Math.floor(this.position);
+      const fraction = this.position - index;
+      const a = index < 0 ? this.lastSample : input[index];
+      const b = input[index + 1];
+      output.push(a + (b - a) * fraction);
+      this.position += this.ratio;
+    }
+
+    // Carry the remainder over; index -1 refers to lastSample in the next block
+    this.position -= input.length;
+    this.lastSample = input[input.length - 1];
+
+    return Float32Array.from(output);
+  }
+}
@@ -21,3 +21,73 @@ export function float32ToBase64(float32Array) {
     // Convert to Base64
     return window.btoa(binary);
 }
+
+// Binary audio frame layout - must match parseAudioFrame in backend/src/ws/connection.ts
+const AUDIO_FRAME_VERSION = 1;
+const AUDIO_FRAME_HEADER_SIZE = 20;
+export const SAMPLE_FORMAT_FLOAT32 = 1;
+export const SAMPLE_FORMAT_INT16 = 2;
+
+/**
+ * Encode an audio chunk as a binary WebSocket frame
+ *
+ * Header (little-endian): version u8, sample format u8, roomId length u8,
+ * userId length u8, sequence u32, timestamp f64, sample rate u32,
+ * then roomId + userId (UTF-8), then mono PCM samples.
+ * Throws a RangeError if an ID is longer than 255 bytes (its length is a u8).
+ *
+ * Int16 PCM (the default) is ~88KB/sec at 44.1kHz versus ~234KB/sec
+ * for Base64 Float32 in JSON.
+ */
+export function encodeAudioFrame({ roomId, userId, sequence, timestamp, sampleRate, samples }, format = SAMPLE_FORMAT_INT16) {
+    const encoder = new TextEncoder();
+    const roomIdBytes = encoder.encode(roomId);
+    const userIdBytes = encoder.encode(userId);
+    if (roomIdBytes.length > 255 || userIdBytes.length > 255) {
+        throw new RangeError('Audio frame roomId/userId must be at most 255 bytes');
+    }
+    const bytesPerSample = format === SAMPLE_FORMAT_FLOAT32 ? 4 : 2;
+    const pcmOffset = AUDIO_FRAME_HEADER_SIZE + roomIdBytes.length + userIdBytes.length;
+
+    const buffer = new ArrayBuffer(pcmOffset + samples.length * bytesPerSample);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    view.setUint8(0, AUDIO_FRAME_VERSION);
+    view.setUint8(1, format);
+    view.setUint8(2, roomIdBytes.length);
+    view.setUint8(3, userIdBytes.length);
+    view.setUint32(4, sequence >>> 0, true);
+    view.setFloat64(8, timestamp, true);
+    view.setUint32(16, sampleRate, true);
+    bytes.set(roomIdBytes, AUDIO_FRAME_HEADER_SIZE);
+    bytes.set(userIdBytes, AUDIO_FRAME_HEADER_SIZE + roomIdBytes.length);
+
+    for (let i = 0; i < samples.length; i++) {
+        const offset = pcmOffset + i * bytesPerSample;
+        if (format === SAMPLE_FORMAT_FLOAT32) {
+            view.setFloat32(offset, samples[i], true);
+        } else {
+            const clamped = Math.max(-1, Math.min(1, samples[i]));
+            view.setInt16(offset, Math.round(clamped * 32767), true);
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * Input level of a block of samples
+ * @param {Float32Array} samples
+ * @returns {{ rms: number, peak: number }} both in [0, 1]
+ */
+export function measureLevel(samples) {
+    let sum = 0;
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const abs = Math.abs(samples[i]);
+        sum += abs * abs;
+        if (abs > peak) peak = abs;
+    }
+    return { rms: samples.length ? Math.sqrt(sum / samples.length) : 0, peak };
+}
@@ -0,0 +1,144 @@
+/**
+ * Audio latency calibration helpers
+ *
+ * The calibration page plays a click track through an <audio> element and
+ * timestamps microphone chunks exactly like BattlePage does (audio.currentTime
+ * when the chunk arrives, with the same CAPTURE_CHUNK_MS chunks). The user sings "ta" (or taps the mic) on each click;
+ * the delay between the click and the detected onset is everything the scorer
+ * would see as "late": speaker output + mic input + capture buffering.
+ *
+ * The result is stored per device (this browser) and sent to the server in
+ * PLAYER_LOADED, which subtracts it from audio timestamps before scoring.
+ */
+
+const STORAGE_KEY = 'kk.audioLatencyMs';
+
+// Must match MAX_AUDIO_LATENCY_MS in backend/src/state/lobby.ts
+export const MAX_AUDIO_LATENCY_MS = 1000;
+
+// Mic chunk size for BattlePage and calibration. A chunk is stamped when it
+// arrives (its end), so both must use the same size for the offsets to cancel
+export const CAPTURE_CHUNK_MS = 100;
+
+const CLICK_FREQUENCY = 1000;   // Hz
+const CLICK_DURATION_MS = 30;
+
+/**
+ * Saved latency for this device in ms (0 when never calibrated)
+ */
+export function loadAudioLatency() {
+    const value = Number(localStorage.getItem(STORAGE_KEY));
+    return Number.isFinite(value) ? value : 0;
+}
+
+/**
+ * Save (or with null, forget) this device's latency
+ */
+export function saveAudioLatency(latencyMs) {
+    if (latencyMs === null) {
+        localStorage.removeItem(STORAGE_KEY);
+    } else {
+        localStorage.setItem(STORAGE_KEY, String(Math.round(latencyMs)));
+    }
+}
+
+/**
+ * Render a click track as a 16-bit mono WAV blob
+ * @param {number[]} clickTimesMs - When each click starts
+ * @param {number} durationMs - Total length
+ * @returns {Blob} audio/wav
+ */
+export function createClickTrack(clickTimesMs, durationMs, sampleRate = 44100) {
+    const sampleCount = Math.ceil((durationMs / 1000) * sampleRate);
+    const buffer = new ArrayBuffer(44 + sampleCount * 2);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i));
+    };
+
+    // RIFF/WAVE header
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + sampleCount * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);          // fmt chunk size
+    view.setUint16(20, 1, true);           // PCM
+    view.setUint16(22, 1, true);           // mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
+    view.setUint16(32, 2, true);           // block align
+    view.setUint16(34, 16, true);          // bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, sampleCount * 2, true);
+
+    // Short decaying sine bursts
+    const clickLength = Math.floor((CLICK_DURATION_MS / 1000) * sampleRate);
+    for (const clickTime of clickTimesMs) {
+        const start = Math.floor((clickTime / 1000) * sampleRate);
+        for (let i = 0; i < clickLength && start + i < sampleCount; i++) {
+            const envelope = 1 - i / clickLength;
+            const sample = Math.sin((2 * Math.PI * CLICK_FREQUENCY * i) / sampleRate) * envelope * 0.8;
+            view.setInt16(44 + (start + i) * 2, sample * 0x7fff, true);
+        }
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Estimate latency from recorded chunks
+ * @param {Array<{ timestamp: number, samples: Float32Array }>} chunks - timestamped like BattlePage
+ * @param {number[]} clickTimesMs - Click positions in the track
+ * @param {Object} [options] - { sampleRate, windowMs }
+ * @returns {{ latencyMs: number, detected: number, spreadMs: number } | null}
+ *          null when too few clicks were answered
+ */
+export function estimateLatency(chunks, clickTimesMs, { sampleRate = 44100, windowMs = 600 } = {}) {
+    if (chunks.length === 0 || clickTimesMs.length === 0) return null;
+
+    // Noise level from everything recorded before the first click
+    let noiseSum = 0;
+    let noiseCount = 0;
+    for (const chunk of chunks) {
+        for (let i = 0; i < chunk.samples.length; i++) {
+            if (chunk.timestamp + (i / sampleRate) * 1000 >= clickTimesMs[0]) break;
+            noiseSum += chunk.samples[i] * chunk.samples[i];
+            noiseCount++;
+        }
+    }
+    const noiseRms = noiseCount > 0 ? Math.sqrt(noiseSum / noiseCount) : 0;
+    const threshold = Math.max(0.05, noiseRms * 8);
+
+    // First sample above the threshold after each click (within the window)
+    const delays = [];
+    for (const clickTime of clickTimesMs) {
+        let onset = null;
+        for (const chunk of chunks) {
+            if (chunk.timestamp > clickTime + windowMs) break;
+            for (let i = 0; i < chunk.samples.length; i++) {
+                const time = chunk.timestamp + (i / sampleRate) * 1000;
+                if (time < clickTime - 100 || time > clickTime + windowMs) continue;
+                if (Math.abs(chunk.samples[i]) > threshold) {
+                    onset = time;
+                    break;
+                }
+            }
+            if (onset !== null) break;
+        }
+        if (onset !== null) delays.push(onset - clickTime);
+    }
+
+    if (delays.length < Math.ceil(clickTimesMs.length / 2)) return null;
+
+    delays.sort((a, b) => a - b);
+    const median = delays[Math.floor(delays.length / 2)];
+
+    return {
+        latencyMs: Math.round(Math.min(Math.max(median, 0), MAX_AUDIO_LATENCY_MS)),
+        detected: delays.length,
+        spreadMs: Math.round(delays[delays.length - 1] - delays[0]),
+    };
+}
+
+export default { loadAudioLatency, saveAudioLatency, createClickTrack, estimateLatency, MAX_AUDIO_LATENCY_MS };
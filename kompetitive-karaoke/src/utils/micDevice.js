@@ -0,0 +1,45 @@
+/**
+ * Microphone selection helpers
+ *
+ * The chosen input deviceId is saved per browser so a USB mic stays selected
+ * across sessions. useAudioCapture reads it when no deviceId option is given.
+ */
+
+const STORAGE_KEY = 'kk.micDeviceId';
+
+/**
+ * Saved deviceId, or null for the system default input
+ */
+export function loadMicDeviceId() {
+    return localStorage.getItem(STORAGE_KEY) || null;
+}
+
+/**
+ * Save (or with null, forget) the preferred input
+ */
+export function saveMicDeviceId(deviceId) {
+    if (deviceId) {
+        localStorage.setItem(STORAGE_KEY, deviceId);
+    } else {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+}
+
+/**
+ * Audio inputs on this machine
+ * Labels are empty until the page has been granted microphone access once.
+ * @returns {Promise<Array<{ deviceId: string, label: string }>>}
+ */
+export async function listMicrophones() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+        .filter((device) => device.kind === 'audioinput' && device.deviceId !== 'default')
+        .map((device, index) => ({
+            deviceId: device.deviceId,
+            label: device.label || `Microphone ${index + 1}`,
+        }));
+}
+
+export default { loadMicDeviceId, saveMicDeviceId, listMicrophones };
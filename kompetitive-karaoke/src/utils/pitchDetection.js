@@ -0,0 +1,132 @@
+/**
+ * Client-side pitch detection (display only)
+ *
+ * McLeod pitch method (normalised square difference function) on the mic
+ * stream, mirroring the server's analysis settings in backend/src/services/scoring.ts
+ * (decimate to ~11kHz, 512-sample frames, clarity >= 0.8, 60-1500 Hz).
+ * The server remains the only source of scores; this feeds the note highway.
+ */
+
+const ANALYSIS_SAMPLE_RATE = 11025;
+const FRAME_SIZE = 512;
+const MIN_CLARITY = 0.8;
+const SILENCE_RMS = 0.01;
+const MIN_FREQUENCY = 60;
+const MAX_FREQUENCY = 1500;
+
+// Take the first NSDF peak within this fraction of the highest one
+const PEAK_THRESHOLD = 0.9;
+
+/**
+ * Frequency in Hz → MIDI note number (fractional; A4 = 69)
+ */
+export function frequencyToMidi(frequency) {
+    return 69 + 12 * Math.log2(frequency / 440);
+}
+
+/**
+ * Estimate the fundamental of one frame
+ * @param {Float32Array} frame
+ * @param {number} sampleRate
+ * @returns {{ frequency: number, clarity: number }} frequency 0 when unvoiced
+ */
+export function detectPitch(frame, sampleRate) {
+    const n = frame.length;
+    const minLag = Math.max(2, Math.floor(sampleRate / MAX_FREQUENCY));
+    const maxLag = Math.min(n - 2, Math.ceil(sampleRate / MIN_FREQUENCY));
+
+    // NSDF: 2 * r(tau) / m(tau)
+    const nsdf = new Float32Array(maxLag + 2);
+    for (let tau = 0; tau <= maxLag + 1; tau++) {
+        let acf = 0;
+        let energy = 0;
+        for (let i = 0; i < n - tau; i++) {
+            acf += frame[i] * frame[i + tau];
+            energy += frame[i] * frame[i] + frame[i + tau] * frame[i + tau];
+        }
+        nsdf[tau] = energy > 0 ? (2 * acf) / energy : 0;
+    }
+
+    // Key maxima: the highest point between each positive-going and
+    // negative-going zero crossing (skipping the lobe around lag 0)
+    const peaks = [];
+    let tau = 1;
+    while (tau <= maxLag && nsdf[tau] > 0) tau++;
+    while (tau <= maxLag) {
+        while (tau <= maxLag && nsdf[tau] <= 0) tau++;
+        let best = -1;
+        while (tau <= maxLag && nsdf[tau] > 0) {
+            if (tau >= minLag && (best < 0 || nsdf[tau] > nsdf[best])) best = tau;
+            tau++;
+        }
+        if (best > 0) peaks.push(best);
+    }
+    if (peaks.length === 0) return { frequency: 0, clarity: 0 };
+
+    const highest = Math.max(...peaks.map((p) => nsdf[p]));
+    const peak = peaks.find((p) => nsdf[p] >= highest * PEAK_THRESHOLD);
+
+    // Parabolic interpolation around the chosen lag
+    const a = nsdf[peak - 1];
+    const b = nsdf[peak];
+    const c = nsdf[peak + 1];
+    const denominator = a - 2 * b + c;
+    const shift = denominator !== 0 ? (0.5 * (a - c)) / denominator : 0;
+    const clarity = b - 0.25 * (a - c) * shift;
+
+    if (clarity < MIN_CLARITY) return { frequency: 0, clarity };
+    return { frequency: sampleRate / (peak + shift), clarity };
+}
+
+/**
+ * Running pitch tracker for a stream of PCM chunks
+ *
+ * Keeps the most recent analysis frame worth of input, decimated by box
+ * averaging, and reports the pitch of that window after each push.
+ */
+export class PitchTracker {
+    constructor(inputSampleRate = 44100) {
+        this.factor = Math.max(1, Math.round(inputSampleRate / ANALYSIS_SAMPLE_RATE));
+        this.sampleRate = inputSampleRate / this.factor;
+        this.frame = new Float32Array(FRAME_SIZE);
+        this.filled = 0;
+        this.pending = 0;        // partial decimation sum
+        this.pendingCount = 0;
+    }
+
+    /**
+     * Add samples and estimate the current pitch
+     * @param {Float32Array} samples - mono PCM at inputSampleRate
+     * @returns {number} Hz, 0 when silent/unvoiced or not enough audio yet
+     */
+    push(samples) {
+        const decimated = [];
+        for (let i = 0; i < samples.length; i++) {
+            this.pending += samples[i];
+            if (++this.pendingCount < this.factor) continue;
+            decimated.push(this.pending / this.factor);
+            this.pending = 0;
+            this.pendingCount = 0;
+        }
+
+        // Slide the window: drop the oldest samples, append the new ones
+        const incoming = decimated.slice(-FRAME_SIZE);
+        const overflow = Math.max(0, this.filled + incoming.length - FRAME_SIZE);
+        if (overflow > 0) {
+            this.frame.copyWithin(0, overflow, this.filled);
+            this.filled -= overflow;
+        }
+        this.frame.set(incoming, this.filled);
+        this.filled += incoming.length;
+
+        if (this.filled < FRAME_SIZE) return 0;
+
+        let sum = 0;
+        for (let i = 0; i < FRAME_SIZE; i++) sum += this.frame[i] * this.frame[i];
+        if (Math.sqrt(sum / FRAME_SIZE) < SILENCE_RMS) return 0;
+
+        return detectPitch(this.frame, this.sampleRate).frequency;
+    }
+}
+
+export default { detectPitch, frequencyToMidi, PitchTracker };
@@ -0,0 +1,40 @@
+/**
+ * Capture AudioWorklet processor
+ *
+ * Runs on the audio rendering thread: resamples the mic input to the target
+ * rate, cuts it into fixed-size chunks with AudioChunker and posts each chunk
+ * to the main thread through the node's MessagePort (buffer transferred, not
+ * copied). The main thread only receives ready-made chunks, so React renders
+ * can no longer stall capture.
+ *
+ * processorOptions: { chunkDurationMs, targetSampleRate }
+ * Posts: { timestamp, audioData: Float32Array }
+ *
+ * Loaded by useAudioCapture via "?worker&url" so Vite bundles the imports.
+ */
+
+import { AudioChunker } from "../utils/audioChunker";
+import { StreamResampler } from "../utils/audioResampler";
+
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { chunkDurationMs = 20, targetSampleRate = sampleRate } = options.processorOptions || {};
+
+    this.resampler = new StreamResampler(sampleRate, targetSampleRate);
+    this.chunker = new AudioChunker(chunkDurationMs);
+    this.chunker.sampleRate = targetSampleRate;
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (!channel) return true; // no input connected yet
+
+    for (const chunk of this.chunker.processFrames(this.resampler.process(channel))) {
+      this.port.postMessage(chunk, [chunk.audioData.buffer]);
+    }
+    return true;
+  }
+}
+
+registerProcessor("capture-processor", CaptureProcessor);